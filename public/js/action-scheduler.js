@@ -0,0 +1,326 @@
+/**
+ * ActionScheduler - Runs avatar tool calls on a shared timeline instead of
+ * firing each one the moment it arrives.
+ *
+ * Every tool drives one body channel:
+ *
+ *   face    set_mood, set_expression
+ *   hands   play_gesture
+ *   body    play_animation (full body)
+ *   camera  set_camera_view
+ *
+ * Timing: an action runs `now`, at the next `sentence_end` of the avatar's
+ * speech, or at `speech_end` (the worklet drained). Tools may pass `timing`;
+ * otherwise full-body animations wait for the end of speech and the rest run
+ * immediately. Nothing is deferred while the avatar is silent.
+ *
+ * Conflicts:
+ *   - A full-body animation stops the running gesture, and gestures that
+ *     arrive while it plays are skipped. Animations queue behind each other.
+ *   - The camera switches to "full" for the animation. When the last queued
+ *     animation ends, the camera and mood return to what they were before it
+ *     started, or to the view or mood the model asked for in the meantime.
+ *
+ * Results: schedule() resolves once the action has started, failed, been
+ * skipped or been cancelled, so the model only hears "ok" for things the
+ * avatar really does. A Live model waits for the response before it goes
+ * on, so an action that would keep it waiting is answered 'queued' instead:
+ * an animation queued behind another one at once, a deferred action after
+ * MAX_RESULT_WAIT_MS. It still runs when it is due.
+ *
+ *   { status: 'ok' | 'queued' | 'skipped' | 'cancelled' | 'error',
+ *     message,                 // one line for the model
+ *     error: { code, message } // status 'error' only
+ *     actualDuration,          // seconds, for gestures, expressions, animations
+ *     delayMs,                 // time spent deferred
+ *     previousState }          // getState() just before the action ran
+ */
+
+export const ACTION_CHANNELS = {
+  set_mood: 'face',
+  set_expression: 'face',
+  play_gesture: 'hands',
+  play_animation: 'body',
+  set_camera_view: 'camera'
+};
+
+export const ACTION_TIMINGS = ['now', 'sentence_end', 'speech_end'];
+
+const DEFAULT_TIMING = { face: 'now', hands: 'now', body: 'speech_end', camera: 'now' };
+const MAX_DEFERRED = 6;
+const MAX_QUEUED_ANIMATIONS = 2;
+const ANIMATION_POLL_MS = 250;
+const MAX_RESULT_WAIT_MS = 2000;
+
+const ok = (message, extra = {}) => ({ status: 'ok', message, ...extra });
+const queued = (message, extra = {}) => ({ status: 'queued', message, ...extra });
+const skipped = (message) => ({ status: 'skipped', message });
+const cancelled = (message) => ({ status: 'cancelled', message });
+const actionError = (code, message) => ({ status: 'error', message, error: { code, message } });
+
+export class ActionScheduler {
+  /**
+   * @param {AvatarController} controller - Executes the actions
+   */
+  constructor(controller) {
+    this.controller = controller;
+    this.head = controller.head;
+    this.deferred = [];          // { name, args, timing, since, resolve } waiting for speech
+    this.animation = null;       // { name, mixer, restoreView, restoreMood } while a body animation plays
+    this.animationQueue = [];    // { args, since } waiting for the running animation
+    this.animationTimer = null;
+    this.gesture = null;         // { name, endsAt } of the last gesture
+  }
+
+  // ----------------------------------------------------------------
+  // Public API
+  // ----------------------------------------------------------------
+
+  /**
+   * Run or defer a tool action.
+   * @param {string} name - Tool function name
+   * @param {Object} args - Tool arguments, optionally with `timing`
+   * @returns {Promise<Object>} result (see the class comment)
+   */
+  async schedule(name, args) {
+    const channel = ACTION_CHANNELS[name];
+    if (!channel) {
+      console.warn(`[ACTIONS] Unknown tool call: ${name}`);
+      return actionError('UNKNOWN_TOOL', `Unknown tool: ${name}`);
+    }
+
+    const timing = ACTION_TIMINGS.includes(args.timing) ? args.timing : DEFAULT_TIMING[channel];
+    if (timing !== 'now' && this.controller.getIsSpeaking()) {
+      if (this.deferred.length >= MAX_DEFERRED) {
+        const dropped = this.deferred.shift();
+        console.warn(`[ACTIONS] Too many deferred actions, dropping ${dropped.name}`);
+        clearTimeout(dropped.timer);
+        dropped.resolve(cancelled(`${dropped.name} was dropped: too many actions were waiting`));
+      }
+      console.log(`[ACTIONS] ${name} deferred until ${timing}`);
+      return new Promise(resolve => {
+        const action = { name, args, timing, since: performance.now(), resolve: answerOnce(name, resolve) };
+        action.timer = setTimeout(() => {
+          const when = timing === 'sentence_end' ? 'at the end of the sentence' : 'when the speech ends';
+          action.resolve(queued(`${name} will run ${when}`));
+        }, MAX_RESULT_WAIT_MS);
+        this.deferred.push(action);
+      });
+    }
+    return this._run(name, args);
+  }
+
+  /**
+   * What the avatar is doing right now.
+   * @returns {{mood: string, view: string|null, gesture: string|null, animation: string|null}}
+   */
+  getState() {
+    return {
+      mood: this.controller.currentMood,
+      view: this.head.viewName || null,
+      gesture: this.gesture && performance.now() < this.gesture.endsAt ? this.gesture.name : null,
+      animation: this.animation?.name || null
+    };
+  }
+
+  /**
+   * Playback reached the end of a sentence.
+   */
+  onSpeechBoundary() {
+    this._runDeferred(action => action.timing === 'sentence_end');
+  }
+
+  /**
+   * Playback of the avatar's speech finished.
+   */
+  onSpeechEnd() {
+    this._runDeferred(() => true);
+  }
+
+  /**
+   * Drop deferred actions (the user interrupted the speech they belonged to).
+   */
+  cancelDeferred() {
+    if (this.deferred.length) console.log(`[ACTIONS] Cancelled ${this.deferred.length} deferred action(s)`);
+    for (const action of this.deferred) {
+      clearTimeout(action.timer);
+      action.resolve(cancelled(`${action.name} was cancelled: the user interrupted`));
+    }
+    this.deferred = [];
+  }
+
+  /**
+   * Drop everything queued and stop a running animation, restoring camera
+   * and mood (session end).
+   */
+  reset() {
+    this.cancelDeferred();
+    if (this.animationQueue.length) console.log(`[ACTIONS] Cancelled ${this.animationQueue.length} queued animation(s)`);
+    this.animationQueue = [];
+    if (this.animation) {
+      this.controller.stopAnimation();
+      this._endAnimation();
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Channels
+  // ----------------------------------------------------------------
+
+  async _run(name, args) {
+    const previousState = this.getState();
+    const result = await this._dispatch(name, args);
+    return result.status === 'ok' ? { previousState, ...result } : result;
+  }
+
+  async _dispatch(name, args) {
+    switch (name) {
+      case 'set_mood':
+        if (!this.controller.setMood(args.mood)) {
+          return actionError('NOT_FOUND', `Mood ${args.mood} is not available on this avatar`);
+        }
+        // Keep the new mood when the running animation ends
+        if (this.animation) this.animation.restoreMood = args.mood;
+        return ok(`Mood set to ${args.mood}`);
+
+      case 'set_expression': {
+        const { intensity, duration, side } = args;
+        const ms = this.controller.playExpression(args.expression, { intensity, duration, side });
+        return ms
+          ? ok(`Playing expression ${args.expression}`, { actualDuration: ms / 1000 })
+          : actionError('NOT_FOUND', `Expression ${args.expression} is not available`);
+      }
+
+      case 'play_gesture': {
+        if (this.animation) {
+          return skipped(`Skipped gesture ${args.gesture}: the full-body animation ${this.animation.name} is playing`);
+        }
+        const duration = args.duration || 2;
+        if (!this.controller.playGesture(args.gesture, duration)) {
+          return actionError('NOT_FOUND', `Gesture ${args.gesture} is not available on this avatar`);
+        }
+        this.gesture = { name: args.gesture, endsAt: performance.now() + duration * 1000 };
+        return ok(`Playing gesture ${args.gesture}`, { actualDuration: duration });
+      }
+
+      case 'play_animation':
+        if (this.animation) {
+          if (this.animationQueue.length >= MAX_QUEUED_ANIMATIONS) {
+            return skipped(`Skipped animation ${args.animation}: ${this.animationQueue.length} animations are already queued`);
+          }
+          console.log(`[ACTIONS] ${args.animation} queued after ${this.animation.name}`);
+          this.animationQueue.push({ args, since: performance.now() });
+          return queued(`Animation ${args.animation} will play after ${this.animation.name}`, {
+            position: this.animationQueue.length
+          });
+        }
+        return this._startAnimation(args);
+
+      case 'set_camera_view':
+        if (this.animation) {
+          this.animation.restoreView = args.view;
+          return ok(`Camera view will change to ${args.view} when the animation ${this.animation.name} ends`);
+        }
+        return this.controller.setCameraView(args.view)
+          ? ok(`Camera view set to ${args.view}`)
+          : actionError('UNAVAILABLE', `Camera view ${args.view} could not be set`);
+    }
+  }
+
+  /**
+   * Start a full-body animation and watch for its end.
+   * @param {Object} args - play_animation arguments
+   * @param {Object} [restore] - Camera/mood to return to, carried over
+   *   from the previous animation when animations run back to back
+   */
+  async _startAnimation(args, restore = null) {
+    const restoreView = restore?.restoreView ?? this.head.viewName;
+    const restoreMood = restore?.restoreMood ?? this.controller.currentMood;
+
+    // Claims the body channel while the FBX loads
+    const animation = { name: args.animation, mixer: null, restoreView, restoreMood };
+    this.animation = animation;
+    this.head.stopGesture?.();
+    this.gesture = null;
+    if (this.head.viewName !== 'full') this.controller.setCameraView('full');
+
+    let duration = false;
+    let error = null;
+    try {
+      duration = await this.controller.playAnimation(args.animation, args.duration);
+    } catch (err) {
+      error = err;
+    }
+    if (this.animation !== animation) {
+      if (duration) this.controller.stopAnimation();
+      return cancelled(`Animation ${args.animation} was cancelled`);
+    }
+    if (!duration) {
+      this._endAnimation();
+      return error
+        ? actionError('LOAD_FAILED', `Animation ${args.animation} failed to load (${error.message})`)
+        : actionError('NOT_FOUND', `Animation ${args.animation} is not available`);
+    }
+
+    // TalkingHead drops its mixer when the clip finishes or is stopped
+    animation.mixer = this.head.mixer;
+    clearInterval(this.animationTimer);
+    this.animationTimer = setInterval(() => {
+      if (!this.animation || this.head.mixer !== this.animation.mixer) this._endAnimation();
+    }, ANIMATION_POLL_MS);
+    return ok(`Playing animation ${args.animation}`, { actualDuration: Math.round(duration * 10) / 10 });
+  }
+
+  _endAnimation() {
+    clearInterval(this.animationTimer);
+    this.animationTimer = null;
+    const ended = this.animation;
+    this.animation = null;
+    if (!ended) return;
+    if (ended.mixer) console.log(`[ACTIONS] Animation ${ended.name} finished`);
+
+    const next = this.animationQueue.shift();
+    if (next) {
+      // The model was already answered 'queued'; only a failure is worth a line
+      this._startAnimation(next.args, ended).then(result => {
+        if (result.status !== 'ok') console.warn(`[ACTIONS] ${result.message}`);
+      });
+      return;
+    }
+    this._restore(ended);
+  }
+
+  _restore({ restoreView, restoreMood }) {
+    if (restoreView && this.head.viewName !== restoreView) this.controller.setCameraView(restoreView);
+    if (restoreMood && this.controller.currentMood !== restoreMood) this.controller.setMood(restoreMood);
+  }
+
+  _runDeferred(filter) {
+    const due = this.deferred.filter(filter);
+    if (!due.length) return;
+    this.deferred = this.deferred.filter(action => !due.includes(action));
+    for (const action of due) {
+      clearTimeout(action.timer);
+      const delayMs = Math.round(performance.now() - action.since);
+      this._run(action.name, action.args).then(result => {
+        action.resolve({ ...result, delayMs: delayMs + (result.delayMs || 0) });
+      });
+    }
+  }
+}
+
+/**
+ * Resolve a deferred action's promise once; a result that arrives after the
+ * early 'queued' answer is only logged.
+ */
+function answerOnce(name, resolve) {
+  let answered = false;
+  return (result) => {
+    if (!answered) {
+      answered = true;
+      resolve(result);
+    } else if (result.status !== 'ok') {
+      console.warn(`[ACTIONS] ${name} answered as queued, then ${result.status}: ${result.message}`);
+    }
+  };
+}
@@ -4,6 +4,10 @@
  * This file defines all available FBX animations for the avatar.
  * Animations are loaded from the /animations directory.
  *
+ * It is also the manifest the server reads at startup to build the
+ * play_animation tool enum and prompt text, so keep it free of DOM
+ * dependencies outside the `window` guard at the bottom.
+ *
  * Each animation should have:
  * - name: Unique identifier (lowercase, no spaces)
  * - file: FBX filename in /animations directory
@@ -496,9 +500,10 @@ export function getAnimation(name) {
 
 /**
  * Get all animation names
+ * @param {Object[]} [animations] - Subset of the library (default: all of it)
  */
-export function getAnimationNames() {
-  return animationLibrary.map(anim => anim.name);
+export function getAnimationNames(animations = animationLibrary) {
+  return animations.map(anim => anim.name);
 }
 
 /**
@@ -509,14 +514,18 @@ export function getAnimationsByCategory(category) {
 }
 
 /**
- * Format animation list for AI system prompt
+ * Format animation list for AI system prompt, one line per category.
+ * Used by the server to build the play_animation tool guidance.
+ * @param {Object[]} [animations] - Subset of the library (default: all of it)
  */
-export function getAnimationPromptText() {
-  const animations = animationLibrary.map(anim => {
-    return `  - ${anim.name}: ${anim.description} (${anim.useCase})`;
+export function getAnimationPromptText(animations = animationLibrary) {
+  return [...new Set(animations.map(anim => anim.category))].map(category => {
+    const entries = animations
+      .filter(anim => anim.category === category)
+      .map(anim => `${anim.name} (${anim.description})`)
+      .join(', ');
+    return `  ${category.toUpperCase()}: ${entries}`;
   }).join('\n');
-
-  return `Available animations: ${getAnimationNames().join(', ')}\n${animations}`;
 }
 
 /**
@@ -2,24 +2,48 @@ import { TalkingHead } from 'talkinghead';
 import { AudioProcessor } from './audio-processor.js';
 import { AvatarController } from './avatar-controller.js';
 import { AvatarBehaviors } from './avatar-behaviors.js';
+import { MoodEditor } from './mood-editor.js';
+import { DeviceManager } from './device-manager.js';
 import { ErrorHandler } from './error-handler.js';
 import { PerformanceOptimizer } from './performance-optimizer.js';
 import { StreamingHandler } from './streaming-handler.js';
 import { waitForAvatarReady, patchTalkingHeadAnimate } from './avatar-fix.js';
 import * as AnimationLibrary from './animation-library.js';
+import { AUDIO_FRAME, encodeAudioFrame, decodeAudioFrame, bytesToBase64 } from './audio-frames.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLanguage } from './languages.js';
+import { translate, applyTranslations } from './i18n.js';
+
+const LANGUAGE_STORAGE_KEY = 'avatar.language';
+const STATE_REPORT_INTERVAL_MS = 2000;
 
 class VoiceAvatarApp {
   constructor() {
     this.head = null;
     this.audioProcessor = new AudioProcessor();
+    this.deviceManager = new DeviceManager();
     this.avatarController = null;
     this.avatarBehaviors = null;
+    this.moodEditor = null;
     this.streamingHandler = null;
     this.ws = null;
     this.isSessionActive = false;
     this.isListening = false;
+    this.sessionId = null;       // server session, kept for resume_session
+    this.lastSeq = 0;            // last replayable event seen from the server
+    this.isResuming = false;
+    this.binaryAudio = false;    // server confirmed binary audio frames for this session
+    this.micSeq = 0;
+    this.wsAuth = false;         // server requires a JWT on the WebSocket
+    this.authToken = window.AVATAR_AUTH_TOKEN || null;  // may be injected by the embedding page
+    this.authTokenExpiresAt = 0;
     this.conversationHistory = [];
+    this.personas = [];
+    this.persona = null;         // selected persona (avatar, voice, mood defaults)
+    this.savedLanguage = this.loadSavedLanguage();  // explicit user choice, wins over persona defaults
+    this.language = this.savedLanguage || DEFAULT_LANGUAGE;
     this.msgCount = 0;           // for debug logging
+    this.stateReportTimer = null; // avatar_state reports, when the server asks for them
+    this.lastStateReport = null;
 
     this.init();
   }
@@ -27,29 +51,43 @@ class VoiceAvatarApp {
   async init() {
     try {
       this.showLoading(true);
-      this.updateStatus('Initializing...');
+      applyTranslations(this.language);
+      this.updateStatus(this.t('status.initializing'));
 
       await this.checkServerHealth();
+      await this.loadPersonas();
+      this.setupLanguageSelect();
       await this.initializeAvatar();
       await this.audioProcessor.init();
 
       this.avatarController = new AvatarController(this.head);
       await this.avatarController.init();
+      this.setupMoodSelect();
+      const moodEditor = document.getElementById('mood-editor');
+      if (moodEditor) this.moodEditor = new MoodEditor(this.avatarController, moodEditor);
 
       this.avatarBehaviors = new AvatarBehaviors(this.avatarController);
-      this.streamingHandler = new StreamingHandler(this.avatarController);
+      // Jitter buffer settings may be injected by the embedding page
+      this.streamingHandler = new StreamingHandler(this.avatarController, { buffer: window.AVATAR_PLAYBACK_BUFFER });
+      this.streamingHandler.onMetrics = (metrics) => this.updateDiagnostics(metrics);
+      // Deferred tool actions run at sentence ends / when speech finishes
+      const scheduler = this.avatarController.scheduler;
+      this.streamingHandler.onSpeechBoundary = () => scheduler.onSpeechBoundary();
+      this.streamingHandler.onSpeechEnd = () => scheduler.onSpeechEnd();
+      this.streamingHandler.lipsyncLang = this.lipsyncLang;
 
       this.avatarBehaviors.start();
       this.setupControls();
+      await this.setupDevices();
       this.setupWebSocket();
 
       this.showLoading(false);
-      this.updateStatus('Ready — press Start to begin', 'ready');
+      this.updateStatus(this.t('status.ready'), 'ready');
       ErrorHandler.showSuccess('Avatar initialized successfully!');
       console.log('[APP] Voice Avatar App initialized');
     } catch (error) {
       this.showLoading(false);
-      this.updateStatus('Initialization failed', 'error');
+      this.updateStatus(this.t('status.initFailed'), 'error');
       ErrorHandler.handle(error, 'Initialization');
     }
   }
@@ -64,9 +102,13 @@ class VoiceAvatarApp {
 
     const settings = PerformanceOptimizer.optimizeAvatarSettings();
 
+    const persona = this.persona || {};
+
     this.head = new TalkingHead(avatarContainer, {
-      ttsLang: 'en-US',
-      lipsyncLang: 'en',
+      ttsLang: getLanguage(this.language).locale,
+      lipsyncLang: this.lipsyncLang,
+      // Every session language's module, so switching needs no reload
+      lipsyncModules: [...new Set(Object.values(LANGUAGES).map(l => l.lipsyncLang))],
       cameraView: 'full',
       modelFPS: settings.modelFPS,
       modelPixelRatio: settings.modelPixelRatio,
@@ -77,14 +119,24 @@ class VoiceAvatarApp {
     });
 
     patchTalkingHeadAnimate(this.head);
+    await this.loadAvatarModel(persona);
+  }
+
+  /**
+   * Load (or swap to) the avatar model described by a persona.
+   */
+  async loadAvatarModel(persona = {}) {
+    const body = persona.avatarBody || 'F';
+    const avatarMood = persona.mood || 'happy';
+    const lipsyncLang = this.lipsyncLang;
 
     try {
-      console.log('[APP] Loading avatar...');
+      console.log(`[APP] Loading avatar ${persona.avatarUrl || './avatars/brunette.glb'}...`);
       await this.head.showAvatar({
-        url: './avatars/brunette.glb',
-        body: 'F',
-        avatarMood: 'happy',
-        lipsyncLang: 'en'
+        url: persona.avatarUrl || './avatars/brunette.glb',
+        body,
+        avatarMood,
+        lipsyncLang
       });
       await waitForAvatarReady(this.head);
       if (this.head.nodeAvatar) this.head.nodeAvatar.visible = true;
@@ -93,18 +145,176 @@ class VoiceAvatarApp {
       console.log('[APP] Avatar loaded successfully');
     } catch (err) {
       console.error('[APP] Primary avatar load failed, trying default:', err);
-      await this.head.showAvatar({ body: 'F', avatarMood: 'happy', lipsyncLang: 'en' });
+      await this.head.showAvatar({ body, avatarMood, lipsyncLang });
       await waitForAvatarReady(this.head);
       if (this.head.nodeAvatar) this.head.nodeAvatar.visible = true;
       if (!this.head.animating) this.head.start();
     }
   }
 
+  // ----------------------------------------------------------------
+  // Personas
+  // ----------------------------------------------------------------
+
+  async loadPersonas() {
+    try {
+      const res = await fetch('/saas/avatar/api/personas');
+      const data = await res.json();
+      this.personas = data.personas || [];
+      this.persona = this.personas.find(p => p.id === data.default) || this.personas[0] || null;
+    } catch (error) {
+      console.warn('[APP] Could not load personas, using built-in defaults:', error.message);
+      return;
+    }
+
+    const select = document.getElementById('persona-select');
+    if (!select) return;
+    select.innerHTML = '';
+    for (const persona of this.personas) {
+      const option = document.createElement('option');
+      option.value = persona.id;
+      option.textContent = persona.name;
+      option.title = persona.description || '';
+      select.appendChild(option);
+    }
+    if (this.persona) {
+      select.value = this.persona.id;
+      this.applyPersonaDefaults(this.persona);
+    }
+  }
+
+  /**
+   * Reflect a persona's default voice, mood and language in the settings
+   * selects. A language the user picked themselves is kept.
+   */
+  applyPersonaDefaults(persona) {
+    const voiceSelect = document.getElementById('gemini-voice');
+    const moodSelect = document.getElementById('avatar-mood');
+    if (voiceSelect && persona.voice) voiceSelect.value = persona.voice;
+    if (moodSelect && persona.mood) moodSelect.value = persona.mood;
+    if (!this.savedLanguage && persona.language) this.setLanguage(persona.language);
+  }
+
+  async selectPersona(id) {
+    const persona = this.personas.find(p => p.id === id);
+    if (!persona || persona === this.persona) return;
+
+    const previous = this.persona;
+    this.persona = persona;
+    this.applyPersonaDefaults(persona);
+    console.log(`[APP] Persona → ${persona.id}`);
+
+    if (persona.avatarUrl !== previous?.avatarUrl || persona.avatarBody !== previous?.avatarBody) {
+      this.showLoading(true);
+      try {
+        await this.loadAvatarModel(persona);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Load persona avatar');
+      } finally {
+        this.showLoading(false);
+      }
+    } else {
+      this.avatarController.setMood(persona.mood || 'neutral');
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Language
+  // ----------------------------------------------------------------
+
+  get lipsyncLang() {
+    return getLanguage(this.language).lipsyncLang;
+  }
+
+  t(key) {
+    return translate(key, this.language);
+  }
+
+  loadSavedLanguage() {
+    try {
+      const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+      return getLanguage(saved) ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setupLanguageSelect() {
+    const select = document.getElementById('session-language');
+    if (!select) return;
+    select.innerHTML = '';
+    for (const [code, language] of Object.entries(LANGUAGES)) {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = language.name;
+      select.appendChild(option);
+    }
+    select.value = this.language;
+  }
+
+  /**
+   * Fill the mood select with the moods the avatar controller registered
+   * (built-in and public/moods/).
+   */
+  setupMoodSelect() {
+    const select = document.getElementById('avatar-mood');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    for (const name of this.avatarController.moods.names()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+      select.appendChild(option);
+    }
+    select.value = this.persona?.mood || current;
+  }
+
+  /**
+   * The user picked a language: remember it across reloads and personas.
+   */
+  chooseLanguage(code) {
+    if (!getLanguage(code)) return;
+    this.savedLanguage = code;
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    } catch (e) {
+      // Storage disabled (private mode); the choice lasts for this page only
+    }
+    this.setLanguage(code);
+  }
+
+  /**
+   * Switch the session language: UI strings, the lipsync module for the
+   * next stream and the language requested in start_session. The select is
+   * disabled during a session, whose speech language is fixed upstream.
+   */
+  setLanguage(code) {
+    const language = getLanguage(code);
+    if (!language) return;
+    this.language = code;
+    console.log(`[APP] Language → ${code}`);
+
+    document.documentElement.lang = language.locale;
+    applyTranslations(code);
+    const select = document.getElementById('session-language');
+    if (select) select.value = code;
+    for (const id of ['mic-device', 'speaker-device']) {
+      const first = document.getElementById(id)?.options[0];
+      if (first && first.value === '') first.textContent = this.t('device.default');
+    }
+
+    if (this.streamingHandler) this.streamingHandler.lipsyncLang = language.lipsyncLang;
+    if (this.head?.avatar) this.head.avatar.lipsyncLang = language.lipsyncLang;
+    if (this.head && !this.isSessionActive) this.updateStatus(this.t('status.ready'), 'ready');
+  }
+
   async checkServerHealth() {
     try {
       const res = await fetch('/saas/avatar/api/health');
       const data = await res.json();
       if (data.status !== 'ok') throw new Error('Server not healthy');
+      this.wsAuth = !!data.services?.wsAuth;
       console.log('[APP] Server health check passed');
     } catch (error) {
       ErrorHandler.showUserMessage('Warning: Could not connect to server.', 'warning');
@@ -115,22 +325,46 @@ class VoiceAvatarApp {
   // WebSocket
   // ----------------------------------------------------------------
 
-  setupWebSocket() {
+  async setupWebSocket() {
     const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsHost = window.location.hostname;
     const url = `${wsProtocol}//${wsHost}/saas/avatar/ws/`;
 
+    // The token travels as a subprotocol so it stays out of proxy access logs
+    let protocols;
+    if (this.wsAuth) {
+      try {
+        protocols = ['avatar', `bearer.${await this.getAuthToken()}`];
+      } catch (error) {
+        console.error('[WS] Could not obtain an auth token:', error.message);
+        this.updateStatus(this.t('status.unauthorized'), 'error');
+        ErrorHandler.showUserMessage('Could not authorize the connection. Reload the page to try again.', 'error');
+        return;
+      }
+    }
+
     console.log(`[WS] Connecting to ${url}...`);
-    this.ws = new WebSocket(url);
+    this.ws = new WebSocket(url, protocols);
+    this.ws.binaryType = 'arraybuffer';
+    this.binaryAudio = false;
 
     this.ws.onopen = () => {
       console.log('[WS] Connected');
       this.updateConnectionStatus(true);
+      if (this.isResuming && this.sessionId) {
+        console.log(`[WS] Resuming session ${this.sessionId} after seq ${this.lastSeq}`);
+        this.wsSend({ type: 'resume_session', sessionId: this.sessionId, lastSeq: this.lastSeq, binaryAudio: true });
+      }
     };
 
     this.ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        this.handleAudioFrame(event.data);
+        return;
+      }
       try {
         const msg = JSON.parse(event.data);
+        if (typeof msg.seq === 'number') this.lastSeq = msg.seq;
         this.handleServerMessage(msg);
       } catch (err) {
         console.error('[WS] Parse error:', err);
@@ -141,32 +375,113 @@ class VoiceAvatarApp {
       console.error('[WS] Error:', error);
     };
 
-    this.ws.onclose = () => {
-      console.log('[WS] Disconnected');
+    this.ws.onclose = (event) => {
+      console.log(`[WS] Disconnected (code ${event.code}${event.reason ? `, ${event.reason}` : ''})`);
       this.updateConnectionStatus(false);
-      this.isSessionActive = false;
-      this.updateSessionUI();
+
+      if (event.code === 4401) {
+        // Missing or invalid token — retrying with the same credentials will not help
+        this.authToken = null;
+        this.isSessionActive = false;
+        this.updateSessionUI();
+        this.updateStatus(this.t('status.unauthorized'), 'error');
+        return;
+      }
+      if (event.code === 4403) {
+        // Token expired between fetching and connecting; force a refresh
+        this.authTokenExpiresAt = 0;
+      }
+
+      // The server keeps the session alive for a grace period — try to resume it
+      if (this.isSessionActive && this.sessionId) {
+        this.isResuming = true;
+        this.updateStatus(this.t('status.reconnecting'), 'processing');
+      } else {
+        this.isSessionActive = false;
+        this.updateSessionUI();
+      }
       setTimeout(() => {
         if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
           this.setupWebSocket();
         }
-      }, 5000);
+      }, this.isResuming ? 1000 : 5000);
     };
   }
 
+  /**
+   * JWT for the WebSocket: reuse the current one while it is valid, refresh
+   * it when it is about to expire, otherwise request a new one.
+   */
+  async getAuthToken() {
+    if (this.authToken && !this.authTokenExpiresAt) {
+      this.authTokenExpiresAt = this._tokenExpiry(this.authToken);
+    }
+    if (this.authToken && this.authTokenExpiresAt - Date.now() > 30 * 1000) {
+      return this.authToken;
+    }
+
+    let res;
+    if (this.authToken) {
+      res = await fetch('/saas/avatar/api/token/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: this.authToken })
+      });
+    }
+    if (!res?.ok) {
+      res = await fetch('/saas/avatar/api/token', { method: 'POST' });
+    }
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    this.authToken = data.token;
+    this.authTokenExpiresAt = this._tokenExpiry(data.token);
+    return this.authToken;
+  }
+
+  _tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp ? payload.exp * 1000 : Infinity;
+    } catch (e) {
+      return 0;
+    }
+  }
+
   // ----------------------------------------------------------------
   // Message handler — all messages from server (Gemini responses)
   // ----------------------------------------------------------------
 
+  /**
+   * Binary model audio (see audio-frames.js); same handling as audio_chunk
+   * without the base64 decode.
+   */
+  handleAudioFrame(data) {
+    const frame = decodeAudioFrame(data);
+    if (!frame || frame.type !== AUDIO_FRAME.MODEL) {
+      console.warn(`[WS] Ignoring malformed binary frame (${data.byteLength} bytes)`);
+      return;
+    }
+    this.streamingHandler.feedPcm(frame.pcm);
+    this.updateStatus(this.t('status.speaking'), 'speaking');
+  }
+
   handleServerMessage(msg) {
     this.msgCount++;
 
     switch (msg.type) {
       case 'session_started':
         console.log('[MSG] Session started');
+        this.updateUsageInfo(null);
+        this.sessionId = msg.sessionId;
+        this.lastSeq = 0;
+        this.binaryAudio = !!msg.binaryAudio;
+        this.micSeq = 0;
         this.isSessionActive = true;
+        if (msg.language && msg.language !== this.language) this.setLanguage(msg.language);
+        this.setStateReports(!!msg.avatarStateReports);
         this.updateSessionUI();
-        this.updateStatus('Connected to Gemini — start speaking!', 'ready');
+        this.updateStatus(this.t('status.connected'), 'ready');
         // Start TalkingHead streaming mode (awaited via promise)
         this.streamingHandler.startStream().then(() => {
           console.log('[MSG] Streaming mode ready for audio');
@@ -175,6 +490,32 @@ class VoiceAvatarApp {
         });
         break;
 
+      case 'session_resumed':
+        console.log(`[MSG] Session ${msg.sessionId} resumed`);
+        this.isResuming = false;
+        this.binaryAudio = !!msg.binaryAudio;
+        this.micSeq = 0;
+        this.isSessionActive = true;
+        if (msg.language && msg.language !== this.language) this.setLanguage(msg.language);
+        this.setStateReports(!!msg.avatarStateReports);
+        this.updateSessionUI();
+        this.updateStatus(this.t('status.resumed'), 'listening');
+        this.streamingHandler.startStream().catch(err => {
+          console.error('[MSG] Failed to restart streaming:', err);
+        });
+        break;
+
+      case 'resume_failed':
+        console.log('[MSG] Resume failed:', msg.reason);
+        this.isResuming = false;
+        this.audioProcessor.stopCapture();
+        this.onMicActivity(null);
+        this.isListening = false;
+        this.avatarBehaviors.onListeningEnd();
+        this.updateAudioLevel(0);
+        this.handleServerMessage({ type: 'session_ended', reason: msg.reason });
+        break;
+
       case 'setup_complete':
         console.log('[MSG] Gemini setup complete');
         break;
@@ -182,11 +523,11 @@ class VoiceAvatarApp {
       case 'audio_chunk':
         // Feed PCM audio to TalkingHead for playback + lipsync
         this.streamingHandler.feedAudio(msg.data);
-        this.updateStatus('Speaking...', 'speaking');
+        this.updateStatus(this.t('status.speaking'), 'speaking');
         break;
 
       case 'output_transcription':
-        // What the AI SPOKE (as text) — use for lipsync + display in conversation
+        // What the AI SPOKE (as text) — visemes for lipsync + display in conversation
         console.log(`[MSG] AI transcript: "${msg.text}"`);
         this.streamingHandler.addText(msg.text);
         this.appendToTranscript(msg.text, 'assistant-stream');
@@ -212,23 +553,49 @@ class VoiceAvatarApp {
       case 'interrupted':
         console.log('[MSG] Interrupted by user');
         this.streamingHandler.interrupt();
+        this.avatarController.scheduler.cancelDeferred();
         this.flushAssistantStream();
-        this.updateStatus('Listening...', 'listening');
+        this.updateStatus(this.t('status.listening'), 'listening');
         break;
 
       case 'turn_complete':
         console.log('[MSG] Turn complete');
-        this.updateStatus('Listening...', 'listening');
+        this.streamingHandler.endTurn();
+        this.updateStatus(this.t('status.listening'), 'listening');
         this.avatarBehaviors.onSpeakingEnd();
         this.flushAssistantStream();
         break;
 
       case 'session_ended':
         console.log('[MSG] Session ended. Reason:', msg.reason || 'none');
+        this.sessionId = null;
         this.isSessionActive = false;
         this.updateSessionUI();
         this.streamingHandler.stopStream();
-        this.updateStatus('Session ended', 'ready');
+        this.avatarController.scheduler.reset();
+        this.setStateReports(false);
+        this.updateStatus(this.t('status.ended'), 'ready');
+        break;
+
+      case 'usage_update':
+        console.log(`[MSG] Usage: session ${msg.session.totalTokens} tokens, ~$${msg.session.costUsd.toFixed(4)}`);
+        this.updateUsageInfo(msg.session);
+        break;
+
+      case 'quota_exceeded':
+        console.warn(`[MSG] Quota exceeded: ${msg.quota} (limit ${msg.limit})`);
+        ErrorHandler.showUserMessage(msg.message, 'warning');
+        if (['concurrent_sessions', 'ip_sessions', 'daily_minutes'].includes(msg.quota)) {
+          // No session will run; release the mic that startSession() opened
+          this.audioProcessor.stopCapture();
+          this.onMicActivity(null);
+          this.isListening = false;
+          this.avatarBehaviors.onListeningEnd();
+          this.updateAudioLevel(0);
+          this.isSessionActive = false;
+          this.updateSessionUI();
+          this.updateStatus(this.t('status.quota'), 'error');
+        }
         break;
 
       case 'error':
@@ -245,9 +612,10 @@ class VoiceAvatarApp {
   // Tool calls
   // ----------------------------------------------------------------
 
-  handleToolCall(msg) {
-    const result = this.avatarController.handleToolCall(msg.name, msg.args || {});
-    console.log(`[TOOL] ${msg.name} → ${result}`);
+  async handleToolCall(msg) {
+    // Resolves once the action has started or failed, so the model hears the real outcome
+    const result = await this.avatarController.handleToolCall(msg.name, msg.args || {});
+    console.log(`[TOOL] ${msg.name} → ${result.status}: ${result.message}`);
 
     this.wsSend({
       type: 'tool_response',
@@ -257,6 +625,28 @@ class VoiceAvatarApp {
     });
   }
 
+  /**
+   * Report the avatar state to the server while it asks for it
+   * (AVATAR_STATE_CONTEXT_TURNS). Only changes are sent.
+   */
+  setStateReports(enabled) {
+    clearInterval(this.stateReportTimer);
+    this.stateReportTimer = null;
+    this.lastStateReport = null;
+    if (!enabled) return;
+    this.stateReportTimer = setInterval(() => this.reportAvatarState(), STATE_REPORT_INTERVAL_MS);
+    this.reportAvatarState();
+  }
+
+  reportAvatarState() {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    const state = this.avatarController.getState({ withAvailable: false });
+    const report = JSON.stringify(state);
+    if (report === this.lastStateReport) return;
+    this.lastStateReport = report;
+    this.wsSend({ type: 'avatar_state', state });
+  }
+
   // ----------------------------------------------------------------
   // Controls
   // ----------------------------------------------------------------
@@ -266,9 +656,14 @@ class VoiceAvatarApp {
     const stopBtn = document.getElementById('stop-conversation');
     const clearBtn = document.getElementById('clear-conversation');
     const moodSelect = document.getElementById('avatar-mood');
+    const personaSelect = document.getElementById('persona-select');
+    const languageSelect = document.getElementById('session-language');
     const cameraViewSelect = document.getElementById('camera-view');
     const textInput = document.getElementById('text-input');
     const sendBtn = document.getElementById('send-text-btn');
+    const prebufferSelect = document.getElementById('prebuffer-mode');
+    const micModeSelect = document.getElementById('mic-mode');
+    const pttBtn = document.getElementById('push-to-talk');
 
     startBtn.addEventListener('click', () => this.startSession());
     stopBtn.addEventListener('click', () => this.stopSession());
@@ -286,6 +681,41 @@ class VoiceAvatarApp {
       this.avatarController.setMood(e.target.value);
     });
 
+    personaSelect?.addEventListener('change', (e) => this.selectPersona(e.target.value));
+    languageSelect?.addEventListener('change', (e) => this.chooseLanguage(e.target.value));
+
+    prebufferSelect?.addEventListener('change', (e) => {
+      const value = e.target.value;
+      this.streamingHandler.setBufferConfig(value === 'adaptive'
+        ? { adaptive: true }
+        : { adaptive: false, targetMs: Number(value) });
+    });
+    this.updateDiagnostics(this.streamingHandler.getMetrics());
+
+    // Mic mode & push-to-talk (hold the button, or Space outside text fields)
+    if (micModeSelect) {
+      micModeSelect.value = this.audioProcessor.mode;
+      micModeSelect.addEventListener('change', (e) => this.setMicMode(e.target.value));
+    }
+    this.updateMicModeUI();
+    if (pttBtn) {
+      pttBtn.addEventListener('pointerdown', () => this.setPushToTalk(true));
+      for (const type of ['pointerup', 'pointerleave', 'pointercancel']) {
+        pttBtn.addEventListener(type, () => this.setPushToTalk(false));
+      }
+    }
+    const isTyping = (el) => el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || e.repeat || this.audioProcessor.mode !== 'push-to-talk' || isTyping(e.target)) return;
+      e.preventDefault();
+      this.setPushToTalk(true);
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space' || this.audioProcessor.mode !== 'push-to-talk') return;
+      this.setPushToTalk(false);
+    });
+    window.addEventListener('blur', () => this.setPushToTalk(false));
+
     if (cameraViewSelect) {
       cameraViewSelect.addEventListener('change', (e) => {
         const view = e.target.value;
@@ -457,25 +887,44 @@ class VoiceAvatarApp {
 
     try {
       console.log('[APP] Starting session...');
-      this.updateStatus('Connecting to Gemini...', 'processing');
+      this.updateStatus(this.t('status.connecting'), 'processing');
       this.showLoading(true);
 
       // Tell server to open a Gemini Live session with selected voice
       const voiceSelect = document.getElementById('gemini-voice');
       const voice = voiceSelect ? voiceSelect.value : 'Aoede';
-      console.log(`[APP] Selected voice: ${voice}`);
-      this.wsSend({ type: 'start_session', voice });
-
-      // Start mic capture → stream PCM to server
-      console.log('[APP] Starting mic capture...');
+      const persona = this.persona?.id;
+      console.log(`[APP] Selected voice: ${voice}, persona: ${persona || 'default'}, language: ${this.language}`);
+      // The moods this avatar registered become the set_mood enum
+      const moods = this.avatarController.moods.describe();
+      this.wsSend({ type: 'start_session', voice, persona, language: this.language, binaryAudio: true, moods });
+
+      // Start mic capture → stream PCM to server. The VAD uses the same
+      // listening thresholds as TalkingHead.
+      console.log(`[APP] Starting mic capture (${this.audioProcessor.mode})...`);
+      const opt = this.head?.opt || {};
+      this.audioProcessor.configure({
+        vad: {
+          activeThresholdLevel: opt.listeningActiveThresholdLevel,
+          activeThresholdMs: opt.listeningActiveThresholdMs,
+          silenceThresholdLevel: opt.listeningSilenceThresholdLevel,
+          silenceThresholdMs: opt.listeningSilenceThresholdMs,
+          activeDurationMax: opt.listeningActiveDurationMax
+        }
+      });
       await this.audioProcessor.startCapture(
-        (base64pcm) => {
-          this.wsSend({ type: 'audio_chunk', data: base64pcm });
+        (pcm) => {
+          // Drop mic audio while reconnecting; the server session is waiting for us
+          if (this.isResuming) return;
+          this.sendMicAudio(pcm);
         },
         (level) => {
           this.updateAudioLevel(level);
-        }
+        },
+        (activity) => this.onMicActivity(activity)
       );
+      // Device labels are only available once mic permission is granted
+      this.refreshDevices();
 
       this.isListening = true;
       this.showLoading(false);
@@ -484,7 +933,7 @@ class VoiceAvatarApp {
       this.avatarController.lookAtCamera(1000);
     } catch (error) {
       this.showLoading(false);
-      this.updateStatus('Failed to start', 'error');
+      this.updateStatus(this.t('status.startFailed'), 'error');
       ErrorHandler.handle(error, 'Start session');
     }
   }
@@ -492,16 +941,150 @@ class VoiceAvatarApp {
   stopSession() {
     console.log('[APP] Stopping session...');
     this.audioProcessor.stopCapture();
+    this.onMicActivity(null);
     this.isListening = false;
     this.avatarBehaviors.onListeningEnd();
     this.updateAudioLevel(0);
 
     this.wsSend({ type: 'stop_session' });
     this.streamingHandler.stopStream();
+    this.avatarController.scheduler.reset();
+    this.setStateReports(false);
 
+    this.sessionId = null;
+    this.isResuming = false;
     this.isSessionActive = false;
     this.updateSessionUI();
-    this.updateStatus('Session ended', 'ready');
+    this.updateStatus(this.t('status.ended'), 'ready');
+  }
+
+  // ----------------------------------------------------------------
+  // Audio devices
+  // ----------------------------------------------------------------
+
+  async setupDevices() {
+    const micSelect = document.getElementById('mic-device');
+    const speakerSelect = document.getElementById('speaker-device');
+
+    micSelect?.addEventListener('change', (e) => {
+      this.deviceManager.setPreferred('audioinput', e.target.value);
+      this.applyDevices();
+    });
+    speakerSelect?.addEventListener('change', (e) => {
+      this.deviceManager.setPreferred('audiooutput', e.target.value);
+      this.applyDevices();
+    });
+
+    // Headset plugged in or pulled out
+    this.deviceManager.watch(async () => {
+      console.log('[APP] Audio devices changed');
+      await this.refreshDevices();
+      this.applyDevices();
+    });
+
+    await this.refreshDevices();
+    this.applyDevices();
+  }
+
+  async refreshDevices() {
+    try {
+      const { inputs, outputs } = await this.deviceManager.refresh();
+      this.fillDeviceSelect('mic-device', inputs, 'audioinput');
+      this.fillDeviceSelect('speaker-device', outputs, 'audiooutput');
+      document.querySelectorAll('.speaker-device-setting').forEach(el => {
+        el.classList.toggle('hidden', !this.deviceManager.canSelectOutput);
+      });
+    } catch (error) {
+      console.warn('[APP] Could not list audio devices:', error.message);
+    }
+  }
+
+  fillDeviceSelect(id, devices, kind) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = this.t('device.default');
+    select.appendChild(defaultOption);
+
+    for (const device of devices) {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label;
+      select.appendChild(option);
+    }
+
+    // Keep showing a preferred device that is unplugged right now
+    const preferred = this.deviceManager.getPreferred(kind);
+    if (preferred && !devices.some(d => d.deviceId === preferred)) {
+      const option = document.createElement('option');
+      option.value = preferred;
+      option.textContent = this.t('device.disconnected');
+      option.disabled = true;
+      select.appendChild(option);
+    }
+    select.value = preferred || '';
+  }
+
+  /**
+   * Switch mic and speaker to the preferred devices (or the defaults when
+   * those are unplugged). Safe mid-session: the server session keeps running.
+   */
+  async applyDevices() {
+    const micId = this.deviceManager.resolve('audioinput');
+    if (micId !== this.audioProcessor.deviceId) {
+      try {
+        await this.audioProcessor.setInputDevice(micId);
+        console.log(`[APP] Mic → ${micId || 'default'}`);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Switch microphone');
+      }
+    }
+
+    const speakerId = this.deviceManager.resolve('audiooutput');
+    const ctx = this.head?.audioCtx;
+    if (this.deviceManager.canSelectOutput && ctx && (ctx.sinkId || null) !== speakerId) {
+      try {
+        await ctx.setSinkId(speakerId || '');
+        console.log(`[APP] Speaker → ${speakerId || 'default'}`);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Switch speaker');
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Mic modes
+  // ----------------------------------------------------------------
+
+  setMicMode(mode) {
+    this.audioProcessor.configure({ mode });
+    console.log(`[APP] Mic mode → ${mode}`);
+    this.updateMicModeUI();
+  }
+
+  setPushToTalk(pressed) {
+    if (this.audioProcessor.mode !== 'push-to-talk') return;
+    this.audioProcessor.setPushToTalk(pressed);
+    document.getElementById('push-to-talk')?.classList.toggle('active', pressed);
+  }
+
+  /**
+   * The mic gate opened or closed. Closing tells the server the user
+   * paused, so it can end the turn without waiting for streamed silence.
+   */
+  onMicActivity(activity) {
+    document.getElementById('audio-level-container')?.classList.toggle('speaking', activity === 'start');
+    if (activity === 'stop' && !this.isResuming) {
+      this.wsSend({ type: 'audio_stream_end' });
+    }
+  }
+
+  updateMicModeUI() {
+    const pttBtn = document.getElementById('push-to-talk');
+    if (pttBtn) pttBtn.classList.toggle('hidden', this.audioProcessor.mode !== 'push-to-talk');
   }
 
   // ----------------------------------------------------------------
@@ -530,6 +1113,21 @@ class VoiceAvatarApp {
   // UI helpers
   // ----------------------------------------------------------------
 
+  /**
+   * Send a mic frame as a binary frame once the server has agreed to them,
+   * otherwise as base64 audio_chunk JSON.
+   */
+  sendMicAudio(pcm) {
+    if (!this.binaryAudio) {
+      this.wsSend({ type: 'audio_chunk', data: bytesToBase64(pcm) });
+      return;
+    }
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(encodeAudioFrame(AUDIO_FRAME.MIC, this.micSeq, pcm));
+      this.micSeq = (this.micSeq + 1) >>> 0;
+    }
+  }
+
   wsSend(data) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(data));
@@ -542,9 +1140,13 @@ class VoiceAvatarApp {
     const startBtn = document.getElementById('start-conversation');
     const stopBtn = document.getElementById('stop-conversation');
     const voiceSelect = document.getElementById('gemini-voice');
+    const personaSelect = document.getElementById('persona-select');
+    const languageSelect = document.getElementById('session-language');
     if (startBtn) startBtn.disabled = this.isSessionActive;
     if (stopBtn) stopBtn.disabled = !this.isSessionActive;
     if (voiceSelect) voiceSelect.disabled = this.isSessionActive;
+    if (personaSelect) personaSelect.disabled = this.isSessionActive;
+    if (languageSelect) languageSelect.disabled = this.isSessionActive;
   }
 
   displayTranscript(text, role) {
@@ -553,10 +1155,12 @@ class VoiceAvatarApp {
 
     const div = document.createElement('div');
     div.className = `message ${role}`;
+    // Transcripts are in the session language (fonts, hyphenation, screen readers)
+    div.lang = getLanguage(this.language).locale;
 
     const label = document.createElement('div');
     label.className = 'message-label';
-    label.textContent = role === 'user' ? 'You:' : 'Assistant:';
+    label.textContent = this.t(role === 'user' ? 'transcript.you' : 'transcript.assistant');
 
     const body = document.createElement('div');
     body.className = 'message-body';
@@ -566,6 +1170,8 @@ class VoiceAvatarApp {
     div.appendChild(body);
     box.appendChild(div);
     box.scrollTop = box.scrollHeight;
+
+    this.conversationHistory.push({ role, text, timestamp: Date.now() });
   }
 
   appendToTranscript(text, _role) {
@@ -576,10 +1182,11 @@ class VoiceAvatarApp {
     if (!bubble) {
       bubble = document.createElement('div');
       bubble.className = 'message assistant assistant-streaming';
+      bubble.lang = getLanguage(this.language).locale;
 
       const label = document.createElement('div');
       label.className = 'message-label';
-      label.textContent = 'Assistant:';
+      label.textContent = this.t('transcript.assistant');
 
       const body = document.createElement('div');
       body.className = 'message-body';
@@ -603,6 +1210,8 @@ class VoiceAvatarApp {
     const bubble = box.querySelector('.message.assistant-streaming');
     if (bubble) {
       bubble.classList.remove('assistant-streaming');
+      const text = bubble.querySelector('.message-body').textContent.trim();
+      if (text) this.conversationHistory.push({ role: 'assistant', text, timestamp: Date.now() });
     }
     const responseBox = document.getElementById('response');
     if (responseBox) responseBox.textContent = '';
@@ -642,6 +1251,36 @@ class VoiceAvatarApp {
     }
   }
 
+  updateDiagnostics(metrics) {
+    const panel = document.getElementById('playback-diagnostics');
+    if (!panel) return;
+    const values = {
+      'diag-queued': `${metrics.queuedMs} ms`,
+      'diag-peak': `${metrics.maxQueuedMs} ms`,
+      'diag-target': `${metrics.targetBufferMs} ms${metrics.adaptive ? ' (adaptive)' : ''}`,
+      'diag-jitter': `${metrics.jitterMs} ms`,
+      'diag-underruns': `${metrics.underruns} (${metrics.underrunMs} ms silent)`,
+      'diag-startup': `${metrics.startupDelayMs} ms`,
+      'diag-received': `${metrics.chunks} chunks, ${metrics.kbReceived} KB`,
+      'diag-lipsync': metrics.textLipsyncPct === null
+        ? `volume only (${metrics.msPerUnit} ms/unit)`
+        : `${metrics.textLipsyncPct}% from text (${metrics.msPerUnit} ms/unit)`
+    };
+    for (const [id, text] of Object.entries(values)) {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    }
+    panel.classList.toggle('has-underruns', metrics.underruns > 0);
+  }
+
+  updateUsageInfo(totals) {
+    const el = document.getElementById('usage-info');
+    if (!el) return;
+    el.textContent = totals
+      ? `| ${totals.totalTokens.toLocaleString()} tokens · ~$${totals.costUsd.toFixed(4)}`
+      : '';
+  }
+
   showLoading(show) {
     const overlay = document.getElementById('loading-overlay');
     if (overlay) {
@@ -0,0 +1,85 @@
+/**
+ * Binary audio framing shared by the browser and server.js (the server
+ * imports this file directly).
+ *
+ * When both sides agree (`binaryAudio: true` in start_session /
+ * resume_session, confirmed in session_started / session_resumed), audio
+ * travels as binary WebSocket messages instead of base64 `audio_chunk` JSON:
+ *
+ *   byte 0     frame type (AUDIO_FRAME.MIC or AUDIO_FRAME.MODEL)
+ *   byte 1     header version (1)
+ *   bytes 2-3  reserved, 0
+ *   bytes 4-7  sequence number, uint32 little-endian, per direction
+ *   bytes 8-   raw 16-bit little-endian mono PCM
+ *              (MIC: 16 kHz from the browser, MODEL: 24 kHz from the model)
+ *
+ * Control messages stay JSON.
+ */
+
+export const AUDIO_FRAME = {
+  MIC: 1,
+  MODEL: 2
+};
+
+export const AUDIO_FRAME_VERSION = 1;
+export const AUDIO_FRAME_HEADER_BYTES = 8;
+
+/**
+ * @param {number} type - AUDIO_FRAME.*
+ * @param {number} seq - Frame counter (wraps at 2^32)
+ * @param {ArrayBuffer|ArrayBufferView} pcm - 16-bit PCM
+ * @returns {Uint8Array}
+ */
+export function encodeAudioFrame(type, seq, pcm) {
+  const payload = toBytes(pcm);
+  const frame = new Uint8Array(AUDIO_FRAME_HEADER_BYTES + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, type);
+  view.setUint8(1, AUDIO_FRAME_VERSION);
+  view.setUint32(4, seq >>> 0, true);
+  frame.set(payload, AUDIO_FRAME_HEADER_BYTES);
+  return frame;
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} data - A binary WebSocket message
+ * @returns {{ type: number, seq: number, pcm: Uint8Array }|null} null if malformed
+ */
+export function decodeAudioFrame(data) {
+  const bytes = toBytes(data);
+  if (bytes.byteLength < AUDIO_FRAME_HEADER_BYTES) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint8(1) !== AUDIO_FRAME_VERSION) return null;
+  if ((bytes.byteLength - AUDIO_FRAME_HEADER_BYTES) % 2 !== 0) return null;
+  return {
+    type: view.getUint8(0),
+    seq: view.getUint32(4, true),
+    pcm: bytes.subarray(AUDIO_FRAME_HEADER_BYTES)
+  };
+}
+
+/**
+ * Base64 helpers for the JSON `audio_chunk` fallback. They convert in
+ * blocks instead of one character at a time.
+ */
+export function bytesToBase64(data) {
+  const bytes = toBytes(data);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(data);
+}
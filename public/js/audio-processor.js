@@ -1,21 +1,49 @@
+import { PerformanceOptimizer } from './performance-optimizer.js';
+import { VoiceActivityDetector } from './voice-activity-detector.js';
+
+const TARGET_SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = 1280; // 80 ms at 16 kHz
+
+export const MIC_MODES = ['always-on', 'hands-free', 'push-to-talk'];
+
 /**
  * AudioProcessor - Captures raw 16kHz mono PCM from the microphone
- * and streams base64-encoded chunks over a callback.
+ * and streams Int16 frames over a callback.
+ *
+ * The mic runs at the browser's native sample rate. Resampling to 16 kHz,
+ * Int16 conversion and framing run in an AudioWorklet
+ * (modules/capture-worklet.js), so a stalled main thread delays frames
+ * instead of dropping audio. ScriptProcessorNode with linear down-sampling
+ * is kept as a fallback for browsers without AudioWorklet.
  *
- * Uses ScriptProcessorNode for broad browser compatibility.
- * The mic runs at the browser's native sample rate and is
- * down-sampled to 16 kHz before sending.
+ * Mic modes decide which frames are sent:
+ *   always-on     every frame
+ *   hands-free    speech only, gated by VoiceActivityDetector
+ *   push-to-talk  only while setPushToTalk(true)
+ * Gated modes keep a pre-roll of recent frames so the start of a word is
+ * not clipped, and report 'start'/'stop' through the activity callback.
  */
 export class AudioProcessor {
   constructor() {
     this.audioContext = null;
     this.stream = null;
+    this.deviceId = null;        // selected mic (null = system default)
     this.sourceNode = null;
     this.processorNode = null;
+    this.captureMode = null;     // 'worklet' | 'script-processor'
     this.analyser = null;
     this.isCapturing = false;
     this.onChunkCallback = null;
     this.onLevelCallback = null;
+    this.onActivityCallback = null;
+
+    this.mode = 'hands-free';
+    this.vad = new VoiceActivityDetector();
+    this.preRollMs = 500;
+    this.preRoll = [];           // recent unsent frames (Int16Array)
+    this.preRollSamples = 0;
+    this.isSending = false;      // gate state in hands-free / push-to-talk
+    this.pushToTalk = false;
   }
 
   async init() {
@@ -23,27 +51,49 @@ export class AudioProcessor {
     console.log('AudioProcessor initialized (lazy)');
   }
 
+  /**
+   * Configure what is sent; can be changed while capturing.
+   * @param {Object} opts
+   * @param {string} [opts.mode] - One of MIC_MODES
+   * @param {Object} [opts.vad] - VoiceActivityDetector thresholds
+   * @param {number} [opts.preRollMs] - Audio kept before speech starts
+   */
+  configure({ mode, vad, preRollMs } = {}) {
+    if (vad) this.vad = new VoiceActivityDetector(vad);
+    if (preRollMs !== undefined) this.preRollMs = preRollMs;
+    // The pre-roll must reach back past the VAD's start delay
+    this.preRollMs = Math.max(this.preRollMs, this.vad.activeThresholdMs + 200);
+    if (mode && mode !== this.mode) {
+      if (!MIC_MODES.includes(mode)) throw new Error(`Unknown mic mode: ${mode}`);
+      this.mode = mode;
+      this._resetGate();
+    }
+  }
+
+  /**
+   * Open or close the push-to-talk gate.
+   */
+  setPushToTalk(pressed) {
+    this.pushToTalk = !!pressed;
+  }
+
   /**
    * Start capturing mic audio and streaming PCM chunks.
-   * @param {WebSocket} ws - WebSocket to send chunks on (or null)
-   * @param {Function} onChunk - Called with base64 PCM string for each chunk
+   * @param {Function} onChunk - Called with an Int16Array of 16 kHz PCM per frame
    * @param {Function} onLevel - Called with audio level 0-100
+   * @param {Function} [onActivity] - Called with 'start' / 'stop' when the
+   *   gate opens or closes (hands-free and push-to-talk modes)
    */
-  async startCapture(onChunk, onLevel) {
+  async startCapture(onChunk, onLevel, onActivity = null) {
     if (this.isCapturing) return;
 
     this.onChunkCallback = onChunk;
     this.onLevelCallback = onLevel;
+    this.onActivityCallback = onActivity;
+    this._resetGate();
 
     // Get mic stream
-    this.stream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        sampleRate: 16000  // hint, browser may ignore
-      }
-    });
+    this.stream = await this._openMicStream(this.deviceId);
 
     // Create audio context at whatever sample rate the browser gives us
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -51,62 +101,81 @@ export class AudioProcessor {
     console.log(`Mic native sample rate: ${nativeSampleRate} Hz`);
 
     this.sourceNode = this.audioContext.createMediaStreamSource(this.stream);
+    this._watchTrack(this.stream);
 
     // Analyser for level metering
     this.analyser = this.audioContext.createAnalyser();
     this.analyser.fftSize = 256;
     this.sourceNode.connect(this.analyser);
 
-    // ScriptProcessor to get raw Float32 samples
-    // bufferSize 4096 at 48kHz ~ 85ms chunks
-    const BUFFER_SIZE = 4096;
-    this.processorNode = this.audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
-
-    this.processorNode.onaudioprocess = (e) => {
-      if (!this.isCapturing) return;
-
-      const inputData = e.inputBuffer.getChannelData(0);
-
-      // Downsample to 16kHz
-      const pcm16k = this._downsample(inputData, nativeSampleRate, 16000);
-
-      // Convert Float32 -> Int16
-      const int16 = this._float32ToInt16(pcm16k);
-
-      // Convert to base64
-      const base64 = this._arrayBufferToBase64(int16.buffer);
+    this.isCapturing = true;
 
-      if (this.onChunkCallback) {
-        this.onChunkCallback(base64);
+    let workletStarted = false;
+    if (PerformanceOptimizer.enableAudioWorklet()) {
+      try {
+        await this._startWorkletCapture();
+        workletStarted = true;
+      } catch (error) {
+        console.warn('Capture worklet unavailable, falling back to ScriptProcessor:', error);
       }
-    };
-
-    this.sourceNode.connect(this.processorNode);
-    this.processorNode.connect(this.audioContext.destination); // required for ScriptProcessor
-
-    this.isCapturing = true;
+    }
+    if (!workletStarted) {
+      this._startScriptProcessorCapture(nativeSampleRate);
+    }
 
     // Start level monitoring
     if (this.onLevelCallback) {
       this._monitorLevels();
     }
 
-    console.log('Mic capture started (16kHz PCM streaming)');
+    console.log(`Mic capture started (16kHz PCM streaming via ${this.captureMode})`);
+  }
+
+  /**
+   * Select the mic. While capturing, the new device is swapped into the
+   * running graph, so the server session and the worklet are unaffected.
+   * @param {string|null} deviceId - null for the system default
+   */
+  async setInputDevice(deviceId) {
+    this.deviceId = deviceId || null;
+    if (!this.isCapturing) return;
+
+    const stream = await this._openMicStream(this.deviceId);
+    if (!this.isCapturing) {
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+
+    const source = this.audioContext.createMediaStreamSource(stream);
+    if (this.analyser) source.connect(this.analyser);
+    if (this.processorNode) source.connect(this.processorNode);
+
+    this.sourceNode?.disconnect();
+    this.stream?.getTracks().forEach(t => { t.onended = null; t.stop(); });
+    this.sourceNode = source;
+    this.stream = stream;
+    this._watchTrack(stream);
+    this.vad.reset();
+
+    console.log(`Mic switched to ${stream.getAudioTracks()[0]?.label || 'default device'}`);
   }
 
   stopCapture() {
     this.isCapturing = false;
 
     if (this.processorNode) {
+      if (this.processorNode.port) this.processorNode.port.onmessage = null;
+      else this.processorNode.onaudioprocess = null;
       this.processorNode.disconnect();
       this.processorNode = null;
     }
+    this.captureMode = null;
     if (this.sourceNode) {
       this.sourceNode.disconnect();
       this.sourceNode = null;
     }
     if (this.stream) {
-      this.stream.getTracks().forEach(t => t.stop());
+      this.stream.getTracks().forEach(t => { t.onended = null; t.stop(); });
       this.stream = null;
     }
     if (this.audioContext) {
@@ -116,10 +185,153 @@ export class AudioProcessor {
     this.analyser = null;
     this.onChunkCallback = null;
     this.onLevelCallback = null;
+    this.onActivityCallback = null;
+    this._resetGate();
 
     console.log('Mic capture stopped');
   }
 
+  // --- Mic stream ---
+
+  async _openMicStream(deviceId) {
+    const audio = {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+      sampleRate: 16000  // hint, browser may ignore
+    };
+    if (!deviceId) return navigator.mediaDevices.getUserMedia({ audio });
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: { ...audio, deviceId: { exact: deviceId } } });
+    } catch (error) {
+      if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+      console.warn('Selected mic is unavailable, using the default device');
+      return navigator.mediaDevices.getUserMedia({ audio });
+    }
+  }
+
+  // An unplugged mic ends its track; keep capturing from the default device
+  _watchTrack(stream) {
+    const track = stream.getAudioTracks()[0];
+    if (!track) return;
+    track.onended = () => {
+      if (!this.isCapturing || this.stream !== stream) return;
+      console.warn(`Mic "${track.label}" disconnected, switching to the default device`);
+      this.setInputDevice(null).catch(err => console.error('Mic fallback failed:', err));
+    };
+  }
+
+  // --- Capture backends ---
+
+  async _startWorkletCapture() {
+    const moduleUrl = new URL('../modules/capture-worklet.js', import.meta.url);
+    await this.audioContext.audioWorklet.addModule(moduleUrl);
+    if (!this.isCapturing) return; // stopped while the module was loading
+
+    this.processorNode = new AudioWorkletNode(this.audioContext, 'capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      processorOptions: {
+        targetSampleRate: TARGET_SAMPLE_RATE,
+        frameSamples: FRAME_SAMPLES
+      }
+    });
+
+    this.processorNode.port.onmessage = (event) => {
+      if (!this.isCapturing || event.data?.type !== 'frame') return;
+      this._handleFrame(new Int16Array(event.data.data));
+    };
+
+    this.sourceNode.connect(this.processorNode);
+    // The worklet writes no output; connecting it keeps the graph pulling it
+    this.processorNode.connect(this.audioContext.destination);
+    this.captureMode = 'worklet';
+  }
+
+  _startScriptProcessorCapture(nativeSampleRate) {
+    // bufferSize 4096 at 48kHz ~ 85ms chunks
+    const BUFFER_SIZE = 4096;
+    this.processorNode = this.audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
+
+    this.processorNode.onaudioprocess = (e) => {
+      if (!this.isCapturing) return;
+
+      const inputData = e.inputBuffer.getChannelData(0);
+
+      // Downsample to 16kHz
+      const pcm16k = this._downsample(inputData, nativeSampleRate, TARGET_SAMPLE_RATE);
+
+      // Convert Float32 -> Int16
+      this._handleFrame(this._float32ToInt16(pcm16k));
+    };
+
+    this.sourceNode.connect(this.processorNode);
+    this.processorNode.connect(this.audioContext.destination); // required for ScriptProcessor
+    this.captureMode = 'script-processor';
+  }
+
+  // --- Gating ---
+
+  _handleFrame(int16) {
+    if (this.mode === 'always-on') {
+      this._sendFrame(int16);
+      return;
+    }
+
+    let open;
+    if (this.mode === 'hands-free') {
+      const change = this.vad.process(int16);
+      open = change === 'start' ? true : change === 'stop' ? false : this.isSending;
+    } else {
+      open = this.pushToTalk;
+    }
+
+    if (open) {
+      if (!this.isSending) {
+        this.isSending = true;
+        this.onActivityCallback?.('start');
+        for (const frame of this.preRoll) this._sendFrame(frame);
+        this.preRoll = [];
+        this.preRollSamples = 0;
+      }
+      this._sendFrame(int16);
+      return;
+    }
+
+    if (this.isSending) {
+      // The closing frame is trailing silence the server endpointing can use
+      this._sendFrame(int16);
+      this.isSending = false;
+      this.onActivityCallback?.('stop');
+      return;
+    }
+
+    this.preRoll.push(int16);
+    this.preRollSamples += int16.length;
+    const maxSamples = this.preRollMs / 1000 * TARGET_SAMPLE_RATE;
+    while (this.preRollSamples - this.preRoll[0].length >= maxSamples) {
+      this.preRollSamples -= this.preRoll.shift().length;
+    }
+  }
+
+  _sendFrame(int16) {
+    if (this.onChunkCallback) {
+      this.onChunkCallback(int16);
+    }
+  }
+
+  _resetGate() {
+    if (this.isSending) this.onActivityCallback?.('stop');
+    this.isSending = false;
+    this.pushToTalk = false;
+    this.preRoll = [];
+    this.preRollSamples = 0;
+    this.vad.reset();
+  }
+
   // --- Internal helpers ---
 
   _downsample(float32Array, fromRate, toRate) {
@@ -146,15 +358,6 @@ export class AudioProcessor {
     return int16;
   }
 
-  _arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-      binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
-  }
-
   _monitorLevels() {
     if (!this.analyser || !this.isCapturing) return;
 
@@ -31,7 +31,7 @@ export class AvatarBehaviors {
   
   performIdleAction() {
     const actions = [
-      () => this.controller.playGesture('handup', 2),
+      () => this.controller.playGesture(this.pickIdleGesture(), 2),
       () => this.controller.lookAtCamera(2000),
       () => this.randomLook(),
       () => this.blink()
@@ -41,6 +41,12 @@ export class AvatarBehaviors {
     randomAction();
   }
   
+  pickIdleGesture() {
+    // Moods can list their own gestures (public/moods/*.json)
+    const gestures = this.controller.moods.gestures(this.controller.currentMood);
+    return gestures.length ? gestures[Math.floor(Math.random() * gestures.length)] : 'handup';
+  }
+  
   randomLook() {
     // Look at random position
     const x = Math.random() * 100 - 50;
@@ -1,138 +1,94 @@
+import { ActionScheduler } from './action-scheduler.js';
+import { ExpressionEngine, EXPRESSIONS } from './expression-engine.js';
+import { MoodRegistry } from './mood-registry.js';
+
 export class AvatarController {
   constructor(head) {
     this.head = head;
     this.isSpeaking = false;
     this.currentMood = 'neutral';
+    this.expressions = new ExpressionEngine(head);
+    this.moods = new MoodRegistry(head);
+    this.scheduler = new ActionScheduler(this);
   }
 
   async init() {
     if (!this.head) {
       throw new Error('TalkingHead instance not provided');
     }
-    this.registerCustomMoods();
+    await this.moods.load();
     console.log('Avatar controller initialized');
   }
 
   // --- Tool call dispatcher (Gemini function calling) ---
 
   /**
-   * Execute an avatar action from a Gemini tool call.
+   * Execute an avatar action from a Gemini tool call. Actions go through
+   * the ActionScheduler, which may defer them until the avatar stops
+   * speaking and resolves conflicts between face, hands, body and camera.
    * @param {string} name - Tool function name
    * @param {Object} args - Tool arguments
-   * @returns {string} result description
+   * @returns {Promise<Object>} structured result, resolved once the action
+   *   has started, failed or been dropped (see ActionScheduler)
    */
-  handleToolCall(name, args) {
-    switch (name) {
-      case 'set_mood':
-        this.setMood(args.mood);
-        return `Mood set to ${args.mood}`;
-
-      case 'set_expression':
-        this.playExpression(args.expression);
-        return `Playing expression ${args.expression}`;
-
-      case 'play_gesture':
-        this.playGesture(args.gesture, args.duration || 2);
-        return `Playing gesture ${args.gesture}`;
-
-      case 'play_animation':
-        this.playAnimation(args.animation, args.duration);
-        return `Playing animation ${args.animation}`;
-
-      case 'set_camera_view':
-        this.setCameraView(args.view);
-        return `Camera view set to ${args.view}`;
-
-      default:
-        console.warn(`Unknown tool call: ${name}`);
-        return `Unknown tool: ${name}`;
-    }
+  async handleToolCall(name, args) {
+    if (name === 'get_avatar_state') return { status: 'ok', state: this.getState() };
+    return this.scheduler.schedule(name, args);
   }
 
-  // --- Micro-expressions ---
+  // --- State ---
 
-  playExpression(expression) {
-    const DURATION = 2000;
-    const expressions = {
-      wink: { eyeBlinkLeft: 1 },
-      raised_eyebrow: { browOuterUpLeft: 0.8 },
-      surprise: { eyeWideLeft: 0.8, eyeWideRight: 0.8, browInnerUp: 0.8, jawOpen: 0.4 },
-      thinking: { eyeLookUpLeft: 0.5, mouthPucker: 0.3, browInnerUp: 0.3 },
-      smirk: { mouthSmileLeft: 0.5, browOuterUpLeft: 0.3 },
-      pout: { mouthPucker: 0.6, mouthFrownLeft: 0.3, mouthFrownRight: 0.3, browInnerUp: 0.4 },
-      tongue_out: { tongueOut: 0.7, mouthSmileLeft: 0.15, mouthSmileRight: 0.15 },
-      eye_roll: { eyeLookUpLeft: 0.6, eyeLookUpRight: 0.6, eyeBlinkLeft: 0.3, eyeBlinkRight: 0.3 },
-      cringe: { eyeSquintLeft: 0.8, eyeSquintRight: 0.8, noseSneerLeft: 0.5, noseSneerRight: 0.5, mouthStretchLeft: 0.5, mouthStretchRight: 0.5 },
-      cheek_puff: { cheekPuff: 0.8 }
+  /**
+   * Snapshot of what the avatar is doing, for get_avatar_state and the
+   * server's periodic state notes.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.withAvailable=true] - Include the supported
+   *   moods, gestures and expressions (static, so reports leave them out)
+   */
+  getState({ withAvailable = true } = {}) {
+    const { mood, view, gesture, animation } = this.scheduler.getState();
+    const state = {
+      avatar: this.head.avatar?.url?.split('/').pop().replace(/\.glb$/i, '') || null,
+      mood,
+      view,
+      isAnimationPlaying: this.isAnimationPlaying(),
+      animation,
+      gesture,
+      expression: this.expressions.getActive(),
+      isSpeaking: this.isSpeaking
     };
-
-    const morphs = expressions[expression];
-    if (!morphs) {
-      console.warn(`Unknown expression: ${expression}`);
-      return;
+    if (withAvailable) {
+      state.available = {
+        moods: this.moods.names(),
+        gestures: Object.keys(this.head.gestureTemplates || {}),
+        expressions: Object.keys(EXPRESSIONS)
+      };
     }
+    return state;
+  }
 
+  // --- Micro-expressions ---
+
+  /**
+   * Fade a micro-expression in and out on top of the mood (ExpressionEngine).
+   * @param {string} expression - EXPRESSIONS key
+   * @param {Object} [opts] - intensity (0..1), duration (seconds), side
+   *   (left, right or both for one-sided expressions)
+   * @returns {number} how long the expression lasts in ms, 0 if it did not play
+   */
+  playExpression(expression, opts = {}) {
     try {
-      for (const [target, value] of Object.entries(morphs)) {
-        this.head.setFixedValue(target, value, DURATION);
-      }
-      console.log(`Playing expression: ${expression} (${DURATION}ms)`);
+      const played = this.expressions.play(expression, opts);
+      if (!played) return 0;
+      const side = played.side ? `, ${played.side}` : '';
+      console.log(`Playing expression: ${expression} (${played.durationMs}ms, intensity ${played.intensity}${side})`);
+      return played.durationMs;
     } catch (error) {
       console.error('Play expression error:', error);
+      return 0;
     }
   }
 
-  // --- Custom moods ---
-
-  registerCustomMoods() {
-    if (!this.head?.animMoods) return;
-
-    // Get the neutral mood as a base template for anims
-    const neutralAnims = this.head.animMoods['neutral']?.anims;
-    if (!neutralAnims) return;
-
-    const customMoods = {
-      surprised: {
-        baseline: { eyeWideLeft: 0.7, eyeWideRight: 0.7, browInnerUp: 0.8, browOuterUpLeft: 0.5, browOuterUpRight: 0.5, jawOpen: 0.3, mouthFunnel: 0.2 },
-        speech: { deltaRate: 0.1, deltaPitch: 0.3, deltaVolume: 0 }
-      },
-      confused: {
-        baseline: { browDownLeft: 0.5, browInnerUp: 0.4, browOuterUpRight: 0.4, eyeSquintLeft: 0.3, mouthFrownLeft: 0.2, mouthFrownRight: 0.2, mouthPucker: 0.2 },
-        speech: { deltaRate: -0.1, deltaPitch: 0, deltaVolume: 0 }
-      },
-      flirty: {
-        baseline: { browOuterUpLeft: 0.3, eyeBlinkRight: 0.2, eyeSquintLeft: 0.4, eyeSquintRight: 0.4, mouthSmileLeft: 0.3, mouthSmileRight: 0.15, mouthDimpleLeft: 0.2, mouthDimpleRight: 0.2 },
-        speech: { deltaRate: -0.1, deltaPitch: -0.3, deltaVolume: 0 }
-      },
-      confident: {
-        baseline: { browDownLeft: 0.15, browDownRight: 0.15, eyeSquintLeft: 0.2, eyeSquintRight: 0.2, mouthSmileLeft: 0.15, mouthSmileRight: 0.15, jawForward: 0.1 },
-        speech: { deltaRate: -0.1, deltaPitch: -0.1, deltaVolume: 0 }
-      },
-      bored: {
-        baseline: { eyeBlinkLeft: 0.3, eyeBlinkRight: 0.3, eyesLookDown: 0.3, mouthFrownLeft: 0.2, mouthFrownRight: 0.2, mouthRollLower: 0.2, browInnerUp: 0.1 },
-        speech: { deltaRate: -0.2, deltaPitch: -0.2, deltaVolume: 0 }
-      },
-      excited: {
-        baseline: { eyeWideLeft: 0.4, eyeWideRight: 0.4, mouthSmileLeft: 0.4, mouthSmileRight: 0.4, browInnerUp: 0.5, browOuterUpLeft: 0.3, browOuterUpRight: 0.3, mouthDimpleLeft: 0.2, mouthDimpleRight: 0.2 },
-        speech: { deltaRate: 0.2, deltaPitch: 0.3, deltaVolume: 0 }
-      },
-      skeptical: {
-        baseline: { browDownRight: 0.4, browOuterUpLeft: 0.6, eyeSquintRight: 0.4, mouthPucker: 0.15, mouthLeft: 0.2 },
-        speech: { deltaRate: -0.1, deltaPitch: 0, deltaVolume: 0 }
-      }
-    };
-
-    for (const [name, mood] of Object.entries(customMoods)) {
-      this.head.animMoods[name] = {
-        baseline: mood.baseline,
-        speech: mood.speech,
-        anims: neutralAnims
-      };
-    }
-
-    console.log('Custom moods registered:', Object.keys(customMoods).join(', '));
-  }
-
   // --- Speech (legacy, kept for non-streaming fallback) ---
 
   async speak(audioData, timestamps, text) {
@@ -158,7 +114,8 @@ export class AvatarController {
         wtimes,
         wdurations
       }, {
-        lipsyncLang: 'en'
+        // The session language set on the avatar by the app
+        lipsyncLang: this.head.avatar?.lipsyncLang || this.head.opt.lipsyncLang
       });
 
       this.isSpeaking = false;
@@ -183,29 +140,38 @@ export class AvatarController {
 
   // --- Mood ---
 
+  /**
+   * @returns {boolean} false if TalkingHead rejected the mood
+   */
   setMood(mood) {
     try {
-      this.currentMood = mood;
       this.head.setMood(mood);
+      this.currentMood = mood;
       console.log(`Avatar mood set to: ${mood}`);
+      return true;
     } catch (error) {
       console.error('Set mood error:', error);
+      return false;
     }
   }
 
   // --- Camera ---
 
+  /**
+   * @returns {boolean} false for an unknown view or when the camera is not ours
+   */
   setCameraView(view) {
     try {
-      if (this.head?.setView) {
-        this.head.setView(view);
-        console.log(`Camera view set to: ${view}`);
-        // Sync the UI dropdown
-        const viewSelect = document.getElementById('camera-view');
-        if (viewSelect) viewSelect.value = view;
-      }
+      if (!this.head?.setView || !['head', 'upper', 'mid', 'full'].includes(view)) return false;
+      this.head.setView(view);
+      console.log(`Camera view set to: ${view}`);
+      // Sync the UI dropdown
+      const viewSelect = document.getElementById('camera-view');
+      if (viewSelect) viewSelect.value = view;
+      return this.head.viewName === view;
     } catch (error) {
       console.error('Set camera view error:', error);
+      return false;
     }
   }
 
@@ -227,17 +193,31 @@ export class AvatarController {
 
   // --- Gestures ---
 
+  /**
+   * @returns {boolean} false if the avatar has no such gesture
+   */
   playGesture(gesture, duration = 2) {
     try {
+      if (!this.head.gestureTemplates?.[gesture]) {
+        console.warn(`Unknown gesture: ${gesture}`);
+        return false;
+      }
       this.head.playGesture(gesture, duration);
       console.log(`Playing gesture: ${gesture}`);
+      return true;
     } catch (error) {
       console.error('Play gesture error:', error);
+      return false;
     }
   }
 
   // --- Animations ---
 
+  /**
+   * @returns {Promise<number|false>} seconds the clip will actually play
+   *   (whole loops of it), or false if the animation is not in the library.
+   *   Rejects when the FBX fails to load or has no usable clip.
+   */
   async playAnimation(animationName, duration = 5, scale = 0.01) {
     try {
       const animConfig = window.animationLibrary?.getAnimation(animationName);
@@ -251,8 +231,15 @@ export class AvatarController {
       const finalDuration = duration || animConfig.duration || 5;
 
       console.log(`Playing animation: ${animationName} (${animConfig.file}) for ${finalDuration}s`);
+      const previousMixer = this.head.mixer;
       await this.head.playAnimation(url, null, finalDuration, 0, scale);
-      return true;
+
+      // TalkingHead only logs a missing clip, and does nothing without an armature
+      if (!this.head.mixer || this.head.mixer === previousMixer) {
+        throw new Error(`${animConfig.file} has no playable animation`);
+      }
+      const clip = this.head.animClips?.find(x => x.url === `${url}-0`)?.clip;
+      return clip ? Math.ceil(finalDuration / clip.duration) * clip.duration : finalDuration;
     } catch (error) {
       console.error(`Error playing animation ${animationName}:`, error);
       throw error;
@@ -270,7 +257,7 @@ export class AvatarController {
 
   isAnimationPlaying() {
     try {
-      return this.head.mixer && this.head.mixer._actions.length > 0;
+      return !!this.head.mixer && this.head.mixer._actions.length > 0;
     } catch (error) {
       return false;
     }
@@ -1,6 +1,8 @@
 // TalkingHead Avatar Fix
 // This file provides additional error handling and initialization helpers
 
+import { SpectralVisemeClassifier } from './viseme-classifier.js';
+
 export function waitForAvatarReady(talkingHead, maxWaitMs = 10000) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
@@ -46,7 +48,8 @@ export function patchTalkingHeadAnimate(talkingHead) {
   const loggedErrors = new Set();
 
   // --- Lipsync mode detection (lazy, after model loads) ---
-  // 'viseme'    → model has viseme_aa etc. — drive visemes from audio volume
+  // 'viseme'    → model has viseme_aa etc. — transcript visemes when queued,
+  //               otherwise shapes from the audio spectrum, scaled by volume
   // 'mouthOpen' → model only has mouthOpen  — drive mouthOpen from audio volume
   // 'none'      → no usable morph targets
   let lipsyncMode = null; // null = not detected yet
@@ -54,10 +57,58 @@ export function patchTalkingHeadAnimate(talkingHead) {
   // Smoothed volume value (persists across frames)
   let smoothVol = 0;
 
-  // Secondary-viseme rotation for subtle variety
-  const SECONDARY_VISEMES = ['E', 'O', 'I', 'U'];
-  let secondaryIdx = 0;
-  let secondaryTimer = 0;
+  // Volume fallback shapes: morph weights (at full volume) for each viseme
+  // the spectral classifier can pick. PP (lips shut) ignores the volume.
+  const SHAPES = {
+    aa: { aa: 0.85 },
+    E: { aa: 0.35, E: 0.6 },
+    I: { aa: 0.2, I: 0.6 },
+    O: { aa: 0.35, O: 0.6 },
+    U: { aa: 0.15, U: 0.65 },
+    nn: { aa: 0.2, nn: 0.5 },
+    SS: { aa: 0.1, SS: 0.6 },
+    TH: { aa: 0.15, TH: 0.6 },
+    FF: { FF: 0.7 },
+    PP: { PP: 0.7 },
+    sil: {}
+  };
+  const FALLBACK_VISEMES = ['aa', 'E', 'I', 'O', 'U', 'nn', 'SS', 'TH', 'FF', 'PP'];
+  const morphLevels = {};
+
+  // Spectral tap on TalkingHead's analyser (created once the audio graph exists)
+  let spectralTap = null;
+  let spectrum = null;
+  let classifier = null;
+  const classifyShape = (head, dt) => {
+    if (!spectralTap && head.audioCtx && head.audioAnalyzerNode) {
+      spectralTap = head.audioCtx.createAnalyser();
+      spectralTap.fftSize = 1024;
+      spectralTap.smoothingTimeConstant = 0.3;
+      head.audioAnalyzerNode.connect(spectralTap);
+      spectrum = new Float32Array(spectralTap.frequencyBinCount);
+      classifier = new SpectralVisemeClassifier({ sampleRate: head.audioCtx.sampleRate, fftSize: 1024 });
+    }
+    if (!spectralTap) return 'aa';
+    spectralTap.getFloatFrequencyData(spectrum);
+    return classifier.classify(spectrum, dt);
+  };
+
+  // Transcript visemes (StreamingHandler.addText) queued for this moment
+  const textVisemesActive = (head) => head.animQueue.some(a =>
+    a.template?.name === 'viseme' && a.ts[0] <= head.animClock && a.ts[a.ts.length - 1] >= head.animClock
+  );
+
+  // Hand the viseme morphs back to the animQueue
+  const releaseVisemes = (mtAvatar) => {
+    for (const v of FALLBACK_VISEMES) {
+      morphLevels[v] = 0;
+      const mt = mtAvatar['viseme_' + v];
+      if (mt && mt.realtime !== null) {
+        mt.realtime = null;
+        mt.needsUpdate = true;
+      }
+    }
+  };
 
   // Replace with safe version
   talkingHead.animate = function(delta) {
@@ -68,7 +119,7 @@ export function patchTalkingHeadAnimate(talkingHead) {
       if (lipsyncMode === null && this.mtAvatar) {
         if (this.mtAvatar.viseme_aa) {
           lipsyncMode = 'viseme';
-          console.log('[AVATAR-FIX] Viseme blend shapes detected — audio-reactive viseme lipsync enabled');
+          console.log('[AVATAR-FIX] Viseme blend shapes detected — transcript viseme lipsync with spectral fallback');
         } else if (this.mtAvatar.mouthOpen) {
           lipsyncMode = 'mouthOpen';
           console.log('[AVATAR-FIX] No viseme blend shapes — audio-reactive mouthOpen fallback enabled');
@@ -96,32 +147,22 @@ export function patchTalkingHeadAnimate(talkingHead) {
           const rawTarget = Math.min(1.0, vol / 170);
           smoothVol = smoothVol * 0.4 + rawTarget * 0.6;
 
-          if (lipsyncMode === 'viseme') {
-            // --- Drive viseme blend shapes ---
-            // Primary: viseme_aa at full amplitude (jaw open)
-            const aa = this.mtAvatar.viseme_aa;
-            aa.realtime = smoothVol * 0.85;
-            aa.needsUpdate = true;
-
-            // Rotate a secondary viseme every ~120 ms for shape variety
-            secondaryTimer += (typeof delta === 'number' && delta > 0 && delta < 200) ? delta : 16;
-            if (secondaryTimer > 120) {
-              secondaryTimer = 0;
-              secondaryIdx = (secondaryIdx + 1) % SECONDARY_VISEMES.length;
-            }
-
-            // Set secondary viseme at lower intensity
-            for (let i = 0; i < SECONDARY_VISEMES.length; i++) {
-              const key = 'viseme_' + SECONDARY_VISEMES[i];
-              const mt = this.mtAvatar[key];
-              if (mt) {
-                if (i === secondaryIdx) {
-                  mt.realtime = smoothVol * 0.35;
-                } else {
-                  mt.realtime = 0;
-                }
-                mt.needsUpdate = true;
-              }
+          if (lipsyncMode === 'viseme' && textVisemesActive(this)) {
+            // --- Text-driven visemes play from the animQueue ---
+            releaseVisemes(this.mtAvatar);
+          } else if (lipsyncMode === 'viseme') {
+            // --- Volume fallback: no transcript for this stretch yet ---
+            // The spectrum picks the mouth shape, the volume how far it opens
+            const dt = (typeof delta === 'number' && delta > 0 && delta < 200) ? delta : 16;
+            const shape = SHAPES[classifyShape(this, dt)] || SHAPES.aa;
+            for (const v of FALLBACK_VISEMES) {
+              const mt = this.mtAvatar['viseme_' + v];
+              if (!mt) continue;
+              const target = (shape[v] || 0) * (v === 'PP' ? 1 : smoothVol);
+              // Cross-fade over a few frames so shape changes do not flicker
+              morphLevels[v] = (morphLevels[v] || 0) * 0.5 + target * 0.5;
+              mt.realtime = morphLevels[v];
+              mt.needsUpdate = true;
             }
           } else {
             // --- mouthOpen fallback ---
@@ -148,7 +189,9 @@ export function patchTalkingHeadAnimate(talkingHead) {
                 aa.needsUpdate = true;
               }
             }
-            for (const v of SECONDARY_VISEMES) {
+            for (const v of FALLBACK_VISEMES) {
+              morphLevels[v] = 0;
+              if (v === 'aa') continue;
               const mt = this.mtAvatar['viseme_' + v];
               if (mt && mt.realtime !== null) {
                 mt.realtime = null;
@@ -0,0 +1,85 @@
+const STORAGE_KEYS = {
+  audioinput: 'avatar.micDeviceId',
+  audiooutput: 'avatar.speakerDeviceId'
+};
+
+/**
+ * DeviceManager - Enumerates microphones and speakers, remembers the
+ * user's choice in localStorage and reports `devicechange` events.
+ *
+ * A preferred device that is currently unplugged is kept, so the app falls
+ * back to the system default and switches back when it reappears (USB
+ * headsets on kiosks).
+ */
+export class DeviceManager {
+  constructor() {
+    this.inputs = [];
+    this.outputs = [];
+    this.onChange = null;
+    this._onDeviceChange = () => this.onChange?.();
+  }
+
+  /**
+   * Output selection needs AudioContext.setSinkId (Chromium 110+).
+   */
+  get canSelectOutput() {
+    return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+  }
+
+  /**
+   * Re-read the device list. Labels are empty until mic permission is granted.
+   */
+  async refresh() {
+    if (!navigator.mediaDevices?.enumerateDevices) return { inputs: [], outputs: [] };
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const list = (kind, fallbackLabel) => devices
+      .filter(d => d.kind === kind && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `${fallbackLabel} ${i + 1}` }));
+
+    this.inputs = list('audioinput', 'Microphone');
+    this.outputs = this.canSelectOutput ? list('audiooutput', 'Speaker') : [];
+    return { inputs: this.inputs, outputs: this.outputs };
+  }
+
+  getPreferred(kind) {
+    try {
+      return localStorage.getItem(STORAGE_KEYS[kind]) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setPreferred(kind, deviceId) {
+    try {
+      if (deviceId) localStorage.setItem(STORAGE_KEYS[kind], deviceId);
+      else localStorage.removeItem(STORAGE_KEYS[kind]);
+    } catch (e) {
+      // Storage disabled (private mode); the choice lasts for this page only
+    }
+  }
+
+  /**
+   * Device to use now: the preferred one if it is plugged in, else null
+   * (system default).
+   * @param {'audioinput'|'audiooutput'} kind
+   */
+  resolve(kind) {
+    const preferred = this.getPreferred(kind);
+    const available = kind === 'audioinput' ? this.inputs : this.outputs;
+    return preferred && available.some(d => d.deviceId === preferred) ? preferred : null;
+  }
+
+  /**
+   * Call `onChange` whenever a device is plugged in or removed.
+   */
+  watch(onChange) {
+    this.onChange = onChange;
+    navigator.mediaDevices?.addEventListener?.('devicechange', this._onDeviceChange);
+  }
+
+  unwatch() {
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this._onDeviceChange);
+    this.onChange = null;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * ExpressionEngine - Plays micro-expressions as morph target offsets that
+ * fade in and out on top of whatever the face is already doing.
+ *
+ * Each expression runs an attack / hold / release envelope (eased, so it
+ * never pops), scaled by an intensity between 0 and 1. Offsets of all
+ * running expressions are summed and added to the value TalkingHead computes
+ * from the mood baseline and its own animations (blinks, visemes), then
+ * clamped to the morph target's range. Nothing is fixed, so the mood and
+ * lipsync keep running underneath.
+ *
+ * The offsets are applied through TalkingHead's per-morph `limit` hook,
+ * which it evaluates after smoothing. The engine wraps the hook while an
+ * expression uses the morph target and restores it afterwards.
+ *
+ * One-sided expressions (wink, raised_eyebrow, smirk) are written with the
+ * avatar's left side leading. `side: 'right'` mirrors them, `side: 'both'`
+ * applies the leading side to both.
+ */
+
+// description: when to use it (for the system prompt); shapes: ARKit morph
+// targets at full intensity; attack/hold/release in ms
+export const EXPRESSIONS = {
+  wink: {
+    description: 'playful',
+    shapes: { eyeBlinkLeft: 1, eyeSquintLeft: 0.3, cheekSquintLeft: 0.3, mouthSmileLeft: 0.2 },
+    asymmetric: true, attack: 90, hold: 250, release: 200
+  },
+  raised_eyebrow: {
+    description: 'skepticism',
+    shapes: { browOuterUpLeft: 0.8, browInnerUp: 0.2, browDownRight: 0.2 },
+    asymmetric: true, attack: 200, hold: 1400, release: 400
+  },
+  surprise: {
+    description: 'shock/wow',
+    shapes: { eyeWideLeft: 0.8, eyeWideRight: 0.8, browInnerUp: 0.8, browOuterUpLeft: 0.5, browOuterUpRight: 0.5, jawOpen: 0.4 },
+    attack: 100, hold: 1100, release: 500
+  },
+  thinking: {
+    description: 'pondering',
+    shapes: { eyeLookUpLeft: 0.5, eyeLookUpRight: 0.5, mouthPucker: 0.3, browInnerUp: 0.3 },
+    attack: 400, hold: 1800, release: 600
+  },
+  smirk: {
+    description: 'knowing/sarcasm',
+    shapes: { mouthSmileLeft: 0.5, mouthDimpleLeft: 0.3, cheekSquintLeft: 0.2, browOuterUpLeft: 0.3 },
+    asymmetric: true, attack: 250, hold: 1400, release: 500
+  },
+  pout: {
+    description: 'sulky/cute',
+    shapes: { mouthPucker: 0.6, mouthFrownLeft: 0.3, mouthFrownRight: 0.3, browInnerUp: 0.4 },
+    attack: 250, hold: 1400, release: 500
+  },
+  tongue_out: {
+    description: 'playful/silly',
+    shapes: { tongueOut: 0.7, mouthSmileLeft: 0.15, mouthSmileRight: 0.15 },
+    attack: 200, hold: 1200, release: 400
+  },
+  eye_roll: {
+    description: 'exasperation',
+    shapes: { eyeLookUpLeft: 0.6, eyeLookUpRight: 0.6, eyeBlinkLeft: 0.3, eyeBlinkRight: 0.3 },
+    attack: 350, hold: 700, release: 500
+  },
+  cringe: {
+    description: 'awkward',
+    shapes: { eyeSquintLeft: 0.8, eyeSquintRight: 0.8, noseSneerLeft: 0.5, noseSneerRight: 0.5, mouthStretchLeft: 0.5, mouthStretchRight: 0.5 },
+    attack: 150, hold: 1200, release: 500
+  },
+  cheek_puff: {
+    description: 'holding breath/thinking',
+    shapes: { cheekPuff: 0.8 },
+    attack: 300, hold: 1300, release: 500
+  }
+};
+
+export const EXPRESSION_SIDES = ['left', 'right', 'both'];
+
+/**
+ * Format the expression list for the AI system prompt: every expression with
+ * its description, then the one-sided ones that take `side`.
+ * Used by the server to build the set_expression tool guidance.
+ * @param {Object} [expressions] - Subset of EXPRESSIONS (default: all of them)
+ */
+export function getExpressionPromptText(expressions = EXPRESSIONS) {
+  const entries = Object.entries(expressions);
+  const list = entries.map(([name, def]) => `${name} (${def.description})`).join(', ');
+  const sided = entries.filter(([, def]) => def.asymmetric).map(([name]) => name);
+  return sided.length
+    ? `${list}. One-sided, these take a side (${EXPRESSION_SIDES.join(', ')}): ${sided.join(', ')}`
+    : list;
+}
+
+const MIN_DURATION_MS = 300;
+const MAX_DURATION_MS = 10000;
+const MAX_ACTIVE = 3;          // held at once; older expressions are released early
+const DETACH_AFTER_MS = 250;   // keep a zero offset for a few model frames before unhooking
+
+const ease = (t) => t * t * (3 - 2 * t);
+const mirror = (mt) => mt.replace(/(Left|Right)$/, side => side === 'Left' ? 'Right' : 'Left');
+
+/**
+ * Morph targets for one side of an expression.
+ * @param {Object} def - EXPRESSIONS entry
+ * @param {string} side - left, right or both
+ * @returns {Object} morph target → value at full intensity
+ */
+export function resolveShapes(def, side) {
+  if (!def.asymmetric || side === 'left') return { ...def.shapes };
+  const shapes = {};
+  for (const [mt, value] of Object.entries(def.shapes)) {
+    const targets = side === 'right' ? [mirror(mt)] : [mt, mirror(mt)];
+    for (const target of targets) {
+      shapes[target] = Math.max(shapes[target] || 0, value);
+    }
+  }
+  return shapes;
+}
+
+export class ExpressionEngine {
+  /**
+   * @param {TalkingHead} head
+   */
+  constructor(head) {
+    this.head = head;
+    this.active = [];            // { name, side, shapes, intensity, from, start, attackEnd, holdEnd, end, releaseFrom }
+    this.hooks = new Map();      // morph target → { o, limit, idleSince } while its limit is wrapped
+    this.frame = null;
+  }
+
+  /**
+   * Start an expression.
+   * @param {string} name - EXPRESSIONS key
+   * @param {Object} [opts]
+   * @param {number} [opts.intensity=1] - 0..1, scales every morph offset
+   * @param {number} [opts.duration] - Total seconds including fade in and
+   *   out (default per expression)
+   * @param {string} [opts.side] - left, right or both, for one-sided
+   *   expressions (default left)
+   * @returns {{name: string, side: string|null, intensity: number, durationMs: number}|null}
+   *   null if the expression is unknown or the avatar has none of its morphs
+   */
+  play(name, { intensity = 1, duration, side } = {}) {
+    const def = EXPRESSIONS[name];
+    if (!def) {
+      console.warn(`[EXPRESSION] Unknown expression: ${name}`);
+      return null;
+    }
+    const mtAvatar = this.head.mtAvatar || {};
+    const resolvedSide = def.asymmetric ? (EXPRESSION_SIDES.includes(side) ? side : 'left') : null;
+    const shapes = Object.fromEntries(
+      Object.entries(resolveShapes(def, resolvedSide)).filter(([mt]) => mtAvatar[mt])
+    );
+    if (!Object.keys(shapes).length) {
+      console.warn(`[EXPRESSION] Avatar has no morph targets for ${name}`);
+      return null;
+    }
+
+    intensity = Number.isFinite(intensity) ? Math.min(1, Math.max(0, intensity)) : 1;
+    const { attack, hold, release } = this._envelope(def, duration);
+    const now = performance.now();
+
+    // Re-triggering an expression on the same side continues from its
+    // current level instead of restarting at zero
+    let from = 0;
+    const previous = this.active.find(x => x.name === name && now < x.holdEnd);
+    if (previous && previous.side === resolvedSide) {
+      from = intensity ? Math.min(1, this._level(previous, now) * previous.intensity / intensity) : 0;
+      this.active = this.active.filter(x => x !== previous);
+    } else if (previous) {
+      this._release(previous, now);
+    }
+    const holding = this.active.filter(x => now < x.holdEnd);
+    for (const x of holding.slice(0, holding.length - MAX_ACTIVE + 1)) this._release(x, now);
+
+    const expression = {
+      name, side: resolvedSide, shapes, intensity, from,
+      start: now,
+      attackEnd: now + attack,
+      holdEnd: now + attack + hold,
+      end: now + attack + hold + release,
+      releaseFrom: 1
+    };
+    this.active.push(expression);
+    for (const mt of Object.keys(shapes)) this._hook(mt);
+    this._schedule();
+
+    return { name, side: resolvedSide, intensity, durationMs: Math.round(attack + hold + release) };
+  }
+
+  /**
+   * Name of the most recent expression still on the face, or null.
+   */
+  getActive() {
+    const now = performance.now();
+    const running = this.active.filter(x => now < x.end);
+    return running.length ? running[running.length - 1].name : null;
+  }
+
+  // ----------------------------------------------------------------
+  // Envelope
+  // ----------------------------------------------------------------
+
+  /**
+   * Attack/hold/release for a total duration. Short durations shrink the
+   * fades proportionally rather than dropping the hold below zero.
+   */
+  _envelope(def, duration) {
+    const { attack, hold, release } = def;
+    if (!Number.isFinite(duration) || duration <= 0) return { attack, hold, release };
+
+    const total = Math.min(MAX_DURATION_MS, Math.max(MIN_DURATION_MS, duration * 1000));
+    if (total >= attack + release) return { attack, hold: total - attack - release, release };
+    const scale = total / (attack + release);
+    return { attack: attack * scale, hold: 0, release: release * scale };
+  }
+
+  /**
+   * Envelope level (0..1) of an expression at `now`.
+   */
+  _level(x, now) {
+    if (now >= x.end) return 0;
+    if (now >= x.holdEnd) return x.releaseFrom * (1 - ease((now - x.holdEnd) / (x.end - x.holdEnd)));
+    if (now < x.attackEnd) return x.from + (1 - x.from) * ease((now - x.start) / (x.attackEnd - x.start));
+    return 1;
+  }
+
+  /**
+   * Start the release of an expression now, from wherever its envelope is.
+   */
+  _release(x, now) {
+    if (now >= x.holdEnd) return;
+    x.releaseFrom = this._level(x, now);
+    const release = x.end - x.holdEnd;
+    x.holdEnd = now;
+    x.end = now + release;
+  }
+
+  /**
+   * Summed offset of all running expressions for a morph target.
+   */
+  _offset(mt) {
+    const now = performance.now();
+    let offset = 0;
+    for (const x of this.active) {
+      const value = x.shapes[mt];
+      if (value) offset += value * x.intensity * this._level(x, now);
+    }
+    return offset;
+  }
+
+  // ----------------------------------------------------------------
+  // TalkingHead hooks
+  // ----------------------------------------------------------------
+
+  _hook(mt) {
+    const o = this.head.mtAvatar[mt];
+    const hook = this.hooks.get(mt);
+    if (hook?.o === o) {
+      hook.idleSince = null;
+      return;
+    }
+    // A new avatar replaced the morph target objects; the old hook went with them
+    const limit = o.limit;
+    this.hooks.set(mt, { o, limit, idleSince: null });
+    o.limit = limit ? (v) => limit(v) + this._offset(mt) : (v) => v + this._offset(mt);
+  }
+
+  _unhook(mt) {
+    const { o, limit } = this.hooks.get(mt);
+    o.limit = limit;
+    o.needsUpdate = true;
+    this.hooks.delete(mt);
+  }
+
+  _schedule() {
+    if (this.frame === null) this.frame = requestAnimationFrame(() => this._tick());
+  }
+
+  /**
+   * Per frame: keep hooked morph targets updating, drop finished expressions
+   * and unhook morph targets no expression has used for a while.
+   */
+  _tick() {
+    this.frame = null;
+    const now = performance.now();
+    this.active = this.active.filter(x => now < x.end);
+    const used = new Set(this.active.flatMap(x => Object.keys(x.shapes)));
+
+    for (const [mt, hook] of this.hooks) {
+      hook.o.needsUpdate = true;
+      if (used.has(mt)) {
+        hook.idleSince = null;
+      } else if (hook.idleSince === null) {
+        hook.idleSince = now;
+      } else if (now - hook.idleSince > DETACH_AFTER_MS) {
+        this._unhook(mt);
+      }
+    }
+    if (this.hooks.size) this._schedule();
+  }
+}
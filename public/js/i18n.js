@@ -0,0 +1,317 @@
+import { DEFAULT_LANGUAGE } from './languages.js';
+
+/**
+ * UI strings per session language. Keys missing from a language fall back
+ * to English. Developer panels (animation/gesture testing, diagnostics) are
+ * not translated.
+ */
+const STRINGS = {
+  en: {
+    'header.title': 'AI Avatar Assistant',
+    'header.subtitle': 'Talk with your intelligent digital companion',
+    'conversation.title': 'Conversation',
+    'button.start': 'Start Session',
+    'button.stop': 'End Session',
+    'button.pushToTalk': 'Hold to Talk',
+    'button.pushToTalkHint': 'Hold to talk (or hold Space)',
+    'button.clear': 'Clear',
+    'button.send': 'Send',
+    'input.placeholder': 'Type your message here...',
+    'label.language': 'Language:',
+    'label.persona': 'Persona:',
+    'label.voice': 'Voice:',
+    'label.microphone': 'Microphone:',
+    'label.speaker': 'Speaker:',
+    'label.micMode': 'Mic mode:',
+    'label.mood': 'Mood:',
+    'label.view': 'View:',
+    'micMode.hands-free': 'Hands-free',
+    'micMode.push-to-talk': 'Push-to-talk',
+    'micMode.always-on': 'Always on',
+    'device.default': 'System default',
+    'device.disconnected': 'Saved device (disconnected)',
+    'transcript.you': 'You:',
+    'transcript.assistant': 'Assistant:',
+    'status.loadingAvatar': 'Loading avatar...',
+    'status.initializing': 'Initializing...',
+    'status.ready': 'Ready — press Start to begin',
+    'status.initFailed': 'Initialization failed',
+    'status.connecting': 'Connecting to Gemini...',
+    'status.connected': 'Connected to Gemini — start speaking!',
+    'status.reconnecting': 'Connection lost — reconnecting...',
+    'status.resumed': 'Reconnected — session resumed',
+    'status.listening': 'Listening...',
+    'status.speaking': 'Speaking...',
+    'status.ended': 'Session ended',
+    'status.startFailed': 'Failed to start',
+    'status.unauthorized': 'Not authorized to connect',
+    'status.quota': 'Usage limit reached'
+  },
+  de: {
+    'header.title': 'KI-Avatar-Assistent',
+    'header.subtitle': 'Sprechen Sie mit Ihrem intelligenten digitalen Begleiter',
+    'conversation.title': 'Unterhaltung',
+    'button.start': 'Sitzung starten',
+    'button.stop': 'Sitzung beenden',
+    'button.pushToTalk': 'Zum Sprechen halten',
+    'button.pushToTalkHint': 'Zum Sprechen gedrückt halten (oder Leertaste halten)',
+    'button.clear': 'Leeren',
+    'button.send': 'Senden',
+    'input.placeholder': 'Nachricht eingeben...',
+    'label.language': 'Sprache:',
+    'label.persona': 'Persona:',
+    'label.voice': 'Stimme:',
+    'label.microphone': 'Mikrofon:',
+    'label.speaker': 'Lautsprecher:',
+    'label.micMode': 'Mikrofonmodus:',
+    'label.mood': 'Stimmung:',
+    'label.view': 'Ansicht:',
+    'micMode.hands-free': 'Freihändig',
+    'micMode.push-to-talk': 'Push-to-Talk',
+    'micMode.always-on': 'Immer an',
+    'device.default': 'Systemstandard',
+    'device.disconnected': 'Gespeichertes Gerät (getrennt)',
+    'transcript.you': 'Sie:',
+    'transcript.assistant': 'Assistent:',
+    'status.loadingAvatar': 'Avatar wird geladen...',
+    'status.initializing': 'Wird initialisiert...',
+    'status.ready': 'Bereit — zum Beginnen auf Start drücken',
+    'status.initFailed': 'Initialisierung fehlgeschlagen',
+    'status.connecting': 'Verbindung zu Gemini wird hergestellt...',
+    'status.connected': 'Mit Gemini verbunden — sprechen Sie los!',
+    'status.reconnecting': 'Verbindung unterbrochen — neuer Versuch...',
+    'status.resumed': 'Wieder verbunden — Sitzung fortgesetzt',
+    'status.listening': 'Hört zu...',
+    'status.speaking': 'Spricht...',
+    'status.ended': 'Sitzung beendet',
+    'status.startFailed': 'Start fehlgeschlagen',
+    'status.unauthorized': 'Keine Berechtigung zum Verbinden',
+    'status.quota': 'Nutzungslimit erreicht'
+  },
+  fr: {
+    'header.title': 'Assistant avatar IA',
+    'header.subtitle': 'Parlez avec votre compagnon numérique intelligent',
+    'conversation.title': 'Conversation',
+    'button.start': 'Démarrer la session',
+    'button.stop': 'Terminer la session',
+    'button.pushToTalk': 'Maintenir pour parler',
+    'button.pushToTalkHint': 'Maintenir pour parler (ou maintenir Espace)',
+    'button.clear': 'Effacer',
+    'button.send': 'Envoyer',
+    'input.placeholder': 'Saisissez votre message...',
+    'label.language': 'Langue :',
+    'label.persona': 'Persona :',
+    'label.voice': 'Voix :',
+    'label.microphone': 'Microphone :',
+    'label.speaker': 'Haut-parleur :',
+    'label.micMode': 'Mode micro :',
+    'label.mood': 'Humeur :',
+    'label.view': 'Vue :',
+    'micMode.hands-free': 'Mains libres',
+    'micMode.push-to-talk': 'Appuyer pour parler',
+    'micMode.always-on': 'Toujours actif',
+    'device.default': 'Par défaut du système',
+    'device.disconnected': 'Appareil enregistré (déconnecté)',
+    'transcript.you': 'Vous :',
+    'transcript.assistant': 'Assistant :',
+    'status.loadingAvatar': 'Chargement de l\'avatar...',
+    'status.initializing': 'Initialisation...',
+    'status.ready': 'Prêt — appuyez sur Démarrer',
+    'status.initFailed': 'Échec de l\'initialisation',
+    'status.connecting': 'Connexion à Gemini...',
+    'status.connected': 'Connecté à Gemini — vous pouvez parler !',
+    'status.reconnecting': 'Connexion perdue — reconnexion...',
+    'status.resumed': 'Reconnecté — session reprise',
+    'status.listening': 'À l\'écoute...',
+    'status.speaking': 'Parle...',
+    'status.ended': 'Session terminée',
+    'status.startFailed': 'Échec du démarrage',
+    'status.unauthorized': 'Connexion non autorisée',
+    'status.quota': 'Limite d\'utilisation atteinte'
+  },
+  es: {
+    'header.title': 'Asistente de avatar con IA',
+    'header.subtitle': 'Habla con tu compañero digital inteligente',
+    'conversation.title': 'Conversación',
+    'button.start': 'Iniciar sesión',
+    'button.stop': 'Terminar sesión',
+    'button.pushToTalk': 'Mantén para hablar',
+    'button.pushToTalkHint': 'Mantén pulsado para hablar (o mantén la barra espaciadora)',
+    'button.clear': 'Borrar',
+    'button.send': 'Enviar',
+    'input.placeholder': 'Escribe tu mensaje aquí...',
+    'label.language': 'Idioma:',
+    'label.persona': 'Persona:',
+    'label.voice': 'Voz:',
+    'label.microphone': 'Micrófono:',
+    'label.speaker': 'Altavoz:',
+    'label.micMode': 'Modo de micrófono:',
+    'label.mood': 'Estado de ánimo:',
+    'label.view': 'Vista:',
+    'micMode.hands-free': 'Manos libres',
+    'micMode.push-to-talk': 'Pulsar para hablar',
+    'micMode.always-on': 'Siempre activo',
+    'device.default': 'Predeterminado del sistema',
+    'device.disconnected': 'Dispositivo guardado (desconectado)',
+    'transcript.you': 'Tú:',
+    'transcript.assistant': 'Asistente:',
+    'status.loadingAvatar': 'Cargando avatar...',
+    'status.initializing': 'Inicializando...',
+    'status.ready': 'Listo — pulsa Iniciar para empezar',
+    'status.initFailed': 'Error de inicialización',
+    'status.connecting': 'Conectando con Gemini...',
+    'status.connected': 'Conectado con Gemini — ¡empieza a hablar!',
+    'status.reconnecting': 'Conexión perdida — reconectando...',
+    'status.resumed': 'Reconectado — sesión reanudada',
+    'status.listening': 'Escuchando...',
+    'status.speaking': 'Hablando...',
+    'status.ended': 'Sesión terminada',
+    'status.startFailed': 'No se pudo iniciar',
+    'status.unauthorized': 'Sin autorización para conectar',
+    'status.quota': 'Límite de uso alcanzado'
+  },
+  it: {
+    'header.title': 'Assistente avatar IA',
+    'header.subtitle': 'Parla con il tuo compagno digitale intelligente',
+    'conversation.title': 'Conversazione',
+    'button.start': 'Avvia sessione',
+    'button.stop': 'Termina sessione',
+    'button.pushToTalk': 'Tieni premuto per parlare',
+    'button.pushToTalkHint': 'Tieni premuto per parlare (o tieni premuto Spazio)',
+    'button.clear': 'Cancella',
+    'button.send': 'Invia',
+    'input.placeholder': 'Scrivi qui il tuo messaggio...',
+    'label.language': 'Lingua:',
+    'label.persona': 'Persona:',
+    'label.voice': 'Voce:',
+    'label.microphone': 'Microfono:',
+    'label.speaker': 'Altoparlante:',
+    'label.micMode': 'Modalità microfono:',
+    'label.mood': 'Umore:',
+    'label.view': 'Vista:',
+    'micMode.hands-free': 'Mani libere',
+    'micMode.push-to-talk': 'Premi per parlare',
+    'micMode.always-on': 'Sempre attivo',
+    'device.default': 'Predefinito di sistema',
+    'device.disconnected': 'Dispositivo salvato (scollegato)',
+    'transcript.you': 'Tu:',
+    'transcript.assistant': 'Assistente:',
+    'status.loadingAvatar': 'Caricamento avatar...',
+    'status.initializing': 'Inizializzazione...',
+    'status.ready': 'Pronto — premi Avvia per iniziare',
+    'status.initFailed': 'Inizializzazione non riuscita',
+    'status.connecting': 'Connessione a Gemini...',
+    'status.connected': 'Connesso a Gemini — inizia a parlare!',
+    'status.reconnecting': 'Connessione persa — riconnessione...',
+    'status.resumed': 'Riconnesso — sessione ripresa',
+    'status.listening': 'In ascolto...',
+    'status.speaking': 'Sta parlando...',
+    'status.ended': 'Sessione terminata',
+    'status.startFailed': 'Avvio non riuscito',
+    'status.unauthorized': 'Connessione non autorizzata',
+    'status.quota': 'Limite di utilizzo raggiunto'
+  },
+  fi: {
+    'header.title': 'Tekoälyavatar-avustaja',
+    'header.subtitle': 'Keskustele älykkään digitaalisen kumppanisi kanssa',
+    'conversation.title': 'Keskustelu',
+    'button.start': 'Aloita istunto',
+    'button.stop': 'Lopeta istunto',
+    'button.pushToTalk': 'Pidä pohjassa puhuaksesi',
+    'button.pushToTalkHint': 'Pidä pohjassa puhuaksesi (tai pidä välilyöntiä)',
+    'button.clear': 'Tyhjennä',
+    'button.send': 'Lähetä',
+    'input.placeholder': 'Kirjoita viestisi tähän...',
+    'label.language': 'Kieli:',
+    'label.persona': 'Persoona:',
+    'label.voice': 'Ääni:',
+    'label.microphone': 'Mikrofoni:',
+    'label.speaker': 'Kaiutin:',
+    'label.micMode': 'Mikrofonitila:',
+    'label.mood': 'Mieliala:',
+    'label.view': 'Näkymä:',
+    'micMode.hands-free': 'Handsfree',
+    'micMode.push-to-talk': 'Paina puhuaksesi',
+    'micMode.always-on': 'Aina päällä',
+    'device.default': 'Järjestelmän oletus',
+    'device.disconnected': 'Tallennettu laite (irrotettu)',
+    'transcript.you': 'Sinä:',
+    'transcript.assistant': 'Avustaja:',
+    'status.loadingAvatar': 'Ladataan avataria...',
+    'status.initializing': 'Alustetaan...',
+    'status.ready': 'Valmis — aloita painamalla Aloita',
+    'status.initFailed': 'Alustus epäonnistui',
+    'status.connecting': 'Yhdistetään Geminiin...',
+    'status.connected': 'Yhdistetty Geminiin — voit puhua!',
+    'status.reconnecting': 'Yhteys katkesi — yhdistetään uudelleen...',
+    'status.resumed': 'Yhdistetty uudelleen — istunto jatkuu',
+    'status.listening': 'Kuuntelee...',
+    'status.speaking': 'Puhuu...',
+    'status.ended': 'Istunto päättyi',
+    'status.startFailed': 'Käynnistys epäonnistui',
+    'status.unauthorized': 'Ei oikeutta yhdistää',
+    'status.quota': 'Käyttöraja saavutettu'
+  },
+  lt: {
+    'header.title': 'DI avataro asistentas',
+    'header.subtitle': 'Kalbėkitės su savo išmaniuoju skaitmeniniu palydovu',
+    'conversation.title': 'Pokalbis',
+    'button.start': 'Pradėti sesiją',
+    'button.stop': 'Baigti sesiją',
+    'button.pushToTalk': 'Laikykite, kad kalbėtumėte',
+    'button.pushToTalkHint': 'Laikykite, kad kalbėtumėte (arba laikykite tarpo klavišą)',
+    'button.clear': 'Išvalyti',
+    'button.send': 'Siųsti',
+    'input.placeholder': 'Įveskite žinutę...',
+    'label.language': 'Kalba:',
+    'label.persona': 'Persona:',
+    'label.voice': 'Balsas:',
+    'label.microphone': 'Mikrofonas:',
+    'label.speaker': 'Garsiakalbis:',
+    'label.micMode': 'Mikrofono režimas:',
+    'label.mood': 'Nuotaika:',
+    'label.view': 'Vaizdas:',
+    'micMode.hands-free': 'Laisvų rankų',
+    'micMode.push-to-talk': 'Paspausk ir kalbėk',
+    'micMode.always-on': 'Visada įjungtas',
+    'device.default': 'Sistemos numatytasis',
+    'device.disconnected': 'Išsaugotas įrenginys (atjungtas)',
+    'transcript.you': 'Jūs:',
+    'transcript.assistant': 'Asistentas:',
+    'status.loadingAvatar': 'Įkeliamas avataras...',
+    'status.initializing': 'Inicijuojama...',
+    'status.ready': 'Paruošta — spauskite Pradėti',
+    'status.initFailed': 'Inicijuoti nepavyko',
+    'status.connecting': 'Jungiamasi prie Gemini...',
+    'status.connected': 'Prisijungta prie Gemini — galite kalbėti!',
+    'status.reconnecting': 'Ryšys nutrūko — jungiamasi iš naujo...',
+    'status.resumed': 'Vėl prisijungta — sesija tęsiama',
+    'status.listening': 'Klausosi...',
+    'status.speaking': 'Kalba...',
+    'status.ended': 'Sesija baigta',
+    'status.startFailed': 'Nepavyko pradėti',
+    'status.unauthorized': 'Neleidžiama prisijungti',
+    'status.quota': 'Pasiektas naudojimo limitas'
+  }
+};
+
+/**
+ * @param {string} key - String id, e.g. 'status.ready'
+ * @param {string} [lang] - Key of LANGUAGES
+ * @returns {string} The translation, the English text, or the key itself
+ */
+export function translate(key, lang = DEFAULT_LANGUAGE) {
+  return STRINGS[lang]?.[key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+}
+
+/**
+ * Translate marked elements under `root`:
+ *   data-i18n="key"              → textContent
+ *   data-i18n-placeholder="key"  → placeholder
+ *   data-i18n-title="key"        → title
+ */
+export function applyTranslations(lang, root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = translate(el.dataset.i18n, lang);
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = translate(el.dataset.i18nPlaceholder, lang);
+  for (const el of root.querySelectorAll('[data-i18n-title]')) el.title = translate(el.dataset.i18nTitle, lang);
+}
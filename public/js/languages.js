@@ -0,0 +1,30 @@
+/**
+ * Session languages, shared by the browser and server.js (the server
+ * imports this file directly).
+ *
+ *   name         Native name for the language picker
+ *   englishName  Used in the model instruction ("Speak German ...")
+ *   locale       BCP-47 tag for the <html lang> and transcript bubbles
+ *   speechCode   Gemini Live speechConfig.languageCode, or null where the
+ *                model only follows the instruction
+ *   lipsyncLang  TalkingHead lipsync module (public/modules/lipsync-xx.mjs)
+ */
+export const LANGUAGES = {
+  en: { name: 'English', englishName: 'English', locale: 'en-US', speechCode: 'en-US', lipsyncLang: 'en' },
+  de: { name: 'Deutsch', englishName: 'German', locale: 'de-DE', speechCode: 'de-DE', lipsyncLang: 'de' },
+  fr: { name: 'Français', englishName: 'French', locale: 'fr-FR', speechCode: 'fr-FR', lipsyncLang: 'fr' },
+  es: { name: 'Español', englishName: 'Spanish', locale: 'es-US', speechCode: 'es-US', lipsyncLang: 'es' },
+  it: { name: 'Italiano', englishName: 'Italian', locale: 'it-IT', speechCode: 'it-IT', lipsyncLang: 'it' },
+  fi: { name: 'Suomi', englishName: 'Finnish', locale: 'fi-FI', speechCode: null, lipsyncLang: 'fi' },
+  lt: { name: 'Lietuvių', englishName: 'Lithuanian', locale: 'lt-LT', speechCode: null, lipsyncLang: 'lt' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * @param {string} code - Key of LANGUAGES
+ * @returns {Object|null}
+ */
+export function getLanguage(code) {
+  return Object.hasOwn(LANGUAGES, code) ? LANGUAGES[code] : null;
+}
@@ -0,0 +1,171 @@
+/**
+ * MoodEditor - In-page panel for authoring mood files (public/moods/).
+ *
+ * Start from an existing mood, move the sliders for the ARKit morph targets
+ * and speech deltas, and export the result as JSON. Morph sliders preview
+ * on the avatar while the panel is open; closing it restores the mood the
+ * avatar had. Baseline keys that are not ARKit shapes (e.g. TalkingHead's
+ * eyesLookDown), idle anim overrides and gestures of the starting mood are
+ * carried over to the export unchanged.
+ */
+
+import { ARKIT_MORPHS, SPEECH_DELTAS, validateMood } from './mood-registry.js';
+
+const SLIDER_STEP = 0.05;
+
+export class MoodEditor {
+  /**
+   * @param {AvatarController} controller
+   * @param {HTMLDetailsElement} root - The #mood-editor panel
+   */
+  constructor(controller, root) {
+    this.controller = controller;
+    this.head = controller.head;
+    this.root = root;
+    this.draft = null;           // mood definition being edited
+    this.sliders = new Map();    // morph target or speech delta → range input
+
+    this.nameInput = root.querySelector('#mood-editor-name');
+    this.descriptionInput = root.querySelector('#mood-editor-description');
+    this.baseSelect = root.querySelector('#mood-editor-base');
+    this.status = root.querySelector('#mood-editor-status');
+
+    this._buildSliders(root.querySelector('#mood-editor-morphs'), ARKIT_MORPHS, 0, 1);
+    this._buildSliders(root.querySelector('#mood-editor-speech'), SPEECH_DELTAS, -1, 1);
+
+    root.addEventListener('toggle', () => root.open ? this.open() : this.close());
+    this.baseSelect.addEventListener('change', () => this.load(this.baseSelect.value));
+    root.querySelector('#mood-editor-reset').addEventListener('click', () => this.load(this.baseSelect.value));
+    root.querySelector('#mood-editor-export').addEventListener('click', () => this.export());
+  }
+
+  open() {
+    const names = this.controller.moods.names();
+    this.baseSelect.innerHTML = '';
+    for (const name of names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.baseSelect.appendChild(option);
+    }
+    this.baseSelect.value = this.controller.currentMood;
+    this.load(this.baseSelect.value);
+  }
+
+  close() {
+    // The preview changed the baseline behind the controller's back
+    this.controller.setMood(this.controller.currentMood);
+  }
+
+  /**
+   * Start editing from a registered or built-in mood.
+   * @param {string} name
+   */
+  load(name) {
+    const def = this.controller.moods.getDefinition(name);
+    if (!def) return;
+    const isCustom = def.extends !== name;
+    this.draft = def;
+    this.nameInput.value = isCustom ? def.name : '';
+    this.descriptionInput.value = def.description || '';
+
+    // Preview on top of the mood's own idle animations
+    this.head.setMood(name);
+    for (const mt of ARKIT_MORPHS) this._setSlider(mt, def.baseline[mt] || 0);
+    for (const key of SPEECH_DELTAS) this._setSlider(key, def.speech[key] || 0);
+    this._setStatus(`Editing ${isCustom ? name : `a copy of ${name}`}`);
+  }
+
+  /**
+   * Download the draft as <name>.json.
+   */
+  export() {
+    const { mood, error } = validateMood(this._collect());
+    if (error) {
+      this._setStatus(`Cannot export: ${error}`, 'error');
+      return;
+    }
+    const json = JSON.stringify(mood, null, 2) + '\n';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${mood.name}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    this._setStatus(`Exported ${mood.name}.json — add it to public/moods/ and list it in index.json`, 'playing');
+  }
+
+  // ----------------------------------------------------------------
+  // Internals
+  // ----------------------------------------------------------------
+
+  _collect() {
+    const baseline = {};
+    // Non-ARKit keys first, in the order the starting mood had them
+    for (const [mt, value] of Object.entries(this.draft.baseline)) {
+      if (!ARKIT_MORPHS.includes(mt)) baseline[mt] = value;
+    }
+    for (const mt of ARKIT_MORPHS) {
+      const value = parseFloat(this.sliders.get(mt).value);
+      if (value > 0) baseline[mt] = value;
+    }
+    const speech = Object.fromEntries(SPEECH_DELTAS.map(key => [key, parseFloat(this.sliders.get(key).value)]));
+
+    return {
+      name: this.nameInput.value,
+      description: this.descriptionInput.value,
+      extends: this.draft.extends,
+      baseline,
+      speech,
+      anims: this.draft.anims,
+      gestures: this.draft.gestures
+    };
+  }
+
+  _buildSliders(container, keys, min, max) {
+    for (const key of keys) {
+      const label = document.createElement('label');
+      label.className = 'mood-editor-slider';
+      const name = document.createElement('span');
+      name.textContent = key;
+      const input = document.createElement('input');
+      input.type = 'range';
+      Object.assign(input, { min, max, step: SLIDER_STEP, value: 0 });
+      const output = document.createElement('output');
+      output.textContent = '0';
+      input.addEventListener('input', () => {
+        output.textContent = input.value;
+        if (!SPEECH_DELTAS.includes(key)) this._preview(key, input.valueAsNumber);
+      });
+      label.append(name, input, output);
+      container.appendChild(label);
+      this.sliders.set(key, input);
+    }
+  }
+
+  /**
+   * Show a slider value without animating to it (head.setMood already
+   * applied the starting mood's baseline).
+   */
+  _setSlider(key, value) {
+    const input = this.sliders.get(key);
+    input.value = value;
+    input.nextElementSibling.textContent = input.value;
+    // Morph targets the model does not have stay visible but cannot preview
+    if (!SPEECH_DELTAS.includes(key)) {
+      const present = Boolean(this.head.mtAvatar?.[key]);
+      input.disabled = !present;
+      input.parentElement.title = present ? '' : 'Not on this avatar';
+    }
+  }
+
+  _preview(mt, value) {
+    // Zero hands the eye look targets back to TalkingHead's eye animation
+    const exceptions = this.head.mtBaselineExceptions || {};
+    this.head.setBaselineValue(mt, value === 0 && Object.hasOwn(exceptions, mt) ? exceptions[mt] : value);
+  }
+
+  _setStatus(text, className = '') {
+    this.status.textContent = text;
+    this.status.className = `animation-status ${className}`.trim();
+  }
+}
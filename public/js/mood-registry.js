@@ -0,0 +1,219 @@
+/**
+ * Mood registry - Avatar moods beyond TalkingHead's built-in ones, authored
+ * as JSON files in public/moods/ and listed in public/moods/index.json.
+ *
+ * The browser registers them on the TalkingHead instance and advertises the
+ * mood list with start_session, so the set_mood enum matches what this
+ * avatar can show. The server imports this file directly to read the same
+ * files as its default list.
+ *
+ * Mood file:
+ *
+ *   name         Lowercase identifier, used as the set_mood value
+ *   description  When to use it, shown to the model next to the name
+ *   extends      Mood whose idle animations are reused (default neutral)
+ *   baseline     ARKit morph target → value (0..1) held while the mood is on
+ *   speech       deltaRate, deltaPitch, deltaVolume (-1..1)
+ *   anims        Idle animation overrides by TalkingHead anim name
+ *                (breathing, pose, head, eyes, blink, mouth, misc);
+ *                an anim template replaces it, null removes it
+ *   gestures     Gestures the idle behaviour picks from in this mood
+ */
+
+// TalkingHead moods offered to the model ('sleep' is left out on purpose)
+export const BUILTIN_MOODS = ['neutral', 'happy', 'sad', 'angry', 'love', 'fear', 'disgust'];
+
+export const MOODS_URL = './moods/';
+export const MOOD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+export const SPEECH_DELTAS = ['deltaRate', 'deltaPitch', 'deltaVolume'];
+const MAX_DESCRIPTION_LENGTH = 120;
+
+// The 52 ARKit blend shapes, grouped by face region for the mood editor
+export const ARKIT_MORPHS = [
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'eyeBlinkLeft', 'eyeBlinkRight', 'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft',
+  'eyeLookInRight', 'eyeLookOutLeft', 'eyeLookOutRight', 'eyeLookUpLeft', 'eyeLookUpRight',
+  'eyeSquintLeft', 'eyeSquintRight', 'eyeWideLeft', 'eyeWideRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight', 'noseSneerLeft', 'noseSneerRight',
+  'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+  'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight',
+  'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight', 'mouthPressLeft',
+  'mouthPressRight', 'mouthPucker', 'mouthRight', 'mouthRollLower', 'mouthRollUpper',
+  'mouthShrugLower', 'mouthShrugUpper', 'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft',
+  'mouthStretchRight', 'mouthUpperUpLeft', 'mouthUpperUpRight', 'tongueOut'
+];
+
+/**
+ * TalkingHead's own moods, which mood files cannot replace.
+ * @param {string} name
+ */
+export function isBuiltinMood(name) {
+  return BUILTIN_MOODS.includes(name) || name === 'sleep';
+}
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Check and normalise a mood definition.
+ * @param {Object} def - Parsed mood file
+ * @returns {{mood: Object}|{error: string}}
+ */
+export function validateMood(def) {
+  if (!isObject(def)) return { error: 'mood must be an object' };
+  const name = typeof def.name === 'string' ? def.name.trim().toLowerCase() : '';
+  if (!MOOD_NAME_PATTERN.test(name)) return { error: `invalid mood name ${JSON.stringify(def.name)}` };
+  if (def.baseline !== undefined && !isObject(def.baseline)) return { error: `${name}: baseline must be an object` };
+  if (def.anims !== undefined && !isObject(def.anims)) return { error: `${name}: anims must be an object` };
+
+  const baseline = {};
+  for (const [mt, value] of Object.entries(def.baseline || {})) {
+    if (!Number.isFinite(value)) return { error: `${name}: baseline.${mt} must be a number` };
+    baseline[mt] = clamp(value, 0, 1);
+  }
+  const speech = {};
+  for (const key of SPEECH_DELTAS) {
+    const value = def.speech?.[key] ?? 0;
+    if (!Number.isFinite(value)) return { error: `${name}: speech.${key} must be a number` };
+    speech[key] = clamp(value, -1, 1);
+  }
+
+  return {
+    mood: {
+      name,
+      description: typeof def.description === 'string' ? def.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) : '',
+      extends: typeof def.extends === 'string' ? def.extends : 'neutral',
+      baseline,
+      speech,
+      anims: def.anims || {},
+      gestures: Array.isArray(def.gestures) ? def.gestures.filter(g => typeof g === 'string') : []
+    }
+  };
+}
+
+export class MoodRegistry {
+  /**
+   * @param {TalkingHead} head - Moods are added to head.animMoods
+   */
+  constructor(head) {
+    this.head = head;
+    this.moods = new Map();      // name → validated definition, for moods registered here
+  }
+
+  /**
+   * Load and register every mood listed in the index.
+   * @param {string} [baseUrl] - Directory with index.json and the mood files
+   * @returns {Promise<string[]>} names of the moods that registered
+   */
+  async load(baseUrl = MOODS_URL) {
+    let files;
+    try {
+      const res = await fetch(`${baseUrl}index.json`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      files = await res.json();
+      if (!Array.isArray(files)) throw new Error('expected an array of file names');
+    } catch (error) {
+      console.warn(`[MOODS] Could not load ${baseUrl}index.json:`, error.message);
+      return [];
+    }
+
+    // Fetched in parallel, registered in index order
+    const defs = await Promise.all(files.map(async (file) => {
+      try {
+        const res = await fetch(baseUrl + file);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return await res.json();
+      } catch (error) {
+        console.warn(`[MOODS] ${file}:`, error.message);
+        return null;
+      }
+    }));
+    const names = defs.filter(def => def && this.register(def)).map(def => def.name.trim().toLowerCase());
+    console.log(`[MOODS] Registered ${names.length} of ${files.length} moods: ${names.join(', ')}`);
+    return names;
+  }
+
+  /**
+   * Add or replace a mood on the avatar.
+   * @param {Object} def - Mood definition (see the file comment)
+   * @returns {boolean} false if the definition is invalid
+   */
+  register(def) {
+    const { mood, error } = validateMood(def);
+    if (error) {
+      console.warn(`[MOODS] ${error}`);
+      return false;
+    }
+    if (isBuiltinMood(mood.name)) {
+      console.warn(`[MOODS] ${mood.name}: cannot replace a built-in mood`);
+      return false;
+    }
+    const base = this.head.animMoods[mood.extends];
+    if (!base) {
+      console.warn(`[MOODS] ${mood.name}: unknown base mood ${mood.extends}`);
+      return false;
+    }
+
+    this.head.animMoods[mood.name] = {
+      baseline: mood.baseline,
+      speech: mood.speech,
+      anims: this._mergeAnims(base.anims, mood.anims)
+    };
+    this.moods.set(mood.name, mood);
+    return true;
+  }
+
+  /**
+   * Moods to advertise to the server: built-ins first, then registered ones.
+   * @returns {{name: string, description?: string}[]}
+   */
+  describe() {
+    const builtin = BUILTIN_MOODS.filter(name => this.head.animMoods[name]).map(name => ({ name }));
+    const custom = [...this.moods.values()].map(({ name, description }) => ({ name, description }));
+    return [...builtin, ...custom];
+  }
+
+  /**
+   * @returns {string[]} every mood the avatar can show
+   */
+  names() {
+    return this.describe().map(mood => mood.name);
+  }
+
+  /**
+   * Gestures the idle behaviour may play in a mood.
+   * @param {string} name
+   * @returns {string[]}
+   */
+  gestures(name) {
+    return this.moods.get(name)?.gestures || [];
+  }
+
+  /**
+   * Mood file contents for a mood, e.g. to start the editor from it.
+   * Built-in moods have no file, so their baseline and speech are copied.
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getDefinition(name) {
+    const mood = this.moods.get(name);
+    if (mood) return structuredClone(mood);
+    const builtin = this.head.animMoods[name];
+    if (!builtin) return null;
+    return { name, description: '', extends: name, baseline: { ...builtin.baseline }, speech: { ...builtin.speech }, anims: {}, gestures: [] };
+  }
+
+  /**
+   * Base anims with overrides applied: an override replaces the anim of the
+   * same name (or is appended), null drops it.
+   */
+  _mergeAnims(baseAnims, overrides) {
+    const anims = baseAnims
+      .filter(anim => overrides[anim.name] !== null)
+      .map(anim => isObject(overrides[anim.name]) ? { ...overrides[anim.name], name: anim.name } : anim);
+    for (const [name, template] of Object.entries(overrides)) {
+      if (isObject(template) && !baseAnims.some(anim => anim.name === name)) anims.push({ ...template, name });
+    }
+    return anims;
+  }
+}
@@ -1,3 +1,18 @@
+import { base64ToBytes } from './audio-frames.js';
+
+const DEFAULT_BUFFER_CONFIG = {
+  targetMs: 150,       // initial pre-buffer
+  minMs: 60,
+  maxMs: 800,
+  maxWaitMs: 400,      // start anyway after waiting this long
+  adaptive: true,
+  stepUpMs: 60,        // per underrun
+  stepDownMs: 10       // per clean turn
+};
+
+// Text lipsync speaking rate: ms per lipsync duration unit (about one viseme)
+const MS_PER_UNIT = { initial: 90, min: 50, max: 160 };
+
 /**
  * StreamingHandler - Manages TalkingHead's streaming mode for
  * real-time PCM audio playback.
@@ -5,13 +20,30 @@
  * Gemini Live API outputs 24 kHz 16-bit PCM audio.
  * TalkingHead's streamAudio() accepts ArrayBuffer/Int16Array.
  *
- * Lipsync is handled separately by the avatar-fix.js patch, which
- * reads real-time audio volume from TalkingHead's audioAnalyzerNode
- * and drives viseme (or mouthOpen) morph targets every animation frame.
- * This handler only needs to feed audio data to the worklet.
+ * Lipsync: `output_transcription` fragments passed to addText() are turned
+ * into visemes by the persona's lipsync processor (lipsync-en.mjs etc.) and
+ * placed on the utterance's audio timeline with an estimated speaking rate,
+ * which is re-measured at the end of every turn. Visemes whose slot has
+ * already played when the text arrives are dropped; for those stretches the
+ * avatar-fix.js patch drives the mouth from the audio volume instead.
+ * Sentence ends in the text are timed the same way and reported through
+ * `onSpeechBoundary` when playback reaches them; `onSpeechEnd` fires when
+ * the worklet drains.
+ *
+ * Jitter buffer: when the worklet is idle, chunks are held until
+ * `targetMs` of audio is queued (or `maxWaitMs` has passed, or the turn
+ * ends) so a late chunk does not cause a gap right after playback starts.
+ * With `adaptive` on, each underrun reported by the worklet's metrics raises
+ * the target, and turns without underruns lower it again, never below twice
+ * the measured chunk arrival jitter.
  */
 export class StreamingHandler {
-  constructor(avatarController) {
+  /**
+   * @param {AvatarController} avatarController
+   * @param {Object} [options]
+   * @param {Object} [options.buffer] - Overrides for DEFAULT_BUFFER_CONFIG
+   */
+  constructor(avatarController, options = {}) {
     this.controller = avatarController;
     this.head = avatarController.head;
     this.isStreamActive = false;
@@ -23,6 +55,44 @@ export class StreamingHandler {
     this.totalBytesReceived = 0;
 
     this.SAMPLE_RATE = 24000;
+    this.lipsyncLang = 'en';     // set from the selected persona
+
+    // Jitter buffer
+    this.bufferConfig = { ...DEFAULT_BUFFER_CONFIG, ...options.buffer };
+    this.targetBufferMs = this.bufferConfig.targetMs;
+    this.pending = [];           // chunks held before playback starts
+    this.pendingMs = 0;
+    this.pendingSince = 0;
+    this.prebufferTimer = null;
+    this.isForwarding = false;   // worklet is playing this utterance
+
+    // Diagnostics (see getMetrics)
+    this.onMetrics = null;
+    this.onSpeechBoundary = null; // playback reached the end of a sentence
+    this.onSpeechEnd = null;      // playback of an utterance finished
+    this.jitterMs = 0;
+    this.lastArrivalAt = 0;
+    this.lastChunkMs = 0;
+    this.worklet = { queuedMs: 0, maxQueuedMs: 0, underrunBlocks: 0 };
+    this.underruns = 0;
+    this.underrunMs = 0;
+    this.turnUnderruns = 0;
+    this.inUnderrun = false;
+    this.lastStartupDelayMs = 0;
+
+    // Text lipsync. Times are ms of audio from the start of the current
+    // utterance (one worklet playback-started → playback-ended run).
+    this.msPerUnit = MS_PER_UNIT.initial;
+    this.uttAudioMs = 0;         // audio received for the utterance
+    this.uttStallMs = 0;         // underrun silence inserted into it
+    this.textCursorMs = null;    // where the next fragment goes; null until the turn starts
+    this.pendingVisemes = [];    // held until the worklet is playing
+    this.turnAudioMs = 0;
+    this.turnTextUnits = 0;
+    this.textVisemes = 0;
+    this.laggedVisemes = 0;
+    this.pendingBoundaries = []; // sentence ends (utterance ms) held like pendingVisemes
+    this.boundaryTimers = new Set();
   }
 
   // ----------------------------------------------------------------
@@ -46,7 +116,8 @@ export class StreamingHandler {
       this.streamReady = this.head.streamStart(
         {
           sampleRate: this.SAMPLE_RATE,
-          lipsyncLang: 'en'
+          lipsyncLang: this.lipsyncLang,
+          metrics: { enabled: true, intervalHz: 4 }
         },
         // onAudioStart — worklet started playing
         () => {
@@ -61,11 +132,17 @@ export class StreamingHandler {
             `${(this.totalAudioDurationMs / 1000).toFixed(1)}s audio`
           );
           this.controller.isSpeaking = false;
+          this.isForwarding = false;
+          this.inUnderrun = false;
+          this._endUtterance();
+          this.onSpeechEnd?.();
         },
         // onSubtitles
         (subtitle) => {
           this._updateSubtitles(subtitle);
-        }
+        },
+        // onMetrics — worklet queue depth and underruns
+        (message) => this._onWorkletMetrics(message.data)
       );
 
       await this.streamReady;
@@ -79,9 +156,7 @@ export class StreamingHandler {
   }
 
   /**
-   * Feed a base64-encoded PCM audio chunk from Gemini to TalkingHead.
-   * Audio is sent to the worklet for playback; lipsync is handled
-   * separately by the avatar-fix animate patch.
+   * Feed a base64-encoded PCM audio chunk (JSON audio_chunk) to TalkingHead.
    * @param {string} base64Data - Base64-encoded 16-bit PCM at 24 kHz
    */
   feedAudio(base64Data) {
@@ -89,15 +164,21 @@ export class StreamingHandler {
       console.warn('[STREAM] Not active, ignoring audio chunk');
       return;
     }
+    this.feedPcm(base64ToBytes(base64Data));
+  }
 
-    try {
-      // Decode base64 → Uint8Array
-      const binaryString = atob(base64Data);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
+  /**
+   * Feed raw PCM (binary audio frame payload) to TalkingHead.
+   * Audio is sent to the worklet for playback; visemes come from addText().
+   * @param {Uint8Array} bytes - 16-bit PCM at 24 kHz
+   */
+  feedPcm(bytes) {
+    if (!this.isStreamActive) {
+      console.warn('[STREAM] Not active, ignoring audio chunk');
+      return;
+    }
 
+    try {
       this.audioChunkCount++;
       this.totalBytesReceived += bytes.length;
 
@@ -106,6 +187,11 @@ export class StreamingHandler {
       const chunkStartMs = this.totalAudioDurationMs;
       this.totalAudioDurationMs += chunkDurationMs;
 
+      // First audio of a turn anchors its text, unless the text came first
+      if (this.textCursorMs === null) this.textCursorMs = this.uttAudioMs;
+      this.uttAudioMs += chunkDurationMs;
+      this.turnAudioMs += chunkDurationMs;
+
       // Periodic logging
       if (this.audioChunkCount <= 3 || this.audioChunkCount % 50 === 0) {
         console.log(
@@ -114,20 +200,128 @@ export class StreamingHandler {
         );
       }
 
-      // Send audio to TalkingHead worklet for playback
-      this.head.streamAudio({ audio: bytes.buffer });
+      this._trackArrival(chunkDurationMs);
+
+      // The worklet takes the whole buffer, so a view into a frame is copied
+      const whole = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength;
+      const audio = whole ? bytes.buffer : bytes.slice().buffer;
+
+      if (this.isForwarding) {
+        this.head.streamAudio({ audio });
+        return;
+      }
+
+      // Idle worklet: pre-buffer before starting playback
+      if (this.pending.length === 0) {
+        this.pendingSince = performance.now();
+        clearTimeout(this.prebufferTimer);
+        this.prebufferTimer = setTimeout(() => this._flushPending('timeout'), this.bufferConfig.maxWaitMs);
+      }
+      this.pending.push(audio);
+      this.pendingMs += chunkDurationMs;
+      if (this.pendingMs >= this.targetBufferMs) this._flushPending('target');
     } catch (error) {
-      console.error('[STREAM] feedAudio error:', error);
+      console.error('[STREAM] feedPcm error:', error);
+    }
+  }
+
+  /**
+   * The model finished its turn: play whatever is still pre-buffered, let
+   * the worklet end when its queue drains, and adapt the buffer target.
+   */
+  endTurn() {
+    if (!this.isStreamActive) return;
+    this._flushPending('turn end');
+    this.pendingVisemes = [];    // text whose audio has already played out
+    this.head.streamNotifyEnd();
+
+    const cfg = this.bufferConfig;
+    if (cfg.adaptive && this.turnUnderruns === 0) {
+      this._setTarget(this.targetBufferMs - cfg.stepDownMs);
+    }
+    this.turnUnderruns = 0;
+
+    // Re-measure the speaking rate on turns long enough to average out pauses
+    if (this.turnAudioMs > 1500 && this.turnTextUnits > 15) {
+      const measured = this.turnAudioMs / this.turnTextUnits;
+      const rate = this.msPerUnit + (measured - this.msPerUnit) * 0.3;
+      this.msPerUnit = Math.min(MS_PER_UNIT.max, Math.max(MS_PER_UNIT.min, rate));
     }
+    this.textCursorMs = null;
+    this.turnAudioMs = 0;
+    this.turnTextUnits = 0;
+    this._emitMetrics();
   }
 
   /**
-   * Accept transcription text for display purposes.
-   * Lipsync is driven by real-time audio analysis in avatar-fix.js.
-   * @param {string} _text - Transcription fragment (unused here)
+   * Change buffer settings at runtime (e.g. from the diagnostics panel).
+   * @param {Object} config - Any DEFAULT_BUFFER_CONFIG keys
    */
-  addText(_text) {
-    // No-op: transcript display is handled by app.js appendToTranscript().
+  setBufferConfig(config) {
+    this.bufferConfig = { ...this.bufferConfig, ...config };
+    if (config.targetMs !== undefined) this.targetBufferMs = config.targetMs;
+    this._setTarget(this.targetBufferMs);
+    this._emitMetrics();
+  }
+
+  /**
+   * Snapshot for the diagnostics panel.
+   */
+  getMetrics() {
+    return {
+      targetBufferMs: Math.round(this.targetBufferMs),
+      adaptive: this.bufferConfig.adaptive,
+      queuedMs: this.worklet.queuedMs + Math.round(this.pendingMs),
+      maxQueuedMs: this.worklet.maxQueuedMs,
+      jitterMs: Math.round(this.jitterMs),
+      underruns: this.underruns,
+      underrunMs: Math.round(this.underrunMs),
+      startupDelayMs: Math.round(this.lastStartupDelayMs),
+      textLipsyncPct: this.textVisemes
+        ? Math.round(100 * (this.textVisemes - this.laggedVisemes) / this.textVisemes)
+        : null,
+      msPerUnit: Math.round(this.msPerUnit),
+      chunks: this.audioChunkCount,
+      kbReceived: Math.round(this.totalBytesReceived / 1024)
+    };
+  }
+
+  /**
+   * Schedule visemes for an output_transcription fragment. Display is
+   * handled separately by app.js appendToTranscript().
+   * @param {string} text - Transcription fragment, e.g. " Hello there,"
+   */
+  addText(text) {
+    if (!this.isStreamActive || !text) return;
+
+    // Languages without a loaded lipsync module keep the volume lipsync
+    const lang = this.lipsyncLang;
+    const processor = this.head.lipsync?.[lang];
+    if (!processor) return;
+
+    const words = this.head.lipsyncPreProcessText(text, lang);
+    const val = this.head.lipsyncWordsToVisemes(words, lang);
+
+    // Units run from the leading space to any trailing pause (",")
+    const trailing = words.match(/[^\p{L}\p{N}]*$/u)[0];
+    let units = 0;
+    for (const c of trailing) units += processor.specialDurations?.[c] || 0;
+    const n = val?.visemes?.length || 0;
+    if (n) units += val.times[n - 1] + val.durations[n - 1];
+    if (!units) return;
+
+    if (this.textCursorMs === null) this.textCursorMs = this.uttAudioMs;
+    const start = this.textCursorMs;
+    this.textCursorMs += units * this.msPerUnit;
+    this.turnTextUnits += units;
+    if (/[.!?…]["')\]]*\s*$/u.test(text)) this._markBoundary(this.textCursorMs);
+    if (!n) return;
+
+    this._sendVisemes({
+      visemes: val.visemes,
+      vtimes: val.times.map(t => start + t * this.msPerUnit),
+      vdurations: val.durations.map(d => d * this.msPerUnit)
+    });
   }
 
   /**
@@ -136,6 +330,7 @@ export class StreamingHandler {
   interrupt() {
     if (!this.isStreamActive) return;
     console.log(`[STREAM] Interrupted at chunk #${this.audioChunkCount}`);
+    this._dropPending();
     this.head.streamInterrupt();
     this._reset();
   }
@@ -149,6 +344,7 @@ export class StreamingHandler {
       `[STREAM] Stopping. ${this.audioChunkCount} chunks, ` +
       `${(this.totalAudioDurationMs / 1000).toFixed(1)}s`
     );
+    this._dropPending();
     this.head.streamStop();
     this.isStreamActive = false;
     this._reset();
@@ -163,6 +359,172 @@ export class StreamingHandler {
     this.audioChunkCount = 0;
     this.totalBytesReceived = 0;
     this.totalAudioDurationMs = 0;
+    this.isForwarding = false;
+    this.inUnderrun = false;
+    this.lastArrivalAt = 0;
+    this.uttAudioMs = 0;
+    this.uttStallMs = 0;
+    this.textCursorMs = null;
+    this.pendingVisemes = [];
+    this.pendingBoundaries = [];
+    for (const timer of this.boundaryTimers) clearTimeout(timer);
+    this.boundaryTimers.clear();
+    this.turnAudioMs = 0;
+    this.turnTextUnits = 0;
+  }
+
+  _flushPending(reason) {
+    clearTimeout(this.prebufferTimer);
+    this.prebufferTimer = null;
+    if (this.pending.length === 0) return;
+
+    this.lastStartupDelayMs = performance.now() - this.pendingSince;
+    console.log(
+      `[STREAM] Starting playback with ${this.pendingMs.toFixed(0)}ms buffered ` +
+      `(${reason}, target ${this.targetBufferMs.toFixed(0)}ms)`
+    );
+    this.isForwarding = true;
+    for (const audio of this.pending) this.head.streamAudio({ audio });
+    this.pending = [];
+    this.pendingMs = 0;
+
+    const visemes = this.pendingVisemes;
+    this.pendingVisemes = [];
+    for (const payload of visemes) this._sendVisemes(payload);
+    const boundaries = this.pendingBoundaries;
+    this.pendingBoundaries = [];
+    for (const ms of boundaries) this._markBoundary(ms);
+  }
+
+  _dropPending() {
+    clearTimeout(this.prebufferTimer);
+    this.prebufferTimer = null;
+    this.pending = [];
+    this.pendingMs = 0;
+    this.pendingVisemes = [];
+    this.pendingBoundaries = [];
+  }
+
+  /**
+   * Hand visemes (utterance-relative ms) to TalkingHead, dropping the ones
+   * the playhead has already passed. Before the worklet plays they are held:
+   * streamAudio() without audio would mark the avatar as speaking.
+   */
+  _sendVisemes(payload) {
+    if (!this.isForwarding) {
+      this.pendingVisemes.push(payload);
+      return;
+    }
+
+    // Underrun silence delays the rest of the utterance
+    const head = this.head;
+    const playedMs = this._playedMs();
+
+    const r = { visemes: [], vtimes: [], vdurations: [] };
+    payload.visemes.forEach((viseme, i) => {
+      this.textVisemes++;
+      if (payload.vtimes[i] + payload.vdurations[i] <= playedMs) {
+        this.laggedVisemes++;
+        return;
+      }
+      r.visemes.push(viseme);
+      r.vtimes.push(payload.vtimes[i] + this.uttStallMs);
+      r.vdurations.push(payload.vdurations[i]);
+    });
+    if (r.visemes.length) head.streamAudio(r);
+  }
+
+  /**
+   * Report a sentence end once playback reaches it.
+   * @param {number} uttMs - Position in the current utterance's audio
+   */
+  _markBoundary(uttMs) {
+    if (!this.isForwarding) {
+      this.pendingBoundaries.push(uttMs);
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.boundaryTimers.delete(timer);
+      this.onSpeechBoundary?.();
+    }, Math.max(0, uttMs - this._playedMs()));
+    this.boundaryTimers.add(timer);
+  }
+
+  // Audio of the current utterance played so far, without underrun silence
+  _playedMs() {
+    const head = this.head;
+    return head.streamAudioStartTime !== null && head.streamAudioStartTime !== undefined
+      ? head.animClock - head.streamAudioStartTime - this.uttStallMs
+      : 0;
+  }
+
+  /**
+   * The worklet drained: the next audio starts a new utterance timeline,
+   * so text already placed moves with it (what lands before 0 has played).
+   */
+  _endUtterance() {
+    if (this.textCursorMs !== null) this.textCursorMs -= this.uttAudioMs;
+    for (const payload of this.pendingVisemes) {
+      payload.vtimes = payload.vtimes.map(t => t - this.uttAudioMs);
+    }
+    this.pendingBoundaries = this.pendingBoundaries.map(ms => ms - this.uttAudioMs);
+    for (const timer of this.boundaryTimers) clearTimeout(timer);  // onSpeechEnd covers them
+    this.boundaryTimers.clear();
+    this.uttAudioMs = 0;
+    this.uttStallMs = 0;
+  }
+
+  /**
+   * Arrival jitter: how much later than its predecessor's duration each
+   * chunk arrives (smoothed like RTP interarrival jitter). Long gaps are
+   * pauses between utterances, not jitter.
+   */
+  _trackArrival(chunkMs) {
+    const now = performance.now();
+    if (this.lastArrivalAt) {
+      const lateMs = now - this.lastArrivalAt - this.lastChunkMs;
+      if (lateMs < 1000) this.jitterMs += (Math.max(0, lateMs) - this.jitterMs) / 16;
+    }
+    this.lastArrivalAt = now;
+    this.lastChunkMs = chunkMs;
+  }
+
+  _onWorkletMetrics(data) {
+    if (!data) return;
+    const newBlocks = data.underrunBlocks - this.worklet.underrunBlocks;
+    this.worklet = {
+      queuedMs: data.queuedMs,
+      maxQueuedMs: data.maxQueuedMs,
+      underrunBlocks: data.underrunBlocks
+    };
+
+    // Starved while playing an utterance: one underrun per stall
+    if (newBlocks > 0 && this.isForwarding) {
+      const stallMs = newBlocks * 128 / this.SAMPLE_RATE * 1000;
+      this.underrunMs += stallMs;
+      this.uttStallMs += stallMs;
+      if (!this.inUnderrun) {
+        this.inUnderrun = true;
+        this.underruns++;
+        this.turnUnderruns++;
+        if (this.bufferConfig.adaptive) this._setTarget(this.targetBufferMs + this.bufferConfig.stepUpMs);
+        console.warn(`[STREAM] Underrun #${this.underruns}, buffer target → ${this.targetBufferMs.toFixed(0)}ms`);
+      }
+    } else if (data.queuedMs > 0) {
+      this.inUnderrun = false;
+    }
+    this._emitMetrics();
+  }
+
+  _setTarget(ms) {
+    const cfg = this.bufferConfig;
+    // A fixed target is taken as given; the adaptive one stays above the jitter
+    const floor = cfg.adaptive ? Math.max(cfg.minMs, 2 * this.jitterMs) : 0;
+    this.targetBufferMs = Math.min(cfg.maxMs, Math.max(floor, ms));
+  }
+
+  _emitMetrics() {
+    if (this.onMetrics) this.onMetrics(this.getMetrics());
   }
 
   _updateSubtitles(text) {
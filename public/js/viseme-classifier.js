@@ -0,0 +1,103 @@
+/**
+ * SpectralVisemeClassifier - Picks an Oculus viseme from the spectrum of
+ * the playing audio, for stretches without transcript visemes.
+ *
+ * Works on AnalyserNode.getFloatFrequencyData() output, so it needs no
+ * language model and behaves the same for every voice:
+ *
+ *   - sibilant / fricative energy above 3 kHz → SS, FF or TH
+ *   - a short drop to near silence inside speech (stop closure) → PP
+ *   - otherwise a vowel from the first two formant regions: F1 (jaw
+ *     opening) and F2 (front/back, lip rounding) → aa, E, I, O, U, or nn
+ *     when the energy sits almost entirely below 350 Hz
+ *
+ * Formant positions are judged against running averages for the current
+ * voice, so a deep and a high voice map to the same shapes.
+ */
+export class SpectralVisemeClassifier {
+  /**
+   * @param {Object} opts
+   * @param {number} opts.sampleRate - AudioContext sample rate
+   * @param {number} [opts.fftSize=1024] - Analyser FFT size
+   */
+  constructor({ sampleRate, fftSize = 1024 }) {
+    const binHz = sampleRate / fftSize;
+    const bins = (lo, hi) => [Math.max(1, Math.round(lo / binHz)), Math.min(fftSize / 2 - 1, Math.round(hi / binHz))];
+    this.bands = {
+      all: bins(100, 10000),
+      nasal: bins(100, 350),
+      f1: bins(250, 1000),
+      f2: bins(1000, 3000),
+      fric: bins(3000, 10000),
+      sib: bins(5000, 10000)
+    };
+    this.binHz = binHz;
+    this.reset();
+  }
+
+  reset() {
+    this.speechDb = -40;         // running level of voiced frames
+    this.meanF1 = 550;
+    this.meanF2 = 1500;
+    this.closureMs = 0;
+    this.viseme = 'sil';
+  }
+
+  /**
+   * @param {Float32Array} db - Spectrum in dBFS per bin
+   * @param {number} dtMs - Time since the previous call
+   * @returns {string} Viseme name without the `viseme_` prefix
+   */
+  classify(db, dtMs) {
+    const power = (band) => {
+      let sum = 0;
+      for (let i = band[0]; i <= band[1]; i++) sum += 10 ** (db[i] / 10);
+      return sum;
+    };
+    const total = power(this.bands.all);
+    const levelDb = 10 * Math.log10(total + 1e-12);
+
+    // Closure: well below the speech level. Short ones are stops (lips shut)
+    if (levelDb < this.speechDb - 25) {
+      this.closureMs += dtMs;
+      return (this.viseme = this.closureMs < 150 ? 'PP' : 'sil');
+    }
+    this.closureMs = 0;
+
+    const fric = power(this.bands.fric);
+    if (fric / total > 0.45) {
+      if (power(this.bands.sib) / fric > 0.8) return (this.viseme = 'SS');
+      return (this.viseme = levelDb < this.speechDb - 12 ? 'TH' : 'FF');
+    }
+
+    // Voiced frame
+    this.speechDb += (levelDb - this.speechDb) * 0.05;
+    if (power(this.bands.nasal) / total > 0.7) return (this.viseme = 'nn');
+
+    const f1 = this._centroid(db, this.bands.f1);
+    const f2 = this._centroid(db, this.bands.f2);
+    this.meanF1 += (f1 - this.meanF1) * 0.02;
+    this.meanF2 += (f2 - this.meanF2) * 0.02;
+    const r1 = f1 / this.meanF1;
+    const r2 = f2 / this.meanF2;
+
+    if (r1 > 1.2) return (this.viseme = 'aa');
+    if (r1 < 0.85 && r2 > 1.12) return (this.viseme = 'I');
+    if (r1 < 0.85 && r2 < 0.85) return (this.viseme = 'U');
+    if (r2 < 0.9) return (this.viseme = 'O');
+    if (r2 > 1.05) return (this.viseme = 'E');
+    return (this.viseme = 'aa');
+  }
+
+  // Mean frequency of a band, weighted towards its strongest bins
+  _centroid(db, band) {
+    let sum = 0;
+    let weighted = 0;
+    for (let i = band[0]; i <= band[1]; i++) {
+      const p = 10 ** (db[i] / 5);   // squared power favours the formant peak
+      sum += p;
+      weighted += p * i * this.binHz;
+    }
+    return sum > 0 ? weighted / sum : (band[0] + band[1]) / 2 * this.binHz;
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * VoiceActivityDetector - Frame-level speech detection on 16 kHz Int16 PCM.
+ *
+ * Levels use the same 0-255 scale and hysteresis as TalkingHead's
+ * listening mode (`listeningActiveThresholdLevel`,
+ * `listeningSilenceThresholdLevel`, `...ThresholdMs`), so one set of
+ * thresholds tunes both. Each frame is high-passed to drop rumble, and
+ * noise-like frames (high zero-crossing rate) cannot start speech. An
+ * adaptive noise floor keeps a steady background (fans, hum) from holding
+ * the detector open.
+ */
+export class VoiceActivityDetector {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.activeThresholdLevel=75] - Level (0-255) that starts speech
+   * @param {number} [opts.activeThresholdMs=300] - Time above it before speech starts
+   * @param {number} [opts.silenceThresholdLevel=40] - Level below which speech fades
+   * @param {number} [opts.silenceThresholdMs=2000] - Time below it before speech ends
+   * @param {number} [opts.activeDurationMax=240000] - Speech is cut off after this long
+   * @param {number} [opts.sampleRate=16000]
+   */
+  constructor(opts = {}) {
+    this.activeThresholdLevel = opts.activeThresholdLevel ?? 75;
+    this.activeThresholdMs = opts.activeThresholdMs ?? 300;
+    this.silenceThresholdLevel = opts.silenceThresholdLevel ?? 40;
+    this.silenceThresholdMs = opts.silenceThresholdMs ?? 2000;
+    this.activeDurationMax = opts.activeDurationMax ?? 240000;
+    this.sampleRate = opts.sampleRate || 16000;
+
+    // First-order high-pass at ~150 Hz
+    const rc = 1 / (2 * Math.PI * 150);
+    this.hpAlpha = rc / (rc + 1 / this.sampleRate);
+
+    this.reset();
+  }
+
+  reset() {
+    this.speaking = false;
+    this.level = 0;
+    this.noiseLevel = null;
+    this.timer = 0;
+    this.activeMs = 0;
+    this.hpPrevIn = 0;
+    this.hpPrevOut = 0;
+  }
+
+  /**
+   * Feed one frame.
+   * @param {Int16Array} pcm
+   * @returns {'start'|'stop'|null} Transition caused by this frame
+   */
+  process(pcm) {
+    if (!pcm.length) return null;
+    const frameMs = pcm.length / this.sampleRate * 1000;
+    const { level, zcr } = this._analyze(pcm);
+
+    // Same smoothing as TalkingHead's listeningVolume
+    this.level = (this.level + level) / 2;
+    if (this.noiseLevel === null) this.noiseLevel = this.level;
+
+    if (this.speaking) {
+      this.activeMs += frameMs;
+      const silenceLevel = Math.max(this.silenceThresholdLevel, this.noiseLevel + 8);
+      if (this.level < silenceLevel) {
+        this.timer += frameMs;
+        if (this.timer > this.silenceThresholdMs) return this._stop();
+      } else {
+        this.timer *= 0.5;
+      }
+      // A background that got louder mid-speech must not hold the gate open
+      if (this.activeMs > this.activeDurationMax) return this._stop();
+      return null;
+    }
+
+    // Noise floor follows quiet frames quickly and loud ones slowly
+    const rate = this.level < this.noiseLevel ? 0.3 : 0.05;
+    this.noiseLevel += (this.level - this.noiseLevel) * rate;
+
+    const activeLevel = Math.max(this.activeThresholdLevel, this.noiseLevel + 20);
+    if (this.level > activeLevel && zcr < 0.4) {
+      this.timer += frameMs;
+      if (this.timer > this.activeThresholdMs) {
+        this.speaking = true;
+        this.timer = 0;
+        this.activeMs = 0;
+        return 'start';
+      }
+    } else {
+      this.timer *= 0.5;
+    }
+    return null;
+  }
+
+  // --- Internal helpers ---
+
+  _stop() {
+    this.speaking = false;
+    this.timer = 0;
+    return 'stop';
+  }
+
+  /**
+   * Level on TalkingHead's scale: the analyser peak bin (fftSize 256,
+   * -70..-10 dB) of a tone sits ~10 dB below its RMS in dBFS.
+   */
+  _analyze(pcm) {
+    let sumSquares = 0;
+    let crossings = 0;
+    let prev = 0;
+    for (let i = 0; i < pcm.length; i++) {
+      const x = pcm[i] / 32768;
+      const y = this.hpAlpha * (this.hpPrevOut + x - this.hpPrevIn);
+      this.hpPrevIn = x;
+      this.hpPrevOut = y;
+      sumSquares += y * y;
+      if ((y >= 0) !== (prev >= 0)) crossings++;
+      prev = y;
+    }
+    const rms = Math.sqrt(sumSquares / pcm.length);
+    const db = 20 * Math.log10(rms + 1e-9) - 10;
+    return {
+      level: Math.max(0, Math.min(255, (db + 70) / 60 * 255)),
+      zcr: crossings / pcm.length
+    };
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * CaptureWorklet - Microphone capture off the main thread.
+ *
+ * Resamples the mic input (usually 44.1/48 kHz) to the target rate with a
+ * windowed-sinc low-pass (Blackman window), converts to 16-bit PCM and posts
+ * fixed-size frames to the main thread:
+ *
+ *   { type: "frame", data: ArrayBuffer (Int16 PCM), level: 0..1 (RMS) }
+ *
+ * processorOptions:
+ *   targetSampleRate  Output rate (default 16000)
+ *   frameSamples      Samples per posted frame (default 1280 = 80 ms at 16 kHz)
+ *   zeroCrossings     Filter half-length in zero crossings (default 8)
+ *
+ * Messages in: { type: "flush" } posts the partially filled frame.
+ */
+
+// Kernel table entries per input sample; taps between entries are interpolated
+const KERNEL_STEPS = 512;
+
+class CaptureWorklet extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options?.processorOptions || {};
+
+    this._inRate = sampleRate;
+    this._outRate = opts.targetSampleRate || 16000;
+    this._frameSamples = opts.frameSamples || 1280;
+    this._ratio = this._inRate / this._outRate;   // input samples per output sample
+
+    // Low-pass just below the output Nyquist when downsampling
+    this._cutoff = Math.min(1, this._outRate / this._inRate) * 0.9;
+    const zeroCrossings = opts.zeroCrossings || 8;
+    this._halfWidth = Math.ceil(zeroCrossings / this._cutoff);   // in input samples
+    // The rates are fixed for the worklet's lifetime, so the filter is
+    // tabulated once instead of evaluated per tap on the render thread
+    this._kernel = buildKernel(this._cutoff, this._halfWidth);
+
+    // Input history; _pos is the next output position in input-sample units,
+    // relative to _buf[0]
+    this._buf = new Float32Array(Math.max(4096, this._halfWidth * 4 + 256));
+    this._bufLen = 0;
+    this._pos = 0;
+
+    this._frame = new Int16Array(this._frameSamples);
+    this._frameLen = 0;
+    this._sumSquares = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === "flush") this._postFrame();
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (channel) {
+      this._append(channel);
+      this._resample();
+    }
+    return true;
+  }
+
+  _append(samples) {
+    if (this._bufLen + samples.length > this._buf.length) {
+      const grown = new Float32Array((this._bufLen + samples.length) * 2);
+      grown.set(this._buf.subarray(0, this._bufLen));
+      this._buf = grown;
+    }
+    this._buf.set(samples, this._bufLen);
+    this._bufLen += samples.length;
+  }
+
+  _resample() {
+    const H = this._halfWidth;
+    const kernel = this._kernel;
+
+    // An output sample needs H input samples on either side of its position
+    while (this._pos + H < this._bufLen) {
+      const center = Math.floor(this._pos);
+      const start = Math.max(0, center - H + 1);
+      const end = center + H;
+      let acc = 0;
+      let norm = 0;
+      for (let k = start; k <= end; k++) {
+        // The kernel is symmetric, so it is tabulated for |t| only
+        const x = Math.abs(this._pos - k) * KERNEL_STEPS;
+        const i = x | 0;
+        const w = kernel[i] + (kernel[i + 1] - kernel[i]) * (x - i);
+        acc += this._buf[k] * w;
+        norm += w;
+      }
+      this._pushSample(norm ? acc / norm : 0);
+      this._pos += this._ratio;
+    }
+
+    // Drop input that no future output sample can reach
+    const keepFrom = Math.max(0, Math.floor(this._pos) - H);
+    if (keepFrom > 0) {
+      this._buf.copyWithin(0, keepFrom, this._bufLen);
+      this._bufLen -= keepFrom;
+      this._pos -= keepFrom;
+    }
+  }
+
+  _pushSample(value) {
+    const s = Math.max(-1, Math.min(1, value));
+    this._sumSquares += s * s;
+    this._frame[this._frameLen++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    if (this._frameLen === this._frameSamples) this._postFrame();
+  }
+
+  _postFrame() {
+    if (this._frameLen === 0) return;
+    const pcm = this._frame.slice(0, this._frameLen);
+    const level = Math.sqrt(this._sumSquares / this._frameLen);
+    this._frameLen = 0;
+    this._sumSquares = 0;
+    this.port.postMessage({ type: "frame", data: pcm.buffer, level }, [pcm.buffer]);
+  }
+}
+
+/**
+ * Windowed-sinc low-pass for |t| = 0..H input samples, KERNEL_STEPS entries
+ * per sample (plus one past H for interpolation).
+ */
+function buildKernel(fc, H) {
+  const kernel = new Float32Array(H * KERNEL_STEPS + 2);
+  for (let i = 0; i < kernel.length; i++) {
+    const t = i / KERNEL_STEPS;
+    kernel[i] = fc * sinc(fc * t) * blackman(t, H);
+  }
+  return kernel;
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Blackman window over t in [-H, H]
+function blackman(t, H) {
+  if (Math.abs(t) >= H) return 0;
+  const x = (t + H) / (2 * H);
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+}
+
+registerProcessor("capture-processor", CaptureWorklet);
@@ -0,0 +1,287 @@
+/**
+* @class Spanish lip-sync processor
+*
+* Rule-based grapheme-to-viseme conversion in the format of the English and
+* German modules. Spanish spelling is close to phonemic, so most letters map
+* directly; the rules handle digraphs (CH, LL, RR, QU, GU), soft C/G before
+* E/I, the silent H, and B/V, which are both bilabial.
+* Pronunciation follows Latin American Spanish (seseo, yeísmo): C before E/I
+* and Z are SS, LL and Y are I.
+*/
+
+/**
+* Grapheme rules: "left[LETTERS]right=visemes", tried in order for the
+* letter at the current position. Context symbols are listed in OPS.
+* Exported so the tables can be tested on their own.
+*/
+const GRAPHEME_RULES = {
+  'A': [ "[A]=aa" ],
+  'Á': [ "[Á]=aa" ],
+  'B': [ "[B]=PP" ],
+  'C': [ "[CH]=CH", "[CC]=kk SS", "[C]+=SS", "[C]=kk" ],
+  'D': [ "[D]=DD" ],
+  'E': [ "[E]=E" ],
+  'É': [ "[É]=E" ],
+  'F': [ "[F]=FF" ],
+  'G': [ "[GÜ]=kk U", "[GU]+=kk", "[G]+=kk", "[G]=kk" ],
+  'H': [ "[H]=" ],
+  'I': [ "[I]=I" ],
+  'Í': [ "[Í]=I" ],
+  'J': [ "[J]=kk" ],
+  'K': [ "[K]=kk" ],
+  'L': [ "[LL]=I", "[L]=nn" ],
+  'M': [ "[M]=PP" ],
+  'N': [ "[N]=nn" ],
+  'Ñ': [ "[Ñ]=nn I" ],
+  'O': [ "[O]=O" ],
+  'Ó': [ "[Ó]=O" ],
+  'P': [ "[P]=PP" ],
+  'Q': [ "[QU]=kk", "[Q]=kk" ],
+  'R': [ "[RR]=RR", "[R]=RR" ],
+  'S': [ "[S]=SS" ],
+  'T': [ "[T]=DD" ],
+  'U': [ "[U]=U" ],
+  'Ú': [ "[Ú]=U" ],
+  'Ü': [ "[Ü]=U" ],
+  'V': [ "[V]=PP" ],
+  'W': [ "[W]=U" ],
+  'X': [ " [X]=SS", "[X]=kk SS" ],
+  'Y': [ "[Y]=I" ],
+  'Z': [ "[Z]=SS" ]
+};
+
+const OPS = {
+  '+': '[EIÉÍ]', // Front vowel
+  ' ': '(?:^|$|[^\\p{L}])' // Word boundary (\b does not know accented letters)
+};
+
+class LipsyncEs {
+
+  /**
+  * @constructor
+  */
+  constructor() {
+
+    // Compile the rule strings to regular expressions
+    this.rules = {};
+    Object.keys(GRAPHEME_RULES).forEach( key => {
+      this.rules[key] = GRAPHEME_RULES[key].map( rule => {
+        const posL = rule.indexOf('[');
+        const posR = rule.indexOf(']');
+        const posE = rule.indexOf('=');
+        const strLeft = rule.substring(0,posL);
+        const strLetters = rule.substring(posL+1,posR);
+        const strRight = rule.substring(posR+1,posE);
+        const strVisemes = rule.substring(posE+1);
+
+        const o = { regex: '', move: 0, visemes: [] };
+
+        let exp = '';
+        exp += [...strLeft].map( x => OPS[x] || x ).join('');
+        const ctxLetters = [...strLetters];
+        ctxLetters[0] = ctxLetters[0].toLowerCase();
+        exp += ctxLetters.join('');
+        o.move = ctxLetters.length;
+        exp += [...strRight].map( x => OPS[x] || x ).join('');
+        o.regex = new RegExp(exp, 'u');
+
+        if ( strVisemes.length ) {
+          strVisemes.split(' ').forEach( viseme => {
+            o.visemes.push(viseme);
+          });
+        }
+
+        return o;
+      });
+    });
+
+    // Viseme durations in relative units (1=average)
+    this.visemeDurations = {
+      'aa': 0.95, 'E': 0.90, 'I': 0.92, 'O': 0.96, 'U': 0.95, 'PP': 1.08,
+      'SS': 1.23, 'TH': 1, 'DD': 1.05, 'FF': 1.00, 'kk': 1.21, 'nn': 0.88,
+      'RR': 0.88, 'CH': 1.15, 'sil': 1
+    };
+
+    // Pauses in relative units (1=average)
+    this.specialDurations = { ' ': 1, ',': 3, '-': 0.5, '.': 4, '!': 3, '?': 3 };
+
+    // Spanish number words
+    this.ones = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'];
+    this.teens = [
+      'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis',
+      'diecisiete', 'dieciocho', 'diecinueve'
+    ];
+    this.twenties = [
+      'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro',
+      'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'
+    ];
+    this.tens = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+    this.hundreds = [
+      '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+      'seiscientos', 'setecientos', 'ochocientos', 'novecientos'
+    ];
+    // Words after a number that are not the noun it counts: "uno" stays
+    this.noApocope = [
+      'coma', 'punto', 'y', 'o', 'u', 'a', 'al', 'de', 'del', 'en', 'por',
+      'para', 'con', 'sin', 'más', 'menos', 'es', 'son'
+    ];
+    this.ordinals = [
+      '', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto',
+      'séptimo', 'octavo', 'noveno', 'décimo'
+    ];
+
+    // Symbols to Spanish
+    this.symbols = {
+      '%': 'por ciento', '€': 'euros', '&': 'y', '+': 'más', '$': 'dólares',
+      '=': 'igual', '@': 'arroba'
+    };
+    this.symbolsReg = /[%€&\+\$=@]/g;
+  }
+
+  /**
+  * Convert a whole number (0 - 999 999 999 999) to Spanish words.
+  * @param {number} n Number
+  * @return {string} The number in words.
+  */
+  numberToWords(n) {
+    if ( n < 10 ) return this.ones[n];
+    if ( n < 20 ) return this.teens[n - 10];
+    if ( n < 30 ) return this.twenties[n - 20];
+    if ( n < 100 ) {
+      const r = n % 10;
+      return this.tens[Math.floor(n / 10)] + (r ? ' y ' + this.ones[r] : '');
+    }
+    if ( n < 1000 ) {
+      if ( n === 100 ) return 'cien';
+      const r = n % 100;
+      return this.hundreds[Math.floor(n / 100)] + (r ? ' ' + this.numberToWords(r) : '');
+    }
+    if ( n < 1000000 ) {
+      const k = Math.floor(n / 1000);
+      const r = n % 1000;
+      const w = k === 1 ? 'mil' : this.apocope(this.numberToWords(k)) + ' mil';
+      return w + (r ? ' ' + this.numberToWords(r) : '');
+    }
+    const m = Math.floor(n / 1000000);
+    const r = n % 1000000;
+    const w = m === 1 ? 'un millón' : this.apocope(this.numberToWords(m)) + ' millones';
+    return w + (r ? ' ' + this.numberToWords(r) : '');
+  }
+
+  /**
+  * "uno" becomes "un" before mil/millones and nouns (veintiún mil, veintiún años).
+  * @param {string} w Number words
+  * @return {string} Shortened words.
+  */
+  apocope(w) {
+    return w.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+  }
+
+  /**
+  * Convert a number string to words, reading long codes and numbers with
+  * leading zeros digit by digit.
+  * @param {string} x Number string
+  * @param {string} [following] Text after the number
+  * @return {string} The number in words.
+  */
+  convertNumber(x, following = '') {
+    if ( x.length > 1 && x.startsWith('0') || x.length > 12 ) {
+      return [...x].map( d => this.ones[d] ).join(' ');
+    }
+    const w = this.numberToWords(parseInt(x, 10));
+    const next = following.match(/^\s+(\p{L}+)/u)?.[1];
+    return next && !this.noApocope.includes(next.toLowerCase()) ? this.apocope(w) : w;
+  }
+
+  /**
+  * Convert an ordinal (1º, 2.ª, 3er) to words.
+  * @param {string} x Number string
+  * @param {string} suffix Ordinal indicator
+  * @return {string} The ordinal in words.
+  */
+  convertOrdinal(x, suffix) {
+    const n = parseInt(x, 10);
+    const feminine = /[ªa]$/i.test(suffix);
+    if ( n < 1 || n > 10 ) return this.convertNumber(x);
+    let w = this.ordinals[n];
+    if ( feminine ) {
+      w = w.replace(/o$/, 'a');
+    } else if ( /er$/i.test(suffix) ) {
+      w = w.replace(/ero$/, 'er'); // primer, tercer
+    }
+    return w;
+  }
+
+  /**
+  * Preprocess text:
+  * - convert symbols to words
+  * - convert ordinals and numbers to words
+  * - filter out characters that should be left unspoken
+  * @param {string} s Text
+  * @return {string} Pre-processsed text.
+  */
+  preProcessText(s) {
+    return s.replace(/[#_*\'\":;¿¡«»]/g,'')
+      .replace( this.symbolsReg, (symbol) => {
+        return ' ' + this.symbols[symbol] + ' ';
+      })
+      .replace(/(\d+)\.?(º|ª|er|ra|do|da|to|ta|mo|ma|vo|va|no|na)(?!\p{L})/gu, (m, x, suffix) => this.convertOrdinal(x, suffix))
+      .replace(/(?<=\d)\.(?=\d{3}(?!\d))/g, '') // Thousands separator
+      .replace(/(\d),(\d)/g, '$1 coma $2') // Decimal comma
+      .replace(/(\d)\.(\d)/g, '$1 punto $2') // Decimal point
+      .replace(/\d+/g, (x, offset, str) => this.convertNumber(x, str.slice(offset + x.length))) // Numbers to words
+      .replace(/(\D)\1\1+/g, "$1$1") // Max 2 repeating chars
+      .replace(/\s+/g, ' ') // Only one space
+      .trim();
+  }
+
+  /**
+  * Convert words to Oculus LipSync Visemes and durations
+  * @param {string} w Words
+  * @return {Object} Oculus LipSync Visemes and durations.
+  */
+  wordsToVisemes(w) {
+    let o = { words: w.toUpperCase(), visemes: [], times: [], durations: [], i: 0 };
+    let t = 0;
+
+    const chars = [...o.words];
+    while( o.i < chars.length ) {
+      const c = chars[o.i];
+      const ruleset = this.rules[c];
+      let matched = false;
+      if ( ruleset ) {
+        const test = chars.slice(0, o.i).join('') + c.toLowerCase() + chars.slice(o.i + 1).join('');
+        for( let i=0; i<ruleset.length; i++ ) {
+          const rule = ruleset[i];
+          if ( test.match(rule.regex) ) {
+            rule.visemes.forEach( viseme => {
+              if ( o.visemes.length && o.visemes[ o.visemes.length - 1 ] === viseme ) {
+                const d = 0.7 * (this.visemeDurations[viseme] || 1);
+                o.durations[ o.durations.length - 1 ] += d;
+                t += d;
+              } else {
+                const d = this.visemeDurations[viseme] || 1;
+                o.visemes.push( viseme );
+                o.times.push(t);
+                o.durations.push( d );
+                t += d;
+              }
+            });
+            o.i += rule.move;
+            matched = true;
+            break;
+          }
+        }
+      }
+      if ( !matched ) {
+        o.i++;
+        t += this.specialDurations[c] || 0;
+      }
+    }
+
+    return o;
+  }
+
+}
+
+export { LipsyncEs, GRAPHEME_RULES };
@@ -0,0 +1,270 @@
+/**
+* @class Italian lip-sync processor
+*
+* Rule-based grapheme-to-viseme conversion in the format of the English and
+* German modules. Italian spelling is close to phonemic; the rules handle
+* hard/soft C and G (CH, GH, CI/GI before a vowel), SC, GN, GLI, QU, the
+* silent H and the double consonants, which are held longer rather than
+* repeated.
+*/
+
+/**
+* Grapheme rules: "left[LETTERS]right=visemes", tried in order for the
+* letter at the current position. Context symbols are listed in OPS.
+* Exported so the tables can be tested on their own.
+*/
+const GRAPHEME_RULES = {
+  'A': [ "[A]=aa" ],
+  'À': [ "[À]=aa" ],
+  'B': [ "[B]=PP" ],
+  'C': [ "[CH]=kk", "[CCI]#=CH", "[CI]#=CH", "[CC]+=CH", "[C]+=CH", "[C]=kk" ],
+  'D': [ "[D]=DD" ],
+  'E': [ "[E]=E" ],
+  'È': [ "[È]=E" ],
+  'É': [ "[É]=E" ],
+  'F': [ "[F]=FF" ],
+  'G': [
+    "[GH]=kk", "[GLI]#=nn I", "[GLI] =nn I", "[GN]=nn I", "[GGI]#=CH",
+    "[GI]#=CH", "[GG]+=CH", "[G]+=CH", "[G]=kk"
+  ],
+  'H': [ "[H]=" ],
+  'I': [ "[I]=I" ],
+  'Ì': [ "[Ì]=I" ],
+  'Í': [ "[Í]=I" ],
+  'J': [ "[J]=I" ],
+  'K': [ "[K]=kk" ],
+  'L': [ "[L]=nn" ],
+  'M': [ "[M]=PP" ],
+  'N': [ "[N]=nn" ],
+  'O': [ "[O]=O" ],
+  'Ò': [ "[Ò]=O" ],
+  'Ó': [ "[Ó]=O" ],
+  'P': [ "[P]=PP" ],
+  'Q': [ "[QU]=kk U", "[Q]=kk" ],
+  'R': [ "[R]=RR" ],
+  'S': [ "[SCH]=SS kk", "[SCI]#=SS", "[SC]+=SS", "[S]=SS" ],
+  'T': [ "[T]=DD" ],
+  'U': [ "[U]=U" ],
+  'Ù': [ "[Ù]=U" ],
+  'Ú': [ "[Ú]=U" ],
+  'V': [ "[V]=FF" ],
+  'W': [ "[W]=U" ],
+  'X': [ "[X]=kk SS" ],
+  'Y': [ "[Y]=I" ],
+  'Z': [ "[ZZ]=DD SS", "[Z]=DD SS" ]
+};
+
+const OPS = {
+  '#': '[AEIOUÀÈÉÌÍÒÓÙÚ]', // Vowel
+  '+': '[EIÈÉÌÍ]', // Front vowel
+  ' ': '(?:^|$|[^\\p{L}])' // Word boundary (\b does not know accented letters)
+};
+
+class LipsyncIt {
+
+  /**
+  * @constructor
+  */
+  constructor() {
+
+    // Compile the rule strings to regular expressions
+    this.rules = {};
+    Object.keys(GRAPHEME_RULES).forEach( key => {
+      this.rules[key] = GRAPHEME_RULES[key].map( rule => {
+        const posL = rule.indexOf('[');
+        const posR = rule.indexOf(']');
+        const posE = rule.indexOf('=');
+        const strLeft = rule.substring(0,posL);
+        const strLetters = rule.substring(posL+1,posR);
+        const strRight = rule.substring(posR+1,posE);
+        const strVisemes = rule.substring(posE+1);
+
+        const o = { regex: '', move: 0, visemes: [] };
+
+        let exp = '';
+        exp += [...strLeft].map( x => OPS[x] || x ).join('');
+        const ctxLetters = [...strLetters];
+        ctxLetters[0] = ctxLetters[0].toLowerCase();
+        exp += ctxLetters.join('');
+        o.move = ctxLetters.length;
+        exp += [...strRight].map( x => OPS[x] || x ).join('');
+        o.regex = new RegExp(exp, 'u');
+
+        if ( strVisemes.length ) {
+          strVisemes.split(' ').forEach( viseme => {
+            o.visemes.push(viseme);
+          });
+        }
+
+        return o;
+      });
+    });
+
+    // Viseme durations in relative units (1=average)
+    this.visemeDurations = {
+      'aa': 0.95, 'E': 0.90, 'I': 0.92, 'O': 0.96, 'U': 0.95, 'PP': 1.08,
+      'SS': 1.23, 'TH': 1, 'DD': 1.05, 'FF': 1.00, 'kk': 1.21, 'nn': 0.88,
+      'RR': 0.88, 'CH': 1.15, 'sil': 1
+    };
+
+    // Pauses in relative units (1=average)
+    this.specialDurations = { ' ': 1, ',': 3, '-': 0.5, "'": 0.5, '.': 4, '!': 3, '?': 3 };
+
+    // Italian number words
+    this.ones = [
+      'zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove',
+      'dieci', 'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici',
+      'diciassette', 'diciotto', 'diciannove'
+    ];
+    this.tens = ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'];
+    this.ordinals = [
+      '', 'primo', 'secondo', 'terzo', 'quarto', 'quinto', 'sesto', 'settimo',
+      'ottavo', 'nono', 'decimo'
+    ];
+
+    // Symbols to Italian
+    this.symbols = {
+      '%': 'per cento', '€': 'euro', '&': 'e', '+': 'più', '$': 'dollari',
+      '=': 'uguale', '@': 'chiocciola'
+    };
+    this.symbolsReg = /[%€&\+\$=@]/g;
+  }
+
+  /**
+  * Convert a whole number (0 - 999 999 999 999) to Italian words.
+  * @param {number} n Number
+  * @return {string} The number in words.
+  */
+  numberToWords(n) {
+    if ( n < 20 ) return this.ones[n];
+    if ( n < 100 ) {
+      const r = n % 10;
+      let w = this.tens[Math.floor(n / 10)];
+      if ( r === 1 || r === 8 ) w = w.slice(0, -1); // ventuno, trentotto
+      return w + (r ? (r === 3 ? 'tré' : this.ones[r]) : '');
+    }
+    if ( n < 1000 ) {
+      const h = Math.floor(n / 100);
+      const r = n % 100;
+      return (h === 1 ? '' : this.ones[h]) + 'cento' + (r ? this.numberToWords(r) : '');
+    }
+    if ( n < 1000000 ) {
+      const k = Math.floor(n / 1000);
+      const r = n % 1000;
+      const w = k === 1 ? 'mille' : this.numberToWords(k) + 'mila';
+      return w + (r ? ' ' + this.numberToWords(r) : '');
+    }
+    const m = Math.floor(n / 1000000);
+    const r = n % 1000000;
+    const w = m === 1 ? 'un milione' : this.numberToWords(m) + ' milioni';
+    return w + (r ? ' ' + this.numberToWords(r) : '');
+  }
+
+  /**
+  * Convert a number string to words, reading long codes and numbers with
+  * leading zeros digit by digit.
+  * @param {string} x Number string
+  * @return {string} The number in words.
+  */
+  convertNumber(x) {
+    if ( x.length > 1 && x.startsWith('0') || x.length > 12 ) {
+      return [...x].map( d => this.ones[d] ).join(' ');
+    }
+    return this.numberToWords(parseInt(x, 10));
+  }
+
+  /**
+  * Convert an ordinal (1º, 2ª, 11°) to words: the first ten have their own
+  * words, the rest add -esimo to the cardinal (undicesimo, ventitreesimo).
+  * @param {string} x Number string
+  * @param {string} suffix Ordinal indicator
+  * @return {string} The ordinal in words.
+  */
+  convertOrdinal(x, suffix) {
+    const n = parseInt(x, 10);
+    if ( n < 1 ) return this.convertNumber(x);
+    let w;
+    if ( n <= 10 ) {
+      w = this.ordinals[n];
+    } else {
+      w = this.convertNumber(x).replace(/ /g, '');
+      if ( w.endsWith('tré') ) w = w.slice(0, -1) + 'e';
+      else if ( !w.endsWith('sei') ) w = w.slice(0, -1);
+      w += 'esimo';
+    }
+    return suffix === 'ª' ? w.replace(/o$/, 'a') : w;
+  }
+
+  /**
+  * Preprocess text:
+  * - convert symbols to words
+  * - convert ordinals and numbers to words
+  * - filter out characters that should be left unspoken
+  * @param {string} s Text
+  * @return {string} Pre-processsed text.
+  */
+  preProcessText(s) {
+    return s.replace(/[#_*\":;«»]/g,'')
+      .replace( this.symbolsReg, (symbol) => {
+        return ' ' + this.symbols[symbol] + ' ';
+      })
+      .replace(/(\d+)\.?([º°ª])/g, (m, x, suffix) => this.convertOrdinal(x, suffix))
+      .replace(/(?<=\d)\.(?=\d{3}(?!\d))/g, '') // Thousands separator
+      .replace(/(\d),(\d)/g, '$1 virgola $2') // Decimal comma
+      .replace(/(\d)\.(\d)/g, '$1 punto $2') // Decimal point
+      .replace(/\d+/g, this.convertNumber.bind(this)) // Numbers to words
+      .replace(/(\D)\1\1+/g, "$1$1") // Max 2 repeating chars
+      .replace(/\s+/g, ' ') // Only one space
+      .trim();
+  }
+
+  /**
+  * Convert words to Oculus LipSync Visemes and durations
+  * @param {string} w Words
+  * @return {Object} Oculus LipSync Visemes and durations.
+  */
+  wordsToVisemes(w) {
+    let o = { words: w.toUpperCase(), visemes: [], times: [], durations: [], i: 0 };
+    let t = 0;
+
+    const chars = [...o.words];
+    while( o.i < chars.length ) {
+      const c = chars[o.i];
+      const ruleset = this.rules[c];
+      let matched = false;
+      if ( ruleset ) {
+        const test = chars.slice(0, o.i).join('') + c.toLowerCase() + chars.slice(o.i + 1).join('');
+        for( let i=0; i<ruleset.length; i++ ) {
+          const rule = ruleset[i];
+          if ( test.match(rule.regex) ) {
+            rule.visemes.forEach( viseme => {
+              if ( o.visemes.length && o.visemes[ o.visemes.length - 1 ] === viseme ) {
+                const d = 0.7 * (this.visemeDurations[viseme] || 1);
+                o.durations[ o.durations.length - 1 ] += d;
+                t += d;
+              } else {
+                const d = this.visemeDurations[viseme] || 1;
+                o.visemes.push( viseme );
+                o.times.push(t);
+                o.durations.push( d );
+                t += d;
+              }
+            });
+            o.i += rule.move;
+            matched = true;
+            break;
+          }
+        }
+      }
+      if ( !matched ) {
+        o.i++;
+        t += this.specialDurations[c] || 0;
+      }
+    }
+
+    return o;
+  }
+
+}
+
+export { LipsyncIt, GRAPHEME_RULES };
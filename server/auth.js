@@ -1,7 +1,33 @@
 import jwt from 'jsonwebtoken';
 
+// Close codes for WebSocket connections that fail authentication
+export const WS_CLOSE_CODES = {
+  UNAUTHORIZED: 4401,   // no token or invalid token
+  TOKEN_EXPIRED: 4403   // valid signature but expired — refresh and reconnect
+};
+
+// Sec-WebSocket-Protocol entry carrying the token: "bearer.<jwt>"
+const WS_TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
+// userId prefix of tokens issued without an API key (ALLOW_ANONYMOUS_TOKENS)
+export const ANONYMOUS_USER_PREFIX = 'anon-';
+
+/**
+ * Anonymous ids are free to mint, so they do not identify a client.
+ * @param {string} [userId]
+ */
+export function isAnonymousUser(userId) {
+  return typeof userId === 'string' && userId.startsWith(ANONYMOUS_USER_PREFIX);
+}
+
 export class AuthMiddleware {
-  static generateToken(userId, expiresIn = '1h') {
+  /**
+   * @param {string} userId
+   * @param {string|number} [expiresIn] - Token lifetime
+   * @param {number} [authTime] - When the user first got a token (ms); kept
+   *   across refreshes so the chain of tokens has a maximum age
+   */
+  static generateToken(userId, expiresIn = '1h', authTime = Date.now()) {
     if (!process.env.JWT_SECRET) {
       throw new Error('JWT_SECRET not configured');
     }
@@ -10,6 +36,7 @@ export class AuthMiddleware {
       { 
         userId, 
         timestamp: Date.now(),
+        authTime,
         type: 'access'
       },
       process.env.JWT_SECRET,
@@ -94,15 +121,67 @@ export class AuthMiddleware {
     }
   }
   
-  static refreshToken(oldToken) {
+  /**
+   * @param {string} oldToken
+   * @param {string|number} [expiresIn] - Lifetime of the new token
+   * @param {number} [maxExpiredMs] - Refuse tokens that expired longer ago than this
+   * @param {number} [maxSessionMs] - Refuse tokens whose chain started longer ago than this
+   */
+  static refreshToken(oldToken, expiresIn = '1h', maxExpiredMs = Infinity, maxSessionMs = Infinity) {
+    let decoded;
     try {
-      const decoded = jwt.verify(oldToken, process.env.JWT_SECRET, { ignoreExpiration: true });
-      
-      // Generate new token with same userId
-      return this.generateToken(decoded.userId);
+      decoded = jwt.verify(oldToken, process.env.JWT_SECRET, { ignoreExpiration: true });
     } catch (error) {
       throw new Error('Invalid token for refresh');
     }
+    
+    if (decoded.exp && Date.now() - decoded.exp * 1000 > maxExpiredMs) {
+      throw new Error('Token expired too long ago to refresh');
+    }
+    
+    // Tokens from before authTime existed count from their own issue time
+    const authTime = decoded.authTime ?? decoded.timestamp;
+    if (!Number.isFinite(authTime) || Date.now() - authTime > maxSessionMs) {
+      throw new Error('Token session reached its maximum age; request a new token');
+    }
+    
+    // Generate new token with same userId and original auth time
+    return this.generateToken(decoded.userId, expiresIn, authTime);
+  }
+  
+  /**
+   * Authenticate a WebSocket upgrade request. The JWT is read from the
+   * `token` query parameter or from a `bearer.<jwt>` Sec-WebSocket-Protocol
+   * entry.
+   * @param {http.IncomingMessage} req
+   * @returns {{ userId: string }}
+   * @throws {Error} with `code` (NO_TOKEN, INVALID_TOKEN, TOKEN_EXPIRED) and `closeCode`
+   */
+  static verifyWebSocket(req) {
+    const token = this.getWebSocketToken(req);
+    if (!token) {
+      throw wsAuthError('No token provided', 'NO_TOKEN', WS_CLOSE_CODES.UNAUTHORIZED);
+    }
+    
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return { userId: decoded.userId };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw wsAuthError('Token expired', 'TOKEN_EXPIRED', WS_CLOSE_CODES.TOKEN_EXPIRED);
+      }
+      throw wsAuthError('Invalid token', 'INVALID_TOKEN', WS_CLOSE_CODES.UNAUTHORIZED);
+    }
+  }
+  
+  static getWebSocketToken(req) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const fromQuery = url.searchParams.get('token');
+    if (fromQuery) return fromQuery;
+    
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+    const entry = protocols.find(p => p.startsWith(WS_TOKEN_PROTOCOL_PREFIX));
+    return entry ? entry.slice(WS_TOKEN_PROTOCOL_PREFIX.length) : null;
   }
   
   static validateApiKey(req, res, next) {
@@ -128,3 +207,10 @@ export class AuthMiddleware {
     next();
   }
 }
+
+function wsAuthError(message, code, closeCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.closeCode = closeCode;
+  return error;
+}
@@ -0,0 +1,318 @@
+/**
+ * Avatar tools - Function declarations for the avatar-body tools and the
+ * matching system-prompt guidance. Personas can restrict which tools are
+ * offered; the prompt only describes the tools that are declared.
+ *
+ * The play_animation enum and its prompt section are generated from the
+ * client animation manifest (public/js/animation-library.js), so adding an
+ * FBX and a manifest entry is all it takes to offer a new animation. The
+ * set_expression enum and prompt list likewise come from the client
+ * expression table (public/js/expression-engine.js).
+ *
+ * The set_mood enum is per session: the browser advertises the moods it
+ * registered (public/moods/*.json, see public/js/mood-registry.js) with
+ * start_session. Without that list the moods on disk are offered.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { animationLibrary, getAnimationNames, getAnimationPromptText } from '../public/js/animation-library.js';
+import { ACTION_TIMINGS } from '../public/js/action-scheduler.js';
+import { EXPRESSIONS, EXPRESSION_SIDES, getExpressionPromptText } from '../public/js/expression-engine.js';
+import { BUILTIN_MOODS, isBuiltinMood, validateMood } from '../public/js/mood-registry.js';
+
+const ANIMATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../public/animations');
+const MOODS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../public/moods');
+const MAX_MOODS = 40;
+
+// Only animations whose FBX is installed are offered to the model
+const AVAILABLE_ANIMATIONS = animationLibrary.filter(anim => fs.existsSync(path.join(ANIMATIONS_DIR, anim.file)));
+if (AVAILABLE_ANIMATIONS.length < animationLibrary.length) {
+  console.warn(`[TOOLS] ${animationLibrary.length - AVAILABLE_ANIMATIONS.length} of ${animationLibrary.length} manifest animations have no FBX in ${ANIMATIONS_DIR}; play_animation offers the other ${AVAILABLE_ANIMATIONS.length}`);
+}
+
+/**
+ * Built-in moods plus the mood files listed in public/moods/index.json,
+ * checked the way MoodRegistry.register does in the browser.
+ * @returns {{name: string, description?: string}[]}
+ */
+function loadDefaultMoods() {
+  const moods = BUILTIN_MOODS.map(name => ({ name }));
+  let files = [];
+  try {
+    files = JSON.parse(fs.readFileSync(path.join(MOODS_DIR, 'index.json'), 'utf8'));
+    if (!Array.isArray(files)) throw new Error('index.json must be an array of file names');
+  } catch (error) {
+    files = [];
+    console.warn(`[TOOLS] No mood index in ${MOODS_DIR}: ${error.message}`);
+  }
+  for (const file of files) {
+    try {
+      const { mood, error } = validateMood(JSON.parse(fs.readFileSync(path.join(MOODS_DIR, file), 'utf8')));
+      if (error) throw new Error(error);
+      if (isBuiltinMood(mood.name)) throw new Error(`cannot replace the built-in mood ${mood.name}`);
+      // A later file replaces an earlier one of the same name
+      const existing = moods.find(m => m.name === mood.name);
+      if (existing) existing.description = mood.description;
+      else moods.push({ name: mood.name, description: mood.description });
+    } catch (error) {
+      console.warn(`[TOOLS] Skipping mood ${file}: ${error.message}`);
+    }
+  }
+  return moods;
+}
+
+export const DEFAULT_MOODS = loadDefaultMoods();
+
+// When the client's ActionScheduler runs the action relative to the avatar's speech
+const timingProperty = (defaultTiming) => ({
+  type: 'STRING',
+  description: `When to start: now, at the end of the current sentence, or when you finish speaking (default ${defaultTiming})`,
+  enum: ACTION_TIMINGS
+});
+
+export const avatarFunctionDeclarations = [
+  {
+    name: 'set_mood',
+    description: 'Set the avatar facial expression / mood. Use this to reflect emotional tone during conversation.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        mood: {
+          type: 'STRING',
+          description: 'The mood to set',
+          enum: DEFAULT_MOODS.map(mood => mood.name)
+        }
+      },
+      required: ['mood']
+    }
+  },
+  {
+    name: 'play_gesture',
+    description: 'Play a hand/body gesture on the avatar. Use gestures to emphasize points or express reactions.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        gesture: {
+          type: 'STRING',
+          description: 'The gesture to play',
+          enum: ['handup', 'index', 'ok', 'thumbup', 'thumbdown', 'side', 'shrug', 'namaste']
+        },
+        duration: {
+          type: 'NUMBER',
+          description: 'Duration in seconds (default 2)'
+        },
+        timing: timingProperty('now')
+      },
+      required: ['gesture']
+    }
+  },
+  {
+    name: 'play_animation',
+    description: 'Play a full-body animation on the avatar. Use animations for strong emotional expression or when asked to perform an action. The camera frames the full body while it plays and returns to the previous view afterwards.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        animation: {
+          type: 'STRING',
+          description: 'The animation to play',
+          enum: getAnimationNames(AVAILABLE_ANIMATIONS)
+        },
+        duration: {
+          type: 'NUMBER',
+          description: 'Duration in seconds (default uses animation natural length)'
+        },
+        timing: timingProperty('speech_end')
+      },
+      required: ['animation']
+    }
+  },
+  {
+    name: 'set_expression',
+    description: 'Trigger a short-lived micro-expression on the avatar face, layered on top of the current mood. It fades in, holds and fades out by itself (about 1-2 seconds unless you pass a duration). Use for reactive, expressive moments.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        expression: {
+          type: 'STRING',
+          description: 'The micro-expression to trigger',
+          enum: Object.keys(EXPRESSIONS)
+        },
+        intensity: {
+          type: 'NUMBER',
+          description: 'How strong the expression is, from 0.1 (a hint) to 1 (full, default)',
+          minimum: 0.1,
+          maximum: 1
+        },
+        duration: {
+          type: 'NUMBER',
+          description: 'Total seconds including fade in and out (default depends on the expression)',
+          minimum: 0.3,
+          maximum: 10
+        },
+        side: {
+          type: 'STRING',
+          description: 'Which side leads for one-sided expressions (wink, raised_eyebrow, smirk); both makes them symmetric. Default left',
+          enum: EXPRESSION_SIDES
+        },
+        timing: timingProperty('now')
+      },
+      required: ['expression']
+    }
+  },
+  {
+    name: 'set_camera_view',
+    description: 'Change the camera framing of the avatar. Use "head" for intimate/close conversation, "upper" for normal conversation (default), "mid" for gestures, and "full" ONLY for special framing. Full-body animations switch to "full" and back by themselves.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        view: {
+          type: 'STRING',
+          description: 'The camera view to set',
+          enum: ['head', 'upper', 'mid', 'full']
+        }
+      },
+      required: ['view']
+    }
+  },
+  {
+    name: 'get_avatar_state',
+    description: 'Read the avatar\'s current state: mood, camera view, running animation, gesture and expression, whether it is speaking, and the moods, gestures and expressions it supports. Use it before changing the mood or view instead of setting them again.'
+  }
+];
+
+export const AVATAR_TOOL_NAMES = avatarFunctionDeclarations.map(fd => fd.name);
+
+// Tools that only read the avatar; they do not count against MAX_TOOLS_PER_TURN
+export const AVATAR_QUERY_TOOLS = ['get_avatar_state'];
+
+/**
+ * Moods for a session from the list the browser advertised. Names are
+ * checked like mood files; an empty or missing list falls back to the
+ * moods on disk.
+ * @param {Array<{name: string, description?: string}>} [advertised]
+ * @returns {{name: string, description?: string}[]}
+ */
+export function resolveMoods(advertised) {
+  if (!Array.isArray(advertised)) return DEFAULT_MOODS;
+  const moods = [];
+  for (const entry of advertised.slice(0, MAX_MOODS)) {
+    const { mood } = validateMood({ name: entry?.name, description: entry?.description });
+    if (mood && !moods.some(m => m.name === mood.name)) moods.push({ name: mood.name, description: mood.description });
+  }
+  return moods.length ? moods : DEFAULT_MOODS;
+}
+
+function moodGuidance(moods) {
+  const basic = moods.filter(mood => BUILTIN_MOODS.includes(mood.name)).map(mood => mood.name);
+  const nuanced = moods.filter(mood => !BUILTIN_MOODS.includes(mood.name))
+    .map(mood => mood.description ? `${mood.name} (${mood.description})` : mood.name);
+  const lists = [
+    basic.length ? `Basic moods: ${basic.join(', ')}.` : '',
+    nuanced.length ? `Nuanced moods: ${nuanced.join(', ')}.` : ''
+  ].filter(Boolean).join(' ');
+  return `- set_mood: Change your facial expression. ${lists} Use these to match your emotional tone — pick the most fitting mood for the moment.`;
+}
+
+// Prompt guidance per tool, in declaration order (set_mood is built from the session's moods)
+const TOOL_GUIDANCE = {
+  set_expression: `- set_expression: Trigger a short-lived micro-expression that fades in and out on top of the current mood. Pass intensity below 1 for subtle reactions and duration to hold it longer. Use for reactive moments: ${getExpressionPromptText()}. These are subtle and expressive - use them to make conversation feel alive.`,
+  play_gesture: `- play_gesture: Perform hand gestures (handup for greeting, index for pointing/explaining, ok for approval, thumbup/thumbdown for feedback, side for presenting, shrug for uncertainty, namaste for respect).`,
+  play_animation: `- play_animation: Perform full-body animations. You have a huge library — pick the best fit:
+${getAnimationPromptText(AVAILABLE_ANIMATIONS)}
+  The camera automatically adjusts for animations.`,
+  set_camera_view: `- set_camera_view: Change the camera framing (head, upper, mid, full).`,
+  get_avatar_state: `- get_avatar_state: Check your current mood, camera view and what your body is doing. Setting a mood or view you already have is wasted.`
+};
+
+// Usage rules; each one is only included when all tools it mentions are available.
+// A function rule is built from the instruction options.
+const TOOL_RULES = [
+  { text: ({ maxToolsPerTurn }) => toolLimitRule(maxToolsPerTurn), tools: [] },
+  { text: 'Full-body animations wait until you finish speaking; gestures and expressions play right away. Pass timing "sentence_end" to land a gesture or expression at the end of what you are saying.', tools: ['play_animation'] },
+  { text: 'For animations like dance: just call play_animation. Do NOT also call set_camera_view — the app handles camera automatically.', tools: ['play_animation', 'set_camera_view'] },
+  { text: 'Use set_mood and play_gesture freely for expressiveness during normal conversation.', tools: ['set_mood', 'play_gesture'] },
+  { text: 'Keep the default camera view as "upper". Only change it via set_camera_view for special framing, not for animations.', tools: ['set_camera_view'] },
+  { text: 'Do not set the mood again if it already fits; check get_avatar_state (or the latest [Avatar state] note) when unsure.', tools: ['set_mood', 'get_avatar_state'] }
+];
+
+/**
+ * The per-turn limit the relay enforces (see RelaySession.maxToolsPerTurn).
+ * @param {number} max - 0 = unlimited
+ */
+function toolLimitRule(max) {
+  if (max <= 0) return 'Use only the tools the moment needs; one or two per turn is usually enough.';
+  if (max === 1) return 'Call at most ONE tool per turn. Further calls in the same turn are rejected.';
+  return `Call at most ${max} tools per turn. Further calls in the same turn are rejected.`;
+}
+
+/**
+ * One-line avatar state note for the model context (see RelaySession).
+ * @param {Object} state - Fields reported by the client's AvatarController.getState()
+ */
+export function describeAvatarState(state) {
+  const parts = [
+    `mood ${state.mood || 'unknown'}`,
+    `camera ${state.view || 'unknown'}`,
+    state.animation ? `playing animation ${state.animation}` : 'no animation playing'
+  ];
+  if (state.gesture) parts.push(`gesture ${state.gesture}`);
+  if (state.expression) parts.push(`expression ${state.expression}`);
+  return `[Avatar state] ${parts.join(', ')}. Context only, do not reply to this.`;
+}
+
+/**
+ * Resolve a persona's allowed tool list (null/undefined = all tools).
+ * @param {string[]} [allowed]
+ */
+function resolveToolNames(allowed) {
+  return allowed ? AVATAR_TOOL_NAMES.filter(name => allowed.includes(name)) : AVATAR_TOOL_NAMES;
+}
+
+/**
+ * Gemini-style tool list for a session.
+ * @param {string[]} [allowed] - Tool names the persona may use
+ * @param {Array} [moods] - Session moods (resolveMoods), for the set_mood enum
+ */
+export function getAvatarTools(allowed, moods = DEFAULT_MOODS) {
+  const names = resolveToolNames(allowed);
+  const functionDeclarations = avatarFunctionDeclarations
+    .filter(fd => names.includes(fd.name))
+    .map(fd => fd.name === 'set_mood' ? withMoodEnum(fd, moods) : fd);
+  return functionDeclarations.length ? [{ functionDeclarations }] : [];
+}
+
+function withMoodEnum(fd, moods) {
+  const mood = { ...fd.parameters.properties.mood, enum: moods.map(m => m.name) };
+  return { ...fd, parameters: { ...fd.parameters, properties: { ...fd.parameters.properties, mood } } };
+}
+
+/**
+ * Build the full system instruction: persona prompt followed by guidance
+ * for the tools the persona may use.
+ * @param {string} personaPrompt
+ * @param {string[]} [allowed]
+ * @param {Array} [moods] - Session moods (resolveMoods)
+ * @param {Object} [opts]
+ * @param {number} [opts.maxToolsPerTurn=2] - Avatar tool calls the relay allows per turn (0 = unlimited)
+ */
+export function buildSystemInstruction(personaPrompt, allowed, moods = DEFAULT_MOODS, { maxToolsPerTurn = 2 } = {}) {
+  const names = resolveToolNames(allowed);
+  if (names.length === 0) return personaPrompt;
+
+  const guidance = names.map(name => name === 'set_mood' ? moodGuidance(moods) : TOOL_GUIDANCE[name]).join('\n');
+  const rules = TOOL_RULES
+    .filter(rule => rule.tools.every(name => names.includes(name)))
+    .map(rule => typeof rule.text === 'function' ? rule.text({ maxToolsPerTurn }) : rule.text)
+    .map(text => `- ${text}`)
+    .join('\n');
+
+  return `${personaPrompt}
+
+You have tools to control your avatar body:
+${guidance}
+
+IMPORTANT rules:
+${rules}`;
+}
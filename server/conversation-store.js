@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * ConversationStore - Persists relay sessions as JSONL files, one file per
+ * session under `<dataDir>/conversations/<sessionId>.jsonl`.
+ *
+ * Each line is a record with a `type` and an ISO `ts`:
+ *   session_start  { sessionId, provider, persona, voice, userId }
+ *   user           { text, source: 'voice' | 'text' }
+ *   assistant      { text, interrupted? }
+ *   tool_call      { id, name, args }
+ *   tool_result    { id, name, result }
+ *   usage          { usage }              (provider usage metadata)
+ *   session_end    { reason }
+ */
+export class ConversationStore {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.dataDir - Root data directory
+   */
+  constructor({ dataDir }) {
+    this.dir = path.join(dataDir, 'conversations');
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.openLogs = new Map();
+  }
+
+  /**
+   * Start recording a session.
+   * @param {string} sessionId
+   * @param {Object} meta - Extra fields for the session_start record
+   * @returns {SessionLog}
+   */
+  openSession(sessionId, meta = {}) {
+    const log = new SessionLog(this._file(sessionId), () => this.openLogs.delete(sessionId));
+    this.openLogs.set(sessionId, log);
+    log.write({ type: 'session_start', sessionId, ...meta });
+    return log;
+  }
+
+  /**
+   * Summaries of all stored sessions, newest first.
+   */
+  async listSessions({ limit = 50, offset = 0 } = {}) {
+    const files = (await fs.promises.readdir(this.dir)).filter(f => f.endsWith('.jsonl'));
+    const summaries = await Promise.all(files.map(async (file) => {
+      const records = await this._readRecords(path.join(this.dir, file));
+      return summarize(path.basename(file, '.jsonl'), records);
+    }));
+    summaries.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+    return {
+      total: summaries.length,
+      sessions: summaries.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Full record list of one session, or null if unknown.
+   */
+  async getSession(sessionId) {
+    const file = this._file(sessionId);
+    if (!file || !fs.existsSync(file)) return null;
+    const records = await this._readRecords(file);
+    return {
+      ...summarize(sessionId, records),
+      live: this.openLogs.has(sessionId),
+      turns: records.filter(r => r.type !== 'session_start' && r.type !== 'session_end')
+    };
+  }
+
+  /**
+   * Delete a stored session. Returns false if it did not exist.
+   */
+  async deleteSession(sessionId) {
+    const file = this._file(sessionId);
+    if (!file || !fs.existsSync(file)) return false;
+    this.openLogs.get(sessionId)?.close();
+    await fs.promises.unlink(file);
+    return true;
+  }
+
+  _file(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) return null;
+    return path.join(this.dir, `${sessionId}.jsonl`);
+  }
+
+  async _readRecords(file) {
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try { records.push(JSON.parse(line)); } catch (e) { /* skip torn line */ }
+    }
+    return records;
+  }
+}
+
+/**
+ * SessionLog - Append-only writer for one session. Transcription fragments
+ * are collected into whole user/assistant turns before they are written.
+ */
+export class SessionLog {
+  constructor(file, onClose) {
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => console.error(`[STORE] Write failed for ${file}:`, error.message));
+    this.onClose = onClose;
+    this.closed = false;
+    this.pendingUser = '';
+    this.pendingAssistant = '';
+  }
+
+  inputTranscription(fragment) {
+    this.pendingUser += fragment;
+  }
+
+  outputTranscription(fragment) {
+    this._flushUser();
+    this.pendingAssistant += fragment;
+  }
+
+  userText(text) {
+    this._flushUser();
+    this.write({ type: 'user', text, source: 'text' });
+  }
+
+  toolCall({ id, name, args }) {
+    this._flushUser();
+    this._flushAssistant();
+    this.write({ type: 'tool_call', id, name, args });
+  }
+
+  toolResult({ id, name, result }) {
+    this.write({ type: 'tool_result', id, name, result });
+  }
+
+  usage(usageMetadata) {
+    this.write({ type: 'usage', usage: usageMetadata });
+  }
+
+  /**
+   * End of a model turn (turn_complete or interrupted).
+   */
+  turnEnd({ interrupted = false } = {}) {
+    this._flushUser();
+    this._flushAssistant(interrupted);
+  }
+
+  close(reason) {
+    if (this.closed) return;
+    this.turnEnd();
+    this.write({ type: 'session_end', reason: reason || null });
+    this.closed = true;
+    this.stream.end();
+    this.onClose?.();
+  }
+
+  write(record) {
+    if (this.closed) return;
+    this.stream.write(JSON.stringify({ ts: new Date().toISOString(), ...record }) + '\n');
+  }
+
+  _flushUser() {
+    const text = this.pendingUser.trim();
+    this.pendingUser = '';
+    if (text) this.write({ type: 'user', text, source: 'voice' });
+  }
+
+  _flushAssistant(interrupted = false) {
+    const text = this.pendingAssistant.trim();
+    this.pendingAssistant = '';
+    if (text) this.write({ type: 'assistant', text, ...(interrupted ? { interrupted: true } : {}) });
+  }
+}
+
+function summarize(sessionId, records) {
+  const start = records.find(r => r.type === 'session_start') || {};
+  const end = records.find(r => r.type === 'session_end');
+  const count = (type) => records.filter(r => r.type === type).length;
+  const totalTokens = records
+    .filter(r => r.type === 'usage')
+    .reduce((sum, r) => sum + (r.usage?.totalTokenCount || 0), 0);
+
+  const { type: _type, ts: _ts, ...meta } = start;
+  return {
+    ...meta,
+    sessionId,
+    startedAt: start.ts || null,
+    endedAt: end?.ts || null,
+    endReason: end?.reason || null,
+    userTurns: count('user'),
+    assistantTurns: count('assistant'),
+    toolCalls: count('tool_call'),
+    totalTokens
+  };
+}
@@ -0,0 +1,59 @@
+import express from 'express';
+import { AuthMiddleware } from './auth.js';
+
+/**
+ * REST endpoints for reviewing stored conversations.
+ * Mounted at /api/sessions; every route requires an `x-api-key` listed in
+ * VALID_API_KEYS because transcripts contain user speech.
+ *
+ *   GET    /api/sessions          List sessions (?limit=50&offset=0)
+ *   GET    /api/sessions/:id      One session with all of its turns
+ *   DELETE /api/sessions/:id      Delete a stored session
+ *
+ * @param {ConversationStore} store
+ */
+export function createHistoryRouter(store) {
+  const router = express.Router();
+
+  router.use(AuthMiddleware.validateApiKey);
+
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      res.json(await store.listSessions({ limit, offset }));
+    } catch (error) {
+      console.error('[HISTORY] List failed:', error.message);
+      res.status(500).json({ error: 'Failed to list sessions', code: 'HISTORY_LIST_FAILED' });
+    }
+  });
+
+  router.get('/:sessionId', async (req, res) => {
+    try {
+      const session = await store.getSession(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      }
+      res.json(session);
+    } catch (error) {
+      console.error('[HISTORY] Read failed:', error.message);
+      res.status(500).json({ error: 'Failed to read session', code: 'HISTORY_READ_FAILED' });
+    }
+  });
+
+  router.delete('/:sessionId', async (req, res) => {
+    try {
+      const deleted = await store.deleteSession(req.params.sessionId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      }
+      console.log(`[HISTORY] Deleted session ${req.params.sessionId}`);
+      res.json({ deleted: true, sessionId: req.params.sessionId });
+    } catch (error) {
+      console.error('[HISTORY] Delete failed:', error.message);
+      res.status(500).json({ error: 'Failed to delete session', code: 'HISTORY_DELETE_FAILED' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { DEFAULT_LANGUAGE, getLanguage } from '../public/js/languages.js';
+
+const PERSONA_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const PERSONA_DEFAULTS = {
+  voice: 'Aoede',
+  mood: 'neutral',
+  tools: null, // null = every avatar tool
+  avatarUrl: './avatars/brunette.glb',
+  avatarBody: 'F',
+  language: DEFAULT_LANGUAGE
+};
+
+/**
+ * PersonaRegistry - Loads persona definitions (JSON or YAML) from a
+ * directory. A persona bundles the system prompt, default voice, default
+ * mood, allowed avatar tools and avatar model for a session.
+ *
+ * Persona file fields:
+ *   id           Optional, defaults to the file name without extension
+ *   name         Display name (required)
+ *   description  Short text for the persona picker
+ *   systemPrompt Identity/behaviour prompt; tool guidance is appended (required)
+ *   voice        Default voice name
+ *   mood         Mood set when the avatar loads
+ *   tools        List of allowed avatar tool names (omit for all)
+ *   avatarUrl    GLB model URL, avatarBody 'F' | 'M'
+ *   language     Default session language (key of LANGUAGES in
+ *                public/js/languages.js); the older `lipsyncLang` is read
+ *                as a fallback
+ */
+export class PersonaRegistry {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.dir - Directory holding persona files
+   * @param {string} opts.defaultId - Persona used when a session does not pick one
+   * @param {string[]} opts.toolNames - Known avatar tool names (for validation)
+   */
+  constructor({ dir, defaultId, toolNames }) {
+    this.dir = dir;
+    this.defaultId = defaultId;
+    this.toolNames = toolNames;
+    this.personas = new Map();
+  }
+
+  /**
+   * (Re)load every persona file in the directory. Invalid files are skipped
+   * with a warning.
+   * @returns {number} Number of personas loaded
+   */
+  load() {
+    this.personas.clear();
+    if (!fs.existsSync(this.dir)) {
+      console.warn(`[PERSONA] Directory not found: ${this.dir}`);
+      return 0;
+    }
+
+    const files = fs.readdirSync(this.dir)
+      .filter(f => PERSONA_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const persona = this._parse(file);
+        if (this.personas.has(persona.id)) {
+          console.warn(`[PERSONA] Duplicate id "${persona.id}" in ${file}, skipping`);
+          continue;
+        }
+        this.personas.set(persona.id, persona);
+      } catch (error) {
+        console.warn(`[PERSONA] Skipping ${file}: ${error.message}`);
+      }
+    }
+
+    if (this.personas.size && !this.personas.has(this.defaultId)) {
+      const fallback = this.personas.keys().next().value;
+      console.warn(`[PERSONA] Default persona "${this.defaultId}" not found, using "${fallback}"`);
+      this.defaultId = fallback;
+    }
+
+    console.log(`[PERSONA] Loaded ${this.personas.size} persona(s): ${[...this.personas.keys()].join(', ')}`);
+    return this.personas.size;
+  }
+
+  get(id) {
+    return this.personas.get(id) || null;
+  }
+
+  getDefault() {
+    return this.personas.get(this.defaultId) || null;
+  }
+
+  /**
+   * Client-facing persona list (system prompts stay on the server).
+   */
+  list() {
+    return [...this.personas.values()].map(({ systemPrompt: _prompt, ...pub }) => pub);
+  }
+
+  _parse(file) {
+    const raw = fs.readFileSync(path.join(this.dir, file), 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    const data = ext === '.json' ? JSON.parse(raw) : yaml.load(raw);
+
+    if (!data || typeof data !== 'object') throw new Error('not an object');
+    if (!data.name) throw new Error('missing "name"');
+    if (!data.systemPrompt) throw new Error('missing "systemPrompt"');
+
+    let tools = PERSONA_DEFAULTS.tools;
+    if (data.tools != null) {
+      if (!Array.isArray(data.tools)) throw new Error('"tools" must be a list');
+      const unknown = data.tools.filter(t => !this.toolNames.includes(t));
+      if (unknown.length) console.warn(`[PERSONA] ${file}: ignoring unknown tools ${unknown.join(', ')}`);
+      tools = data.tools.filter(t => this.toolNames.includes(t));
+    }
+
+    let language = data.language ?? data.lipsyncLang ?? PERSONA_DEFAULTS.language;
+    if (!getLanguage(language)) {
+      console.warn(`[PERSONA] ${file}: unknown language "${language}", using "${PERSONA_DEFAULTS.language}"`);
+      language = PERSONA_DEFAULTS.language;
+    }
+
+    const { lipsyncLang: _legacy, ...fields } = data;
+    const id = String(data.id || path.basename(file, ext));
+    return {
+      id,
+      ...PERSONA_DEFAULTS,
+      ...fields,
+      id,
+      description: data.description || '',
+      systemPrompt: String(data.systemPrompt).trim(),
+      tools,
+      language
+    };
+  }
+}
@@ -0,0 +1,92 @@
+import { EventEmitter } from 'events';
+
+/**
+ * ConversationProvider - Base class for the conversation backends the
+ * WebSocket relay can talk to (Gemini Live, chained STT → LLM → TTS, or a
+ * custom backend).
+ *
+ * A provider hides its wire format behind a small command surface and a set
+ * of normalized events. server.js maps each event 1:1 onto the browser
+ * protocol, so the client never needs to know which backend is in use:
+ *
+ *   Event                  Payload              Client message
+ *   'open'                 —                    session_started
+ *   'setup_complete'       —                    setup_complete
+ *   'audio'                { data, mimeType }   audio_chunk (base64 PCM, 24 kHz)
+ *   'output_transcription' text                 output_transcription
+ *   'input_transcription'  text                 input_transcription
+ *   'text'                 text                 text
+ *   'tool_call'            { id, name, args }   tool_call
+ *   'interrupted'          —                    interrupted
+ *   'turn_complete'        —                    turn_complete
+ *   'usage'                usageMetadata        (server-side only)
+ *   'error'                Error                error
+ *   'close'                { reason, code }     session_ended
+ */
+export class ConversationProvider extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.sessionId = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Open the upstream session. Resolves once the connection attempt has been
+   * made; the 'open' event signals that the session can accept input.
+   * @param {Object} sessionConfig
+   * @param {string} sessionConfig.sessionId - Relay session id (for logging)
+   * @param {string} sessionConfig.voice - Requested voice name
+   * @param {string} sessionConfig.language - Session language (key of LANGUAGES in public/js/languages.js)
+   * @param {string} sessionConfig.systemInstruction - System prompt
+   * @param {Array} sessionConfig.tools - Gemini-style tool list ([{ functionDeclarations }])
+   */
+  async connect(_sessionConfig) {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Send a chunk of microphone audio.
+   * @param {string} _base64Pcm - Base64 16-bit mono PCM at 16 kHz
+   */
+  async sendAudio(_base64Pcm) {
+    throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+  }
+
+  /**
+   * The client stopped streaming mic audio (its voice activity gate closed
+   * or push-to-talk was released). Providers that endpoint on silence should
+   * treat this as the end of the utterance. Default: no-op.
+   */
+  async endAudio() {}
+
+  /**
+   * Send a complete user text turn.
+   * @param {string} _text
+   */
+  async sendText(_text) {
+    throw new Error(`${this.constructor.name} does not implement sendText()`);
+  }
+
+  /**
+   * Answer a tool call previously emitted via 'tool_call'.
+   * @param {Object} _response - { id, name, result }
+   */
+  async sendToolResponse(_response) {
+    throw new Error(`${this.constructor.name} does not implement sendToolResponse()`);
+  }
+
+  /**
+   * Add a note to the model's context without starting a turn (e.g. the
+   * avatar state). Default: no-op, for backends without such a channel.
+   * @param {string} _text
+   */
+  async sendContext(_text) {}
+
+  /**
+   * Close the upstream session. Implementations emit 'close' when done.
+   */
+  close() {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+}
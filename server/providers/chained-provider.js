@@ -0,0 +1,334 @@
+import { ConversationProvider } from './base-provider.js';
+import { rms, toInt16, pcmToWav } from './pcm-utils.js';
+import { DEFAULT_LANGUAGE, getLanguage } from '../../public/js/languages.js';
+
+const MIC_SAMPLE_RATE = 16000;
+const TTS_SAMPLE_RATE = 24000;
+// 200 ms of 24 kHz 16-bit mono per audio event
+const TTS_CHUNK_BYTES = TTS_SAMPLE_RATE * 2 / 5;
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+/**
+ * ChainedProvider - OpenAI-style STT → LLM → TTS pipeline (see spec.md).
+ *
+ * Mic audio is endpointed on the server with a simple RMS gate, each
+ * utterance is transcribed, sent to a chat completion model with the avatar
+ * tools, and the reply is synthesized as raw 24 kHz PCM so the browser
+ * receives exactly the same audio format as from Gemini Live.
+ */
+export class ChainedProvider extends ConversationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key for the OpenAI-compatible endpoint
+   * @param {string} [options.baseUrl] - API base URL
+   * @param {string} [options.sttModel] - Transcription model
+   * @param {string} [options.llmModel] - Chat completion model
+   * @param {string} [options.ttsModel] - Speech model
+   * @param {string} [options.ttsVoice] - Default speech voice
+   * @param {number} [options.speechThreshold] - RMS level (0-1) treated as speech
+   * @param {number} [options.endOfSpeechMs] - Silence that ends an utterance
+   */
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.sttModel = options.sttModel || 'whisper-1';
+    this.llmModel = options.llmModel || 'gpt-4o';
+    this.ttsModel = options.ttsModel || 'tts-1';
+    this.ttsVoice = options.ttsVoice || 'alloy';
+    this.speechThreshold = options.speechThreshold ?? 0.015;
+    this.endOfSpeechMs = options.endOfSpeechMs ?? 700;
+
+    this.voice = this.ttsVoice;
+    this.language = DEFAULT_LANGUAGE;
+    this.messages = [];
+    this.tools = [];
+    this.pendingToolCalls = new Map();
+
+    // Endpointing state
+    this.utterance = [];
+    this.preRoll = null;
+    this.inSpeech = false;
+    this.silenceMs = 0;
+
+    // In-flight response (aborted on barge-in)
+    this.abortController = null;
+  }
+
+  async connect({ sessionId, voice, language, systemInstruction, tools }) {
+    this.sessionId = sessionId;
+    // Whisper takes ISO-639-1 codes, which are the LANGUAGES keys
+    this.language = getLanguage(language) ? language : DEFAULT_LANGUAGE;
+    this.voice = OPENAI_VOICES.includes(voice?.toLowerCase()) ? voice.toLowerCase() : this.ttsVoice;
+    this.messages = [{ role: 'system', content: systemInstruction }];
+    this.tools = (tools || [])
+      .flatMap(t => t.functionDeclarations || [])
+      .map(fd => ({
+        type: 'function',
+        function: {
+          name: fd.name,
+          description: fd.description,
+          parameters: toJsonSchema(fd.parameters) || { type: 'object', properties: {} }
+        }
+      }));
+
+    console.log(`[SESSION:${sessionId}] Starting chained session (${this.sttModel} → ${this.llmModel} → ${this.ttsModel}, voice ${this.voice}, language ${this.language})`);
+
+    this.isOpen = true;
+    this.emit('open');
+    this.emit('setup_complete');
+  }
+
+  async sendAudio(base64Pcm) {
+    if (!this.isOpen) return;
+
+    const chunk = Buffer.from(base64Pcm, 'base64');
+    const samples = toInt16(chunk);
+    const chunkMs = samples.length / MIC_SAMPLE_RATE * 1000;
+    const isSpeech = rms(samples) >= this.speechThreshold;
+
+    if (isSpeech) {
+      if (!this.inSpeech) {
+        this.inSpeech = true;
+        this.utterance = this.preRoll ? [this.preRoll] : [];
+        // Barge-in: the user started talking over the reply
+        if (this.abortController) this._interrupt();
+      }
+      this.silenceMs = 0;
+      this.utterance.push(chunk);
+    } else if (this.inSpeech) {
+      this.utterance.push(chunk);
+      this.silenceMs += chunkMs;
+      if (this.silenceMs >= this.endOfSpeechMs) this._endUtterance();
+    }
+
+    this.preRoll = chunk;
+  }
+
+  async endAudio() {
+    if (!this.isOpen) return;
+    if (this.inSpeech) this._endUtterance();
+    this.preRoll = null;
+  }
+
+  async sendText(text) {
+    if (!this.isOpen) return;
+    if (this.abortController) this._interrupt();
+    this._addUserMessage(text);
+    this._respond().catch(err => this._reportError(err));
+  }
+
+  async sendContext(text) {
+    // Tool results must directly follow the assistant message that asked for them
+    if (!this.isOpen || this.pendingToolCalls.size) return;
+    this.messages.push({ role: 'system', content: text });
+  }
+
+  async sendToolResponse({ id, result }) {
+    if (!this.pendingToolCalls.has(id)) return;
+    this.pendingToolCalls.delete(id);
+    this.messages.push({
+      role: 'tool',
+      tool_call_id: id,
+      content: typeof result === 'string' ? result : JSON.stringify(result)
+    });
+
+    // The model continues once every call of the batch has been answered
+    if (this.pendingToolCalls.size === 0) {
+      this._respond().catch(err => this._reportError(err));
+    }
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.abortController?.abort();
+    this.abortController = null;
+    this.isOpen = false;
+    this.emit('close', { reason: 'closed' });
+  }
+
+  // ----------------------------------------------------------------
+  // Pipeline stages
+  // ----------------------------------------------------------------
+
+  _endUtterance() {
+    const pcm = Buffer.concat(this.utterance);
+    this.inSpeech = false;
+    this.utterance = [];
+    this._handleUtterance(pcm).catch(err => this._reportError(err));
+  }
+
+  async _handleUtterance(pcm) {
+    const text = await this._transcribe(pcm);
+    if (!text || !this.isOpen) return;
+
+    console.log(`[TRANSCRIPT-IN:${this.sessionId}] "${text}"`);
+    this.emit('input_transcription', text);
+    this._addUserMessage(text);
+    await this._respond();
+  }
+
+  async _respond() {
+    const controller = new AbortController();
+    this.abortController = controller;
+    let message = null;
+
+    try {
+      const res = await this._post('/chat/completions', {
+        json: {
+          model: this.llmModel,
+          messages: this.messages,
+          ...(this.tools.length ? { tools: this.tools } : {})
+        },
+        signal: controller.signal
+      });
+      const completion = await res.json();
+
+      // Only the chat model reports tokens; STT and TTS are not in the usage ledger
+      if (completion.usage) {
+        console.log(`[USAGE:${this.sessionId}] Tokens: ${completion.usage.total_tokens}`);
+        this.emit('usage', {
+          promptTokenCount: completion.usage.prompt_tokens,
+          responseTokenCount: completion.usage.completion_tokens,
+          totalTokenCount: completion.usage.total_tokens
+        });
+      }
+
+      message = completion.choices?.[0]?.message;
+      if (!message || controller.signal.aborted) return;
+      this.messages.push(message);
+
+      if (message.content) {
+        console.log(`[TRANSCRIPT-OUT:${this.sessionId}] "${message.content}"`);
+        this.emit('output_transcription', message.content);
+        await this._speak(message.content, controller.signal);
+        if (controller.signal.aborted) throw abortError();
+      }
+
+      if (message.tool_calls?.length) {
+        for (const call of message.tool_calls) {
+          let args = {};
+          try { args = JSON.parse(call.function.arguments || '{}'); } catch (e) { /* leave empty */ }
+          console.log(`[TOOL:${this.sessionId}] Call: ${call.function.name}(${JSON.stringify(args)})`);
+          this.pendingToolCalls.set(call.id, call.function.name);
+          this.emit('tool_call', { id: call.id, name: call.function.name, args });
+        }
+        return; // turn continues in sendToolResponse()
+      }
+
+      if (!controller.signal.aborted) this.emit('turn_complete');
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      // Barged in while speaking: the tool calls belong to the dropped
+      // reply, and the history must not hold calls nobody answers
+      if (message) delete message.tool_calls;
+    } finally {
+      if (this.abortController === controller) this.abortController = null;
+    }
+  }
+
+  async _transcribe(pcm) {
+    const form = new FormData();
+    form.append('model', this.sttModel);
+    form.append('language', this.language);
+    form.append('file', new Blob([pcmToWav(pcm, MIC_SAMPLE_RATE)], { type: 'audio/wav' }), 'utterance.wav');
+
+    const res = await this._post('/audio/transcriptions', { form });
+    const data = await res.json();
+    return (data.text || '').trim();
+  }
+
+  async _speak(text, signal) {
+    const res = await this._post('/audio/speech', {
+      json: {
+        model: this.ttsModel,
+        voice: this.voice,
+        input: text,
+        response_format: 'pcm'
+      },
+      signal
+    });
+    const pcm = Buffer.from(await res.arrayBuffer());
+
+    for (let offset = 0; offset < pcm.length; offset += TTS_CHUNK_BYTES) {
+      if (signal.aborted) return;
+      this.emit('audio', {
+        data: pcm.subarray(offset, offset + TTS_CHUNK_BYTES).toString('base64'),
+        mimeType: `audio/pcm;rate=${TTS_SAMPLE_RATE}`
+      });
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Helpers
+  // ----------------------------------------------------------------
+
+  _interrupt() {
+    console.log(`[CHAINED:${this.sessionId}] Interrupted by user`);
+    this.abortController.abort();
+    this.abortController = null;
+    this.emit('interrupted');
+  }
+
+  /**
+   * Start a new user turn. Tool calls the user talked over are answered as
+   * cancelled first: the API rejects a history where an assistant tool call
+   * is not followed by its result.
+   */
+  _addUserMessage(text) {
+    for (const [id, name] of this.pendingToolCalls) {
+      console.log(`[TOOL:${this.sessionId}] Cancelled: ${name} (user turn started)`);
+      this.messages.push({
+        role: 'tool',
+        tool_call_id: id,
+        content: JSON.stringify({ status: 'cancelled', message: 'The user spoke before this finished' })
+      });
+    }
+    this.pendingToolCalls.clear();
+    this.messages.push({ role: 'user', content: text });
+  }
+
+  async _post(path, { json, form, signal }) {
+    const res = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        ...(json ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: json ? JSON.stringify(json) : form,
+      signal
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`${path} failed (${res.status}): ${detail.slice(0, 200)}`);
+    }
+    return res;
+  }
+
+  _reportError(error) {
+    console.error(`[CHAINED:${this.sessionId}] Error:`, error.message);
+    this.emit('error', error);
+  }
+}
+
+function abortError() {
+  return new DOMException('The reply was interrupted', 'AbortError');
+}
+
+// Gemini schemas use upper-case OpenAPI type names; JSON Schema wants lower-case.
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      out.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSchema(v)]));
+    } else if (key === 'items') {
+      out.items = toJsonSchema(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
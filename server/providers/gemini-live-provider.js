@@ -0,0 +1,232 @@
+import { GoogleGenAI, Modality } from '@google/genai';
+import { ConversationProvider } from './base-provider.js';
+import { DEFAULT_LANGUAGE, getLanguage } from '../../public/js/languages.js';
+
+/**
+ * GeminiLiveProvider - Relays a session to the Gemini Live API via
+ * `ai.live.connect` and translates Gemini server messages into the
+ * normalized provider events.
+ */
+export class GeminiLiveProvider extends ConversationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Live model name
+   * @param {Object} [options.client] - Pre-built client exposing `live.connect`
+   *   (e.g. MockLiveClient); defaults to a GoogleGenAI instance
+   */
+  constructor(options = {}) {
+    super(options);
+    this.model = options.model;
+    this.ai = options.client || new GoogleGenAI({ apiKey: options.apiKey });
+    this.session = null;
+    this.audioChunkCount = 0;
+  }
+
+  async connect({ sessionId, voice, language, systemInstruction, tools }) {
+    this.sessionId = sessionId;
+    this.audioChunkCount = 0;
+    const { speechCode } = getLanguage(language) || getLanguage(DEFAULT_LANGUAGE);
+    // Languages without a Live speech code rely on the system instruction
+    const transcription = speechCode ? { languageCodes: [speechCode] } : {};
+
+    console.log(`[SESSION:${sessionId}] Starting Gemini Live session...`);
+    console.log(`[SESSION:${sessionId}] Model: ${this.model}`);
+
+    const config = {
+      responseModalities: [Modality.AUDIO],
+      systemInstruction: {
+        parts: [{ text: systemInstruction }]
+      },
+      tools,
+      speechConfig: {
+        voiceConfig: {
+          prebuiltVoiceConfig: {
+            voiceName: voice || 'Aoede'
+          }
+        },
+        ...(speechCode && { languageCode: speechCode })
+      },
+      // Enable transcription so we get text for the conversation window
+      outputAudioTranscription: transcription,
+      inputAudioTranscription: transcription
+    };
+
+    console.log(`[SESSION:${sessionId}] Config:`, JSON.stringify({
+      responseModalities: config.responseModalities,
+      voice: config.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName,
+      languageCode: speechCode || 'from instruction',
+      tools: (config.tools?.[0]?.functionDeclarations || []).map(f => f.name),
+      outputAudioTranscription: 'enabled',
+      inputAudioTranscription: 'enabled'
+    }, null, 2));
+
+    this.session = await this.ai.live.connect({
+      model: this.model,
+      config,
+      callbacks: {
+        onopen: () => {
+          console.log(`[SESSION:${sessionId}] Gemini WebSocket opened`);
+          this.isOpen = true;
+          this.emit('open');
+        },
+        onmessage: (message) => {
+          this.handleGeminiMessage(message);
+        },
+        onerror: (e) => {
+          console.error(`[SESSION:${sessionId}] Gemini error:`, e.message || e);
+          this.emit('error', new Error(e.message || 'Gemini session error'));
+        },
+        onclose: (e) => {
+          console.log(`[SESSION:${sessionId}] Gemini closed. Reason:`, e?.reason || 'none', 'Code:', e?.code || 'none');
+          this.isOpen = false;
+          this.session = null;
+          this.emit('close', { reason: e?.reason, code: e?.code });
+        }
+      }
+    });
+  }
+
+  async sendAudio(base64Pcm) {
+    if (!this.session) return;
+    await this.session.sendRealtimeInput({
+      audio: {
+        data: base64Pcm,
+        mimeType: 'audio/pcm;rate=16000'
+      }
+    });
+  }
+
+  async endAudio() {
+    if (!this.session) return;
+    await this.session.sendRealtimeInput({ audioStreamEnd: true });
+  }
+
+  async sendText(text) {
+    if (!this.session) return;
+    await this.session.sendClientContent({
+      turns: [{ role: 'user', parts: [{ text }] }],
+      turnComplete: true
+    });
+  }
+
+  async sendContext(text) {
+    if (!this.session) return;
+    await this.session.sendClientContent({
+      turns: [{ role: 'user', parts: [{ text }] }],
+      turnComplete: false
+    });
+  }
+
+  async sendToolResponse({ id, name, result }) {
+    if (!this.session) return;
+    await this.session.sendToolResponse({
+      functionResponses: [{
+        id,
+        name,
+        response: { result }
+      }]
+    });
+  }
+
+  close() {
+    if (!this.session) return;
+    try { this.session.close(); } catch (e) { /* ignore */ }
+    this.session = null;
+  }
+
+  // ----------------------------------------------------------------
+  // Gemini message → normalized events
+  // ----------------------------------------------------------------
+
+  handleGeminiMessage(message) {
+    const sessionId = this.sessionId;
+    try {
+      // --- Setup complete ---
+      if (message.setupComplete) {
+        console.log(`[GEMINI:${sessionId}] Setup complete`);
+        this.emit('setup_complete');
+        return;
+      }
+
+      // --- Tool calls ---
+      if (message.toolCall) {
+        const toolCall = message.toolCall;
+        if (toolCall.functionCalls) {
+          for (const fc of toolCall.functionCalls) {
+            console.log(`[TOOL:${sessionId}] Call: ${fc.name}(${JSON.stringify(fc.args)})`);
+            this.emit('tool_call', { id: fc.id, name: fc.name, args: fc.args });
+          }
+        }
+        return;
+      }
+
+      // --- Server content ---
+      if (message.serverContent) {
+        const sc = message.serverContent;
+
+        // Interruption
+        if (sc.interrupted) {
+          console.log(`[GEMINI:${sessionId}] Interrupted by user speech`);
+          this.emit('interrupted');
+          return;
+        }
+
+        // Output audio transcription (what the AI said, as text)
+        if (sc.outputTranscription && sc.outputTranscription.text) {
+          const text = sc.outputTranscription.text;
+          console.log(`[TRANSCRIPT-OUT:${sessionId}] "${text}"`);
+          this.emit('output_transcription', text);
+        }
+
+        // Input audio transcription (what the user said, as text)
+        if (sc.inputTranscription && sc.inputTranscription.text) {
+          const text = sc.inputTranscription.text;
+          console.log(`[TRANSCRIPT-IN:${sessionId}] "${text}"`);
+          this.emit('input_transcription', text);
+        }
+
+        // Model turn parts (audio and/or text)
+        if (sc.modelTurn && sc.modelTurn.parts) {
+          for (const part of sc.modelTurn.parts) {
+            if (part.inlineData && part.inlineData.data) {
+              this.audioChunkCount++;
+              const dataLen = part.inlineData.data.length;
+              // PCM bytes = base64 length * 3/4; duration = bytes / (2 * 24000)
+              const estimatedBytes = Math.floor(dataLen * 3 / 4);
+              const estimatedMs = Math.round(estimatedBytes / 2 / 24000 * 1000);
+              if (this.audioChunkCount <= 3 || this.audioChunkCount % 20 === 0) {
+                console.log(`[AUDIO:${sessionId}] Chunk #${this.audioChunkCount}: ${dataLen} b64 chars (~${estimatedMs}ms of audio)`);
+              }
+              this.emit('audio', {
+                data: part.inlineData.data,
+                mimeType: part.inlineData.mimeType
+              });
+            }
+            if (part.text) {
+              console.log(`[TEXT:${sessionId}] Model: "${part.text}"`);
+              this.emit('text', part.text);
+            }
+          }
+        }
+
+        // Turn complete
+        if (sc.turnComplete) {
+          console.log(`[GEMINI:${sessionId}] Turn complete (sent ${this.audioChunkCount} audio chunks)`);
+          this.emit('turn_complete');
+          this.audioChunkCount = 0;
+        }
+      }
+
+      // --- Usage metadata ---
+      if (message.usageMetadata) {
+        console.log(`[USAGE:${sessionId}] Tokens: ${message.usageMetadata.totalTokenCount || 'unknown'}`);
+        this.emit('usage', message.usageMetadata);
+      }
+
+    } catch (error) {
+      console.error(`[GEMINI:${sessionId}] Error handling message:`, error.message);
+      console.error(`[GEMINI:${sessionId}] Message keys:`, Object.keys(message));
+    }
+  }
+}
@@ -0,0 +1,43 @@
+import { GeminiLiveProvider } from './gemini-live-provider.js';
+import { ChainedProvider } from './chained-provider.js';
+import { MockLiveClient } from './mock-live-client.js';
+
+export { ConversationProvider } from './base-provider.js';
+
+// name → factory(options) returning a ConversationProvider
+const providers = new Map();
+
+/**
+ * Register a conversation provider so it can be selected with
+ * CONVERSATION_PROVIDER=<name>.
+ * @param {string} name
+ * @param {Function} factory - (options) => ConversationProvider
+ */
+export function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Create a new provider instance (one per relay session).
+ * @param {string} name
+ * @param {Object} options - Provider-specific options
+ */
+export function createProvider(name, options = {}) {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown conversation provider "${name}". Available: ${getProviderNames().join(', ')}`);
+  }
+  return factory(options);
+}
+
+export function getProviderNames() {
+  return [...providers.keys()];
+}
+
+registerProvider('gemini', (options) => new GeminiLiveProvider(options));
+registerProvider('chained', (options) => new ChainedProvider(options));
+// Gemini provider wired to the offline scripted client (no key, no network)
+registerProvider('mock', (options) => new GeminiLiveProvider({
+  ...options,
+  client: new MockLiveClient(options)
+}));
@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { rms, toInt16, wavToPcm, synthesizeTone } from './pcm-utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCENARIO_DIR = path.join(__dirname, '../mock-scenarios');
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const INPUT_SAMPLE_RATE = 16000;
+const CHUNK_MS = 100;
+const MS_PER_CHAR = 65;             // rough speaking rate for synthesized replies
+const SPEECH_THRESHOLD = 0.02;      // mic RMS treated as user speech
+const END_OF_SPEECH_MS = 800;       // silence that ends a user utterance
+const TOOL_RESPONSE_TIMEOUT_MS = 10000;
+
+/**
+ * Load a mock scenario by name (file in server/mock-scenarios) or path.
+ * @param {string} nameOrPath
+ */
+export function loadScenario(nameOrPath = 'default') {
+  const file = nameOrPath.endsWith('.json')
+    ? path.resolve(nameOrPath)
+    : path.join(SCENARIO_DIR, `${nameOrPath}.json`);
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  scenario.baseDir = path.dirname(file);
+  return scenario;
+}
+
+/**
+ * MockLiveClient - Offline stand-in for `GoogleGenAI`. Only the
+ * `live.connect({ model, config, callbacks })` surface is implemented, so it
+ * can be handed to GeminiLiveProvider in place of the real client and every
+ * message still flows through handleGeminiMessage.
+ *
+ * Replies are driven by a scripted scenario:
+ *
+ *   {
+ *     "name": "default",
+ *     "turns": [
+ *       {
+ *         "match": "dance|party",          // regex against typed text (optional)
+ *         "input": "Can you dance?",       // inputTranscription for voice turns
+ *         "steps": [
+ *           { "say": "Sure!", "tone": { "frequency": 200 } },
+ *           { "say": "Listen.", "wav": "clips/hello.wav" },
+ *           { "toolCall": { "name": "play_animation", "args": { "animation": "dancing" } } },
+ *           { "delayMs": 500 },
+ *           { "text": "thinking text" },
+ *           { "interrupted": true }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Typed text picks the first turn whose `match` fits; anything else (and
+ * every voice utterance) plays the unmatched turns in rotation. `{{input}}`
+ * in `say` is replaced with the user's text.
+ */
+export class MockLiveClient {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.scenario='default'] - Scenario name, path or object
+   * @param {number} [options.chunkIntervalMs=50] - Delay between 100 ms audio chunks
+   */
+  constructor(options = {}) {
+    this.scenario = typeof options.scenario === 'object'
+      ? options.scenario
+      : loadScenario(options.scenario || 'default');
+    this.chunkIntervalMs = options.chunkIntervalMs ?? 50;
+
+    this.live = {
+      connect: async ({ model, config, callbacks }) => {
+        const session = new MockLiveSession(this, { model, config, callbacks });
+        session.open();
+        return session;
+      }
+    };
+  }
+}
+
+class MockLiveSession {
+  constructor(client, { config, callbacks }) {
+    this.scenario = client.scenario;
+    this.chunkIntervalMs = client.chunkIntervalMs;
+    this.config = config;
+    this.callbacks = callbacks || {};
+    this.closed = false;
+    this.currentRun = null;
+    this.rotation = 0;
+    this.toolCallSeq = 0;
+    this.pendingToolResponses = new Map();
+
+    // Mic endpointing
+    this.inSpeech = false;
+    this.silenceMs = 0;
+  }
+
+  open() {
+    setImmediate(() => {
+      if (this.closed) return;
+      this.callbacks.onopen?.();
+      this._emit({ setupComplete: {} });
+    });
+  }
+
+  // ----------------------------------------------------------------
+  // Session surface used by GeminiLiveProvider
+  // ----------------------------------------------------------------
+
+  sendRealtimeInput({ audio, audioStreamEnd }) {
+    if (this.closed) return;
+    if (audioStreamEnd) {
+      if (this.inSpeech) this._endOfSpeech();
+      return;
+    }
+    if (!audio?.data) return;
+
+    const samples = toInt16(Buffer.from(audio.data, 'base64'));
+    const chunkMs = samples.length / INPUT_SAMPLE_RATE * 1000;
+
+    if (rms(samples) >= SPEECH_THRESHOLD) {
+      if (!this.inSpeech) {
+        this.inSpeech = true;
+        // Barge-in, like the real API
+        if (this.currentRun) this._interrupt();
+      }
+      this.silenceMs = 0;
+    } else if (this.inSpeech) {
+      this.silenceMs += chunkMs;
+      if (this.silenceMs >= END_OF_SPEECH_MS) this._endOfSpeech();
+    }
+  }
+
+  sendClientContent({ turns, turnComplete = true }) {
+    if (this.closed) return;
+    const text = (turns || [])
+      .flatMap(t => t.parts || [])
+      .map(p => p.text || '')
+      .join(' ')
+      .trim();
+    // Context only, like the real API: no reply until a complete turn
+    if (!turnComplete) return;
+
+    if (this.currentRun) this._interrupt();
+    const turn = this._matchTurn(text) || this._nextUnmatchedTurn();
+    if (turn) this._runTurn(turn, text);
+  }
+
+  sendToolResponse({ functionResponses }) {
+    for (const fr of functionResponses || []) {
+      const resolve = this.pendingToolResponses.get(fr.id);
+      if (resolve) {
+        this.pendingToolResponses.delete(fr.id);
+        resolve(fr.response);
+      }
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.currentRun) this.currentRun.cancelled = true;
+    for (const resolve of this.pendingToolResponses.values()) resolve(null);
+    this.pendingToolResponses.clear();
+    setImmediate(() => this.callbacks.onclose?.({ reason: 'Mock session closed', code: 1000 }));
+  }
+
+  // ----------------------------------------------------------------
+  // Scenario playback
+  // ----------------------------------------------------------------
+
+  _endOfSpeech() {
+    this.inSpeech = false;
+    const turn = this._nextUnmatchedTurn();
+    if (turn) {
+      if (turn.input) this._emit({ serverContent: { inputTranscription: { text: turn.input } } });
+      this._runTurn(turn, turn.input || '');
+    }
+  }
+
+  _matchTurn(text) {
+    if (!text) return null;
+    return (this.scenario.turns || []).find(t => t.match && new RegExp(t.match, 'i').test(text)) || null;
+  }
+
+  _nextUnmatchedTurn() {
+    const pool = (this.scenario.turns || []).filter(t => !t.match);
+    if (pool.length === 0) return null;
+    const turn = pool[this.rotation % pool.length];
+    this.rotation++;
+    return turn;
+  }
+
+  async _runTurn(turn, userText) {
+    const run = { cancelled: false, spokenChars: 0 };
+    this.currentRun = run;
+
+    try {
+      for (const step of turn.steps || []) {
+        if (run.cancelled || this.closed) return;
+        await this._runStep(step, run, userText);
+      }
+      if (run.cancelled || this.closed) return;
+
+      this._emit({ serverContent: { turnComplete: true } });
+      const promptTokens = Math.ceil(userText.length / 4) + 10;
+      const responseTokens = Math.ceil(run.spokenChars / 4);
+      this._emit({
+        usageMetadata: {
+          promptTokenCount: promptTokens,
+          responseTokenCount: responseTokens,
+          totalTokenCount: promptTokens + responseTokens,
+          promptTokensDetails: [{ modality: 'TEXT', tokenCount: promptTokens }],
+          responseTokensDetails: [{ modality: 'AUDIO', tokenCount: responseTokens }]
+        }
+      });
+    } catch (error) {
+      this.callbacks.onerror?.({ message: `Mock scenario error: ${error.message}` });
+    } finally {
+      if (this.currentRun === run) this.currentRun = null;
+    }
+  }
+
+  async _runStep(step, run, userText) {
+    if (step.delayMs) {
+      await sleep(step.delayMs);
+    }
+
+    if (step.text) {
+      this._emit({ serverContent: { modelTurn: { parts: [{ text: step.text }] } } });
+    }
+
+    if (step.say !== undefined || step.tone || step.wav) {
+      const text = (step.say || '').replaceAll('{{input}}', userText);
+      await this._speak(text, step, run);
+    }
+
+    if (step.toolCall) {
+      const calls = (Array.isArray(step.toolCall) ? step.toolCall : [step.toolCall]).map(c => ({
+        id: `mock-call-${++this.toolCallSeq}`,
+        name: c.name,
+        args: c.args || {}
+      }));
+      const responses = calls.map(c => new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), TOOL_RESPONSE_TIMEOUT_MS);
+        this.pendingToolResponses.set(c.id, (response) => {
+          clearTimeout(timer);
+          resolve(response);
+        });
+      }));
+      this._emit({ toolCall: { functionCalls: calls } });
+      // The real model waits for tool results before it continues
+      if (step.wait !== false) await Promise.all(responses);
+    }
+
+    if (step.interrupted) {
+      this._interrupt();
+    }
+  }
+
+  /**
+   * Stream audio for one utterance in 100 ms chunks, interleaving the
+   * output transcription word by word the way Gemini does.
+   */
+  async _speak(text, step, run) {
+    let pcm;
+    if (step.wav) {
+      pcm = wavToPcm(fs.readFileSync(path.resolve(this.scenario.baseDir || SCENARIO_DIR, step.wav)), OUTPUT_SAMPLE_RATE);
+    } else {
+      const tone = step.tone || {};
+      pcm = synthesizeTone({
+        durationMs: tone.durationMs || Math.max(600, text.length * MS_PER_CHAR),
+        sampleRate: OUTPUT_SAMPLE_RATE,
+        frequency: tone.frequency,
+        amplitude: tone.amplitude,
+        syllableRate: tone.syllableRate
+      });
+    }
+
+    const chunkBytes = OUTPUT_SAMPLE_RATE * 2 * CHUNK_MS / 1000;
+    const chunkCount = Math.max(1, Math.ceil(pcm.length / chunkBytes));
+    const words = text ? text.split(/(?<=\s)/) : [];
+    let wordsSent = 0;
+
+    for (let i = 0; i < chunkCount; i++) {
+      if (run.cancelled || this.closed) return;
+
+      const wordsDue = Math.ceil(words.length * (i + 1) / chunkCount);
+      if (wordsDue > wordsSent) {
+        this._emit({ serverContent: { outputTranscription: { text: words.slice(wordsSent, wordsDue).join('') } } });
+        wordsSent = wordsDue;
+      }
+
+      const chunk = pcm.subarray(i * chunkBytes, (i + 1) * chunkBytes);
+      this._emit({
+        serverContent: {
+          modelTurn: {
+            parts: [{ inlineData: { data: chunk.toString('base64'), mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}` } }]
+          }
+        }
+      });
+      await sleep(this.chunkIntervalMs);
+    }
+
+    run.spokenChars += text.length;
+  }
+
+  _interrupt() {
+    if (this.currentRun) this.currentRun.cancelled = true;
+    this.currentRun = null;
+    this._emit({ serverContent: { interrupted: true } });
+  }
+
+  _emit(message) {
+    if (this.closed) return;
+    this.callbacks.onmessage?.(message);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
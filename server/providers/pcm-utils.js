@@ -0,0 +1,144 @@
+/**
+ * Helpers for 16-bit mono PCM buffers shared by the server-side providers.
+ */
+
+/**
+ * Root-mean-square level of Int16 samples, normalized to 0-1.
+ * @param {Int16Array} samples
+ */
+export function rms(samples) {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] / 32768;
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * View a Node Buffer of little-endian 16-bit PCM as Int16 samples.
+ * @param {Buffer} buf
+ */
+export function toInt16(buf) {
+  // Copy when the byte offset is odd; Int16Array views need 2-byte alignment
+  const aligned = buf.byteOffset % 2 === 0 ? buf : Buffer.from(buf);
+  return new Int16Array(aligned.buffer, aligned.byteOffset, Math.floor(aligned.length / 2));
+}
+
+/**
+ * Wrap raw PCM in a minimal WAV container.
+ * @param {Buffer} pcm - 16-bit mono PCM
+ * @param {number} sampleRate
+ */
+export function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);          // fmt chunk size
+  header.writeUInt16LE(1, 20);           // PCM
+  header.writeUInt16LE(1, 22);           // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);           // block align
+  header.writeUInt16LE(16, 34);          // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Decode a 16-bit PCM WAV file to mono PCM at the requested sample rate.
+ * Multi-channel files keep only the first channel.
+ * @param {Buffer} wav
+ * @param {number} targetRate
+ * @returns {Buffer} 16-bit mono PCM
+ */
+export function wavToPcm(wav, targetRate) {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= wav.length;) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        format: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      data = wav.subarray(body, Math.min(body + size, wav.length));
+    }
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt || !data) throw new Error('WAV file is missing fmt or data chunk');
+  if (fmt.format !== 1 || fmt.bitsPerSample !== 16) {
+    throw new Error(`Unsupported WAV encoding (format ${fmt.format}, ${fmt.bitsPerSample}-bit); use 16-bit PCM`);
+  }
+
+  const interleaved = toInt16(data);
+  const frames = Math.floor(interleaved.length / fmt.channels);
+  const mono = new Int16Array(frames);
+  for (let i = 0; i < frames; i++) mono[i] = interleaved[i * fmt.channels];
+
+  const resampled = resample(mono, fmt.sampleRate, targetRate);
+  return Buffer.from(resampled.buffer, resampled.byteOffset, resampled.byteLength);
+}
+
+/**
+ * Linear-interpolation resampler for Int16 samples.
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Int16Array(Math.round(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const src = i * ratio;
+    const low = Math.floor(src);
+    const high = Math.min(low + 1, samples.length - 1);
+    const frac = src - low;
+    out[i] = Math.round(samples[low] * (1 - frac) + samples[high] * frac);
+  }
+  return out;
+}
+
+/**
+ * Synthesize a voice-like tone: a fundamental with two harmonics, amplitude
+ * modulated at a syllable rate so volume-driven lipsync has something to
+ * follow.
+ * @param {Object} opts
+ * @param {number} opts.durationMs
+ * @param {number} [opts.sampleRate=24000]
+ * @param {number} [opts.frequency=180] - Fundamental in Hz
+ * @param {number} [opts.amplitude=0.3] - Peak level 0-1
+ * @param {number} [opts.syllableRate=4] - Envelope cycles per second (0 = steady tone)
+ * @returns {Buffer} 16-bit mono PCM
+ */
+export function synthesizeTone({ durationMs, sampleRate = 24000, frequency = 180, amplitude = 0.3, syllableRate = 4 }) {
+  const count = Math.round(sampleRate * durationMs / 1000);
+  const out = new Int16Array(count);
+  const fadeSamples = Math.min(count / 2, sampleRate * 0.01);
+
+  for (let i = 0; i < count; i++) {
+    const t = i / sampleRate;
+    // Gentle pitch wobble so it sounds less like a test tone
+    const f = frequency * (1 + 0.04 * Math.sin(2 * Math.PI * 1.3 * t));
+    const wave = Math.sin(2 * Math.PI * f * t)
+      + 0.5 * Math.sin(4 * Math.PI * f * t)
+      + 0.25 * Math.sin(6 * Math.PI * f * t);
+    const envelope = syllableRate > 0 ? 0.5 - 0.5 * Math.cos(2 * Math.PI * syllableRate * t) : 1;
+    const fade = Math.min(1, i / fadeSamples, (count - 1 - i) / fadeSamples);
+    out[i] = Math.round((wave / 1.75) * envelope * fade * amplitude * 32767);
+  }
+
+  return Buffer.from(out.buffer);
+}
@@ -0,0 +1,237 @@
+import { isAnonymousUser } from './auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quota key for a connection: the authenticated user id, or the client IP
+ * without auth and for anonymous tokens, which anyone can mint in bulk.
+ * @param {string|null} userId
+ * @param {string} ip
+ */
+export function quotaKeyFor(userId, ip) {
+  return userId && !isAnonymousUser(userId) ? userId : `ip:${ip}`;
+}
+
+/**
+ * QuotaManager - Usage limits for the WebSocket relay, keyed by
+ * quotaKeyFor(): the authenticated user id, or the client IP.
+ *
+ * Quotas (0 disables a limit):
+ *   concurrent_sessions  live relay sessions at the same time
+ *   ip_sessions          live relay sessions from one IP, across all users
+ *   daily_minutes        session minutes per UTC day (active sessions included)
+ *   mic_rate             mic audio chunks per second
+ *   text_rate            text messages per minute
+ *
+ * Check methods return null when allowed, or a client-ready
+ * `{ type: 'quota_exceeded', quota, limit, message }` object.
+ */
+export class QuotaManager {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.maxConcurrentSessions
+   * @param {number} [limits.maxSessionsPerIp]
+   * @param {number} limits.maxSessionMinutesPerDay
+   * @param {number} limits.maxMicChunksPerSecond
+   * @param {number} limits.maxTextMessagesPerMinute
+   */
+  constructor({ maxConcurrentSessions, maxSessionsPerIp = 0, maxSessionMinutesPerDay, maxMicChunksPerSecond, maxTextMessagesPerMinute }) {
+    this.limits = { maxConcurrentSessions, maxSessionsPerIp, maxSessionMinutesPerDay, maxMicChunksPerSecond, maxTextMessagesPerMinute };
+    this.usage = new Map();        // key → per-client counters (see _usage)
+    this.ipSessions = new Map();   // ip → Set of live session ids
+    this.rejected = { concurrent_sessions: 0, ip_sessions: 0, daily_minutes: 0, mic_rate: 0, text_rate: 0 };
+  }
+
+  // --- Sessions ---
+
+  /**
+   * @param {string} key - quotaKeyFor()
+   * @param {string} [ip] - Client IP, for the per-IP session ceiling
+   */
+  checkSessionStart(key, ip) {
+    const u = this._usage(key);
+    const { maxConcurrentSessions, maxSessionsPerIp, maxSessionMinutesPerDay } = this.limits;
+
+    if (maxConcurrentSessions > 0 && u.activeSessions.size >= maxConcurrentSessions) {
+      return this._reject('concurrent_sessions', maxConcurrentSessions,
+        `You already have ${u.activeSessions.size} active session(s); the limit is ${maxConcurrentSessions}.`);
+    }
+    const fromIp = this.ipSessions.get(ip)?.size || 0;
+    if (maxSessionsPerIp > 0 && ip && fromIp >= maxSessionsPerIp) {
+      return this._reject('ip_sessions', maxSessionsPerIp,
+        `Your network already has ${fromIp} active sessions; the limit is ${maxSessionsPerIp}.`);
+    }
+    if (maxSessionMinutesPerDay > 0 && this._minutesToday(u) >= maxSessionMinutesPerDay) {
+      return this._reject('daily_minutes', maxSessionMinutesPerDay,
+        `Daily limit of ${maxSessionMinutesPerDay} session minutes reached. Try again tomorrow.`);
+    }
+    return null;
+  }
+
+  /**
+   * When a client is at its concurrency limit, its oldest session that may
+   * make room for a new one (e.g. detached and waiting for a resume that
+   * will not come, because the client reloaded and starts over).
+   * @param {string} key
+   * @param {Function} canEnd - (sessionId) => boolean
+   * @returns {string|null}
+   */
+  findSessionToReplace(key, canEnd) {
+    const { maxConcurrentSessions } = this.limits;
+    const u = this.usage.get(key);
+    if (maxConcurrentSessions <= 0 || !u || u.activeSessions.size < maxConcurrentSessions) return null;
+    // Insertion order, so the first match is the oldest
+    for (const sessionId of u.activeSessions.keys()) {
+      if (canEnd(sessionId)) return sessionId;
+    }
+    return null;
+  }
+
+  sessionStarted(key, sessionId, ip) {
+    this._usage(key).activeSessions.set(sessionId, Date.now());
+    if (!ip) return;
+    if (!this.ipSessions.has(ip)) this.ipSessions.set(ip, new Set());
+    this.ipSessions.get(ip).add(sessionId);
+  }
+
+  sessionEnded(key, sessionId, ip) {
+    const fromIp = this.ipSessions.get(ip);
+    if (fromIp?.delete(sessionId) && fromIp.size === 0) this.ipSessions.delete(ip);
+
+    const u = this.usage.get(key);
+    const startedAt = u?.activeSessions.get(sessionId);
+    if (startedAt === undefined) return;
+    u.activeSessions.delete(sessionId);
+    this._rollDay(u);
+    u.usedMsToday += Date.now() - Math.max(startedAt, u.dayStart);
+  }
+
+  /**
+   * Sessions that have run past the daily minutes quota.
+   * @returns {Array<{ key: string, sessionId: string, quota: Object }>}
+   */
+  findOverQuotaSessions() {
+    const { maxSessionMinutesPerDay } = this.limits;
+    if (maxSessionMinutesPerDay <= 0) return [];
+
+    const over = [];
+    for (const [key, u] of this.usage) {
+      if (u.activeSessions.size === 0 || this._minutesToday(u) < maxSessionMinutesPerDay) continue;
+      for (const sessionId of u.activeSessions.keys()) {
+        over.push({
+          key,
+          sessionId,
+          quota: this._reject('daily_minutes', maxSessionMinutesPerDay,
+            `Daily limit of ${maxSessionMinutesPerDay} session minutes reached.`)
+        });
+      }
+    }
+    return over;
+  }
+
+  // --- Message rates ---
+
+  checkMicChunk(key) {
+    const limit = this.limits.maxMicChunksPerSecond;
+    if (limit <= 0) return null;
+    const window = this._tick(this._usage(key).mic, 1000);
+    if (window.count <= limit) return null;
+    return this._reject('mic_rate', limit, `Microphone audio is limited to ${limit} chunks per second; extra audio is dropped.`,
+      window.start + 1000 - Date.now());
+  }
+
+  checkTextMessage(key) {
+    const limit = this.limits.maxTextMessagesPerMinute;
+    if (limit <= 0) return null;
+    const window = this._tick(this._usage(key).text, 60 * 1000);
+    if (window.count <= limit) return null;
+    return this._reject('text_rate', limit, `Text messages are limited to ${limit} per minute.`,
+      window.start + 60 * 1000 - Date.now());
+  }
+
+  /**
+   * Counters for /api/health.
+   */
+  getStats() {
+    let activeSessions = 0;
+    for (const u of this.usage.values()) activeSessions += u.activeSessions.size;
+    return {
+      limits: this.limits,
+      trackedClients: this.usage.size,
+      activeSessions,
+      activeIps: this.ipSessions.size,
+      rejected: { ...this.rejected }
+    };
+  }
+
+  /**
+   * Forget clients with no live session and no usage today.
+   */
+  prune() {
+    for (const [key, u] of this.usage) {
+      this._rollDay(u);
+      if (u.activeSessions.size === 0 && u.usedMsToday === 0) this.usage.delete(key);
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Internal helpers
+  // ----------------------------------------------------------------
+
+  _usage(key) {
+    let u = this.usage.get(key);
+    if (!u) {
+      u = {
+        activeSessions: new Map(),   // sessionId → start timestamp
+        dayStart: startOfUtcDay(),
+        usedMsToday: 0,              // finished session time today
+        mic: { start: 0, count: 0 },
+        text: { start: 0, count: 0 }
+      };
+      this.usage.set(key, u);
+    }
+    return u;
+  }
+
+  _rollDay(u) {
+    const today = startOfUtcDay();
+    if (u.dayStart !== today) {
+      u.dayStart = today;
+      u.usedMsToday = 0;
+    }
+  }
+
+  _minutesToday(u) {
+    this._rollDay(u);
+    const now = Date.now();
+    let ms = u.usedMsToday;
+    for (const startedAt of u.activeSessions.values()) ms += now - Math.max(startedAt, u.dayStart);
+    return ms / 60000;
+  }
+
+  // Fixed-window counter
+  _tick(window, windowMs) {
+    const now = Date.now();
+    if (now - window.start >= windowMs) {
+      window.start = now;
+      window.count = 0;
+    }
+    window.count++;
+    return window;
+  }
+
+  _reject(quota, limit, message, retryAfterMs) {
+    this.rejected[quota]++;
+    return {
+      type: 'quota_exceeded',
+      quota,
+      limit,
+      message,
+      ...(retryAfterMs !== undefined ? { retryAfterMs: Math.max(0, Math.round(retryAfterMs)) } : {})
+    };
+  }
+}
+
+function startOfUtcDay() {
+  return Math.floor(Date.now() / DAY_MS) * DAY_MS;
+}
@@ -0,0 +1,385 @@
+import { toolError } from './tool-validator.js';
+import { AVATAR_QUERY_TOOLS, describeAvatarState } from './avatar-tools.js';
+import { AUDIO_FRAME, encodeAudioFrame } from '../public/js/audio-frames.js';
+
+// Client messages worth replaying after a reconnect. Audio is dropped on
+// purpose: by the time the client is back it would only play stale speech.
+const REPLAYABLE_TYPES = new Set([
+  'output_transcription',
+  'input_transcription',
+  'text',
+  'tool_call',
+  'interrupted',
+  'turn_complete',
+  'session_ended'
+]);
+
+const REPLAY_BUFFER_SIZE = 200;
+
+/**
+ * RelaySession - One conversation between a browser and a conversation
+ * provider. The session is keyed by `sessionId` and outlives the WebSocket
+ * it was started on: when the socket drops it is kept alive for a grace
+ * period so the client can `resume_session` and get the events it missed.
+ */
+export class RelaySession {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.sessionId
+   * @param {string} [opts.userId] - Authenticated user (null when WS auth is off)
+   * @param {string} [opts.persona] - Persona id, echoed in session_started
+   * @param {string} [opts.language] - Session language (LANGUAGES key), echoed in session_started
+   * @param {ConversationProvider} opts.provider
+   * @param {number} opts.graceMs - How long to keep a detached session alive
+   * @param {Function} [opts.onClose] - Called once the session is gone
+   * @param {SessionLog} [opts.log] - Conversation recorder (see conversation-store.js)
+   * @param {ToolCallValidator} [opts.validator] - Checks tool calls before they reach the client
+   * @param {number} [opts.maxToolsPerTurn] - Avatar tool calls allowed per model turn (0 = unlimited)
+   * @param {UsageTracker} [opts.usageTracker] - Token/cost accounting; totals are pushed as usage_update
+   * @param {Object} [opts.serverTools] - Registry with get(name) → { handler } for tools the
+   *   relay executes itself instead of sending them to the client
+   * @param {number} [opts.stateContextTurns] - Add the client's reported avatar state to the
+   *   model context every N turns (0 = never)
+   */
+  constructor({ sessionId, userId = null, persona = null, language = null, provider, graceMs, onClose, log = null, validator = null, maxToolsPerTurn = 2, serverTools = null, usageTracker = null, stateContextTurns = 0 }) {
+    this.sessionId = sessionId;
+    this.userId = userId;
+    this.persona = persona;
+    this.language = language;
+    this.provider = provider;
+    this.graceMs = graceMs;
+    this.onClose = onClose;
+    this.log = log;
+    this.validator = validator;
+    this.maxToolsPerTurn = maxToolsPerTurn;
+    this.serverTools = serverTools;
+    this.usageTracker = usageTracker;
+    this.stateContextTurns = stateContextTurns;
+
+    this.ws = null;
+    this.binaryAudio = false;    // client negotiated binary audio frames
+    this.audioSeq = 0;
+    this.isActive = false;
+    this.isClosed = false;
+    this.graceTimer = null;
+    this.seq = 0;
+    this.replayBuffer = [];
+    this.micChunkCount = 0;
+    this.turnToolCalls = 0;
+    this.clientToolCalls = new Map();  // id → name of calls sent to the client and not answered yet
+    this.avatarState = null;     // latest avatar_state report from the client
+    this.turnsSinceState = 0;
+    this.lastStateNote = null;
+
+    this._bindProviderEvents();
+  }
+
+  /**
+   * Open the upstream provider session.
+   */
+  async start(sessionConfig) {
+    await this.provider.connect({ sessionId: this.sessionId, ...sessionConfig });
+  }
+
+  // --- Client → provider ---
+
+  async sendAudio(base64Pcm) {
+    this.micChunkCount++;
+    if (this.micChunkCount % 50 === 1) {
+      console.log(`[MIC:${this.sessionId}] Forwarding chunk #${this.micChunkCount} (${base64Pcm.length} base64 chars)`);
+    }
+    await this.provider.sendAudio(base64Pcm);
+  }
+
+  async endAudio() {
+    console.log(`[MIC:${this.sessionId}] Audio stream paused after chunk #${this.micChunkCount}`);
+    await this.provider.endAudio();
+  }
+
+  async sendText(text) {
+    console.log(`[TEXT:${this.sessionId}] User: "${text}"`);
+    this.log?.userText(text);
+    await this.provider.sendText(text);
+  }
+
+  /**
+   * Forward the client's result for a tool call it was sent.
+   * @returns {Promise<boolean>} false if no such call is waiting for a result
+   */
+  async sendToolResponse({ id, result }) {
+    const name = this.clientToolCalls.get(id);
+    if (name === undefined) {
+      console.warn(`[TOOL:${this.sessionId}] Ignoring response for unknown or answered call ${JSON.stringify(id)}`);
+      return false;
+    }
+    this.clientToolCalls.delete(id);
+    console.log(`[TOOL:${this.sessionId}] Response for ${name}: ${typeof result === 'string' ? result : JSON.stringify(result).slice(0, 200)}`);
+    this.log?.toolResult({ id, name, result });
+    await this.provider.sendToolResponse({ id, name, result });
+    return true;
+  }
+
+  /**
+   * Remember the avatar state the client reported (see AvatarController.getState).
+   * Only a few flat fields are kept, so a client cannot grow the model context.
+   */
+  updateAvatarState(state) {
+    if (!state || typeof state !== 'object') return;
+    const pick = (value) => (typeof value === 'string' ? value.slice(0, 40) : typeof value === 'boolean' ? value : null);
+    this.avatarState = {
+      mood: pick(state.mood),
+      view: pick(state.view),
+      animation: pick(state.animation),
+      gesture: pick(state.gesture),
+      expression: pick(state.expression),
+      isSpeaking: pick(state.isSpeaking)
+    };
+  }
+
+  /**
+   * Route client-bound messages to a (new) socket.
+   * @param {WebSocket} ws
+   * @param {Object} [opts]
+   * @param {boolean} [opts.binaryAudio] - Send model audio as binary frames (see audio-frames.js)
+   */
+  attach(ws, { binaryAudio = false } = {}) {
+    if (this.graceTimer) {
+      clearTimeout(this.graceTimer);
+      this.graceTimer = null;
+    }
+    this.ws = ws;
+    this.binaryAudio = binaryAudio;
+  }
+
+  /**
+   * True while the session waits for its client to resume.
+   */
+  get isDetached() {
+    return !this.isClosed && this.ws === null;
+  }
+
+  /**
+   * The socket went away; keep the provider running for the grace period.
+   * @param {WebSocket} ws - Only detaches if this socket is still the current one
+   */
+  detach(ws) {
+    if (this.isClosed || this.ws !== ws) return;
+    this.ws = null;
+
+    if (this.graceMs <= 0) {
+      this.close('client disconnected');
+      return;
+    }
+
+    console.log(`[SESSION:${this.sessionId}] Client detached, keeping session for ${Math.round(this.graceMs / 1000)}s`);
+    this.graceTimer = setTimeout(() => {
+      console.log(`[SESSION:${this.sessionId}] Grace period expired`);
+      this.close('resume grace period expired');
+    }, this.graceMs);
+  }
+
+  /**
+   * Send buffered events with a sequence number above `lastSeq`.
+   */
+  replaySince(lastSeq = 0) {
+    const missed = this.replayBuffer.filter(m => m.seq > lastSeq);
+    for (const message of missed) this._write(message);
+    return missed.length;
+  }
+
+  /**
+   * Send a message to the client. Replayable messages get a `seq` and are
+   * kept so a reconnecting client can catch up.
+   */
+  send(message) {
+    if (REPLAYABLE_TYPES.has(message.type)) {
+      message = { ...message, seq: ++this.seq };
+      this.replayBuffer.push(message);
+      if (this.replayBuffer.length > REPLAY_BUFFER_SIZE) this.replayBuffer.shift();
+    }
+    this._write(message);
+  }
+
+  /**
+   * Tear down the provider session. Safe to call more than once.
+   */
+  close(reason) {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.isActive = false;
+    if (this.graceTimer) {
+      clearTimeout(this.graceTimer);
+      this.graceTimer = null;
+    }
+
+    console.log(`[SESSION:${this.sessionId}] Closing${reason ? ` (${reason})` : ''}`);
+    // Detach first so a deliberate close does not echo session_ended
+    this.provider.removeAllListeners();
+    this.provider.on('error', () => { /* ignore late errors */ });
+    try { this.provider.close(); } catch (e) { /* ignore */ }
+
+    this.log?.close(reason);
+    this.usageTracker?.endSession(this.sessionId);
+    this.onClose?.(this);
+  }
+
+  // ----------------------------------------------------------------
+  // Internal helpers
+  // ----------------------------------------------------------------
+
+  /**
+   * Map normalized provider events onto the client protocol.
+   */
+  _bindProviderEvents() {
+    const p = this.provider;
+    const sessionId = this.sessionId;
+
+    p.on('open', () => {
+      this.isActive = true;
+      this.send({
+        type: 'session_started', sessionId, persona: this.persona, language: this.language,
+        binaryAudio: this.binaryAudio, avatarStateReports: this.stateContextTurns > 0
+      });
+    });
+    p.on('setup_complete', () => this.send({ type: 'setup_complete', sessionId }));
+    p.on('audio', ({ data, mimeType }) => this._sendAudio(data, mimeType));
+    p.on('output_transcription', (text) => {
+      this.log?.outputTranscription(text);
+      this.send({ type: 'output_transcription', text });
+    });
+    p.on('input_transcription', (text) => {
+      this.log?.inputTranscription(text);
+      this.send({ type: 'input_transcription', text });
+    });
+    p.on('text', (text) => this.send({ type: 'text', text }));
+    p.on('tool_call', (call) => this._relayToolCall(call));
+    p.on('interrupted', () => {
+      this.turnToolCalls = 0;
+      this.log?.turnEnd({ interrupted: true });
+      this.send({ type: 'interrupted' });
+    });
+    p.on('turn_complete', () => {
+      this.turnToolCalls = 0;
+      this.log?.turnEnd();
+      this.send({ type: 'turn_complete' });
+      this._sendStateContext();
+    });
+    p.on('usage', (usageMetadata) => {
+      this.log?.usage(usageMetadata);
+      const totals = this.usageTracker?.record(
+        { sessionId, userId: this.userId, persona: this.persona },
+        usageMetadata
+      );
+      if (totals) this.send({ type: 'usage_update', ...totals });
+    });
+    p.on('error', (error) => {
+      this.send({ type: 'error', message: error.message || 'Session error', sessionId });
+    });
+    p.on('close', ({ reason } = {}) => {
+      this.send({ type: 'session_ended', reason, sessionId });
+      this.close(reason || 'provider closed');
+    });
+  }
+
+  /**
+   * Validate a model tool call. Valid calls (with coerced args) run on the
+   * server when a server tool handles them, otherwise they go to the client;
+   * invalid ones are answered to the model with a structured error.
+   */
+  _relayToolCall({ id, name, args }) {
+    this.log?.toolCall({ id, name, args });
+
+    if (this.validator) {
+      const check = this.validator.validate(name, args);
+      if (!check.ok) {
+        this._rejectToolCall({ id, name }, check.error.code, check.error.message);
+        return;
+      }
+      if (check.warnings.length) {
+        console.log(`[TOOL:${this.sessionId}] ${name}: ${check.warnings.join('; ')}`);
+      }
+      args = check.args;
+    }
+
+    const serverTool = this.serverTools?.get(name);
+    if (serverTool) {
+      this._runServerTool(serverTool, { id, name, args });
+      return;
+    }
+
+    // Only avatar calls that would actually run count against the per-turn budget
+    const isQuery = AVATAR_QUERY_TOOLS.includes(name);
+    if (!isQuery && this.maxToolsPerTurn > 0 && this.turnToolCalls >= this.maxToolsPerTurn) {
+      this._rejectToolCall({ id, name }, 'TOO_MANY_TOOLS',
+        `At most ${this.maxToolsPerTurn} avatar tool calls are allowed per turn; ${name} was not executed`);
+      return;
+    }
+    if (!isQuery) this.turnToolCalls++;
+
+    this.clientToolCalls.set(id, name);
+    this.send({ type: 'tool_call', id, name, args });
+  }
+
+  async _runServerTool(tool, { id, name, args }) {
+    let result;
+    try {
+      result = await tool.handler(args, { sessionId: this.sessionId, persona: this.persona });
+    } catch (error) {
+      console.error(`[TOOL:${this.sessionId}] ${name} failed:`, error.message);
+      result = toolError('TOOL_FAILED', `${name} failed: ${error.message}`);
+    }
+    if (this.isClosed) return;
+
+    console.log(`[TOOL:${this.sessionId}] Server result for ${name}: ${JSON.stringify(result).slice(0, 200)}`);
+    this.log?.toolResult({ id, name, result });
+    try {
+      await this.provider.sendToolResponse({ id, name, result });
+    } catch (error) {
+      console.error(`[TOOL:${this.sessionId}] Failed to send ${name} result:`, error.message);
+    }
+  }
+
+  _rejectToolCall({ id, name }, code, message) {
+    console.warn(`[TOOL:${this.sessionId}] Rejected ${name}: ${code} — ${message}`);
+    const result = toolError(code, message);
+    this.log?.toolResult({ id, name, result });
+    this.provider.sendToolResponse({ id, name, result }).catch((error) => {
+      console.error(`[TOOL:${this.sessionId}] Failed to send rejection:`, error.message);
+    });
+  }
+
+  /**
+   * Every `stateContextTurns` turns, add the avatar state to the model's
+   * context (without starting a turn) when it changed since the last note.
+   */
+  _sendStateContext() {
+    if (!this.stateContextTurns || !this.avatarState) return;
+    if (++this.turnsSinceState < this.stateContextTurns) return;
+
+    const note = describeAvatarState(this.avatarState);
+    if (note === this.lastStateNote) return;
+    this.turnsSinceState = 0;
+    this.lastStateNote = note;
+    console.log(`[SESSION:${this.sessionId}] ${note}`);
+    this.provider.sendContext(note).catch((error) => {
+      console.error(`[SESSION:${this.sessionId}] Failed to send avatar state:`, error.message);
+    });
+  }
+
+  _sendAudio(base64Pcm, mimeType) {
+    if (!this.binaryAudio) {
+      this.send({ type: 'audio_chunk', data: base64Pcm, mimeType });
+      return;
+    }
+    if (this.ws && this.ws.readyState === this.ws.OPEN) {
+      const pcm = Buffer.from(base64Pcm, 'base64');
+      this.ws.send(encodeAudioFrame(AUDIO_FRAME.MODEL, ++this.audioSeq, pcm), { binary: true });
+    }
+  }
+
+  _write(message) {
+    if (this.ws && this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+}
@@ -3,10 +3,24 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
-import { GoogleGenAI, Modality } from '@google/genai';
 import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider, getProviderNames } from './providers/index.js';
+import { RelaySession } from './relay-session.js';
+import { ToolCallValidator } from './tool-validator.js';
+import { QuotaManager, quotaKeyFor } from './quota-manager.js';
+import { ConversationStore } from './conversation-store.js';
+import { createHistoryRouter } from './history-routes.js';
+import { createTokenRouter } from './token-routes.js';
+import { UsageTracker, loadPriceTable } from './usage-tracker.js';
+import { createUsageRouter } from './usage-routes.js';
+import { AuthMiddleware } from './auth.js';
+import { PersonaRegistry } from './personas.js';
+import { AVATAR_TOOL_NAMES, getAvatarTools, buildSystemInstruction, resolveMoods } from './avatar-tools.js';
+import { AUDIO_FRAME, decodeAudioFrame } from '../public/js/audio-frames.js';
+import { getLanguage } from '../public/js/languages.js';
+import { loadTools, getServerTool, getServerToolNames, getServerDeclarations, buildServerToolGuidance } from './tools/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,164 +28,109 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const WS_PORT = process.env.WS_PORT || 8080;
-
-// --- Gemini setup ---
+// How long a session survives without a connected client (resume window)
+const SESSION_GRACE_MS = parseInt(process.env.SESSION_GRACE_MS) || 60 * 1000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+// Enforced limit on tool calls per model turn (0 disables the check)
+const MAX_TOOLS_PER_TURN = parseInt(process.env.MAX_TOOLS_PER_TURN ?? '2', 10);
+// Tell the model the avatar's state every N turns (0 disables it)
+const AVATAR_STATE_CONTEXT_TURNS = parseInt(process.env.AVATAR_STATE_CONTEXT_TURNS ?? '0', 10) || 0;
+
+// --- Conversation provider setup ---
+let PROVIDER = process.env.CONVERSATION_PROVIDER || 'gemini';
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error('GEMINI_API_KEY is not set in environment variables');
-  console.error('   Please create a .env file with your Gemini API key');
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-native-audio-preview-12-2025';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+if (!getProviderNames().includes(PROVIDER)) {
+  console.error(`Unknown CONVERSATION_PROVIDER "${PROVIDER}"`);
+  console.error(`   Available providers: ${getProviderNames().join(', ')}`);
+  process.exit(1);
+}
+if (PROVIDER === 'gemini' && !GEMINI_API_KEY) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('GEMINI_API_KEY is not set in environment variables');
+    console.error('   Please create a .env file with your Gemini API key');
+    process.exit(1);
+  }
+  console.warn('GEMINI_API_KEY is not set — falling back to the offline mock provider');
+  console.warn('   Set GEMINI_API_KEY in .env (or CONVERSATION_PROVIDER=mock to silence this)');
+  PROVIDER = 'mock';
+}
+if (PROVIDER === 'chained' && !OPENAI_API_KEY) {
+  console.error('OPENAI_API_KEY is not set in environment variables');
+  console.error('   The chained provider needs an OpenAI-compatible API key');
   process.exit(1);
 }
 
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-console.log('Gemini client initialized');
+const providerOptions = {
+  gemini: {
+    apiKey: GEMINI_API_KEY,
+    model: GEMINI_MODEL
+  },
+  chained: {
+    apiKey: OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    sttModel: process.env.WHISPER_MODEL,
+    llmModel: process.env.GPT_MODEL,
+    ttsModel: process.env.TTS_MODEL,
+    ttsVoice: process.env.TTS_VOICE
+  },
+  mock: {
+    model: 'mock-live',
+    scenario: process.env.MOCK_SCENARIO || 'default'
+  }
+}[PROVIDER] || {};
 
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-native-audio-preview-12-2025';
+// --- WebSocket authentication ---
+let WS_AUTH = process.env.WS_AUTH !== 'false';
+const TOKEN_TTL = process.env.TOKEN_TTL || '15m';
+const TOKEN_REFRESH_WINDOW_MS = parseInt(process.env.TOKEN_REFRESH_WINDOW_MS) || 60 * 60 * 1000;
+const TOKEN_MAX_SESSION_MS = parseInt(process.env.TOKEN_MAX_SESSION_MS) || 24 * 60 * 60 * 1000;
 
-// --- Avatar tool definitions for function calling ---
-const avatarTools = [
-  {
-    functionDeclarations: [
-      {
-        name: 'set_mood',
-        description: 'Set the avatar facial expression / mood. Use this to reflect emotional tone during conversation.',
-        parameters: {
-          type: 'OBJECT',
-          properties: {
-            mood: {
-              type: 'STRING',
-              description: 'The mood to set',
-              enum: ['happy', 'sad', 'neutral', 'angry', 'love', 'fear', 'disgust', 'surprised', 'confused', 'flirty', 'confident', 'bored', 'excited', 'skeptical']
-            }
-          },
-          required: ['mood']
-        }
-      },
-      {
-        name: 'play_gesture',
-        description: 'Play a hand/body gesture on the avatar. Use gestures to emphasize points or express reactions.',
-        parameters: {
-          type: 'OBJECT',
-          properties: {
-            gesture: {
-              type: 'STRING',
-              description: 'The gesture to play',
-              enum: ['handup', 'index', 'ok', 'thumbup', 'thumbdown', 'side', 'shrug', 'namaste']
-            },
-            duration: {
-              type: 'NUMBER',
-              description: 'Duration in seconds (default 2)'
-            }
-          },
-          required: ['gesture']
-        }
-      },
-      {
-        name: 'play_animation',
-        description: 'Play a full-body animation on the avatar. Use animations for strong emotional expression or when asked to perform an action. Tip: switch to "full" camera view before playing dance/full-body animations so the user can see the whole body, then switch back to "upper" after.',
-        parameters: {
-          type: 'OBJECT',
-          properties: {
-            animation: {
-              type: 'STRING',
-              description: 'The animation to play',
-              enum: [
-                // Greetings
-                'waving', 'acknowledging', 'salute',
-                // Conversation
-                'asking_question', 'head_nod_yes', 'shaking_head_no', 'talking', 'thinking',
-                // Celebration
-                'cheering', 'clapping', 'joyful', 'victory', 'fist_pump',
-                // Dance
-                'breakdance', 'dancing', 'belly_dance', 'gangnam_style', 'moonwalk',
-                // Emotion (positive)
-                'excited', 'happy_idle', 'laughing',
-                // Emotion (negative)
-                'defeated', 'agony', 'angry', 'crying', 'disappointed', 'defeat', 'yelling',
-                // Actions
-                'looking', 'looking_around', 'pointing', 'backflip', 'jump', 'getting_up', 'falling', 'death', 'sneaking_forward',
-                // Gesture
-                'praying',
-                // Combat
-                'blocking', 'dodging', 'fight_idle', 'hit_reaction', 'kicking', 'punching',
-                // Locomotion
-                'walking', 'running', 'jogging', 'happy_walk', 'sad_walk', 'crouch_walk',
-                // Idle/Pose
-                'idle', 'crouch_idle', 'sitting_idle', 'kneeling_idle',
-                // Exercise
-                'jumping_jacks', 'push_up'
-              ]
-            },
-            duration: {
-              type: 'NUMBER',
-              description: 'Duration in seconds (default uses animation natural length)'
-            }
-          },
-          required: ['animation']
-        }
-      },
-      {
-        name: 'set_expression',
-        description: 'Trigger a short-lived micro-expression on the avatar face, layered on top of the current mood. These last ~2 seconds then auto-release. Use for reactive, expressive moments.',
-        parameters: {
-          type: 'OBJECT',
-          properties: {
-            expression: {
-              type: 'STRING',
-              description: 'The micro-expression to trigger',
-              enum: ['wink', 'raised_eyebrow', 'surprise', 'thinking', 'smirk', 'pout', 'tongue_out', 'eye_roll', 'cringe', 'cheek_puff']
-            }
-          },
-          required: ['expression']
-        }
-      },
-      {
-        name: 'set_camera_view',
-        description: 'Change the camera framing of the avatar. Use "head" for intimate/close conversation, "upper" for normal conversation (default), "mid" for gestures, and "full" ONLY when performing full-body animations like dancing. Always return to "upper" after a full-body animation ends.',
-        parameters: {
-          type: 'OBJECT',
-          properties: {
-            view: {
-              type: 'STRING',
-              description: 'The camera view to set',
-              enum: ['head', 'upper', 'mid', 'full']
-            }
-          },
-          required: ['view']
-        }
-      }
-    ]
+if (process.env.JWT_SECRET === 'your_jwt_secret_key_here' && process.env.NODE_ENV === 'production') {
+  console.error('JWT_SECRET is still the placeholder from .env.example');
+  console.error('   Set it to a long random value, e.g. the output of: openssl rand -hex 32');
+  process.exit(1);
+}
+if (WS_AUTH && !process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('JWT_SECRET is not set in environment variables');
+    console.error('   WebSocket connections require a JWT (set WS_AUTH=false to disable)');
+    process.exit(1);
   }
-];
-
-// --- System instruction ---
-const SYSTEM_INSTRUCTION = `Your name is Evo. You are a helpful and friendly AI assistant avatar created by Compsmart. You have an expressive 3D avatar body. Keep responses concise and conversational (2-3 sentences max).
-
-You have tools to control your avatar body:
-- set_mood: Change your facial expression. Basic moods: happy, sad, neutral, angry, love, fear, disgust. Nuanced moods: surprised, confused, flirty, confident, bored, excited, skeptical. Use these to match your emotional tone — pick the most fitting mood for the moment.
-- set_expression: Trigger a short-lived micro-expression (~2 seconds) layered on top of the current mood. Use for reactive moments: wink (playful), raised_eyebrow (skepticism), surprise (shock/wow), thinking (pondering), smirk (knowing/sarcasm), pout (sulky/cute), tongue_out (playful/silly), eye_roll (exasperation), cringe (awkward), cheek_puff (holding breath/thinking). These are subtle and expressive - use them to make conversation feel alive.
-- play_gesture: Perform hand gestures (handup for greeting, index for pointing/explaining, ok for approval, thumbup/thumbdown for feedback, side for presenting, shrug for uncertainty, namaste for respect).
-- play_animation: Perform full-body animations. You have a huge library — pick the best fit:
-  GREETINGS: waving (hello/goodbye), acknowledging (casual nod), salute (formal/respect)
-  CONVERSATION: asking_question (inquiring), head_nod_yes (agreeing), shaking_head_no (disagreeing), talking (explaining), thinking (pondering)
-  CELEBRATION: cheering (excitement), clapping (applause), joyful (jumping for joy), victory (triumph), fist_pump (yes!)
-  DANCE: breakdance (breakdancing), dancing (general dance), belly_dance, gangnam_style (funny/meme), moonwalk (smooth/retro)
-  POSITIVE EMOTION: excited (thrilled), happy_idle (content), laughing (LOL/funny)
-  NEGATIVE EMOTION: defeated (sad/down), agony (extreme pain/frustration), angry (rage), crying (tears), disappointed (let down), defeat (crushed), yelling (venting)
-  ACTIONS: looking (curious), looking_around (scanning), pointing (emphasis), backflip (acrobatics), jump, getting_up, falling, death (dramatic/playing dead), sneaking_forward (stealth)
-  COMBAT: blocking (defending), dodging (evading), fight_idle (ready stance), hit_reaction (ouch), kicking, punching
-  LOCOMOTION: walking, running, jogging, happy_walk, sad_walk, crouch_walk (sneaking)
-  IDLE/POSE: idle (neutral), crouch_idle (hiding), sitting_idle (relaxing), kneeling_idle (kneeling/proposing)
-  EXERCISE: jumping_jacks, push_up
-  The camera automatically adjusts for animations.
-- set_camera_view: Change the camera framing (head, upper, mid, full).
-
-IMPORTANT rules:
-- Call at most ONE or TWO tools per turn. Never call three or more tools at once.
-- First finish speaking, then call your tools. Do NOT call tools while speaking.
-- For animations like dance: just call play_animation. Do NOT also call set_camera_view — the app handles camera automatically.
-- Use set_mood and play_gesture freely for expressiveness during normal conversation.
-- Keep the default camera view as "upper". Only change it via set_camera_view for special framing, not for animations.`;
+  console.warn('JWT_SECRET is not set — WebSocket connections are NOT authenticated');
+  WS_AUTH = false;
+}
+
+// --- Relay quotas (per user, or per IP without auth; 0 = unlimited) ---
+const quotaLimit = (name, fallback) => parseInt(process.env[name] ?? fallback, 10) || 0;
+const quotas = new QuotaManager({
+  maxConcurrentSessions: quotaLimit('QUOTA_MAX_SESSIONS', 2),
+  maxSessionsPerIp: quotaLimit('QUOTA_MAX_SESSIONS_PER_IP', 10),
+  maxSessionMinutesPerDay: quotaLimit('QUOTA_DAILY_MINUTES', 60),
+  maxMicChunksPerSecond: quotaLimit('QUOTA_MIC_CHUNKS_PER_SEC', 50),
+  maxTextMessagesPerMinute: quotaLimit('QUOTA_TEXT_PER_MIN', 20)
+});
+// Use X-Forwarded-For for per-IP quotas when running behind a reverse proxy
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// --- Server-executed tools ---
+const SERVER_TOOLS_DIR = process.env.SERVER_TOOLS_DIR || path.join(__dirname, 'tools');
+const serverToolNames = await loadTools(SERVER_TOOLS_DIR);
+console.log(`[TOOLS] Server tools: ${serverToolNames.join(', ') || 'none'}`);
+
+// --- Personas ---
+const personas = new PersonaRegistry({
+  dir: process.env.PERSONAS_DIR || path.join(__dirname, '../personas'),
+  defaultId: process.env.DEFAULT_PERSONA || 'evo',
+  toolNames: [...AVATAR_TOOL_NAMES, ...getServerToolNames()]
+});
+if (personas.load() === 0) {
+  console.error(`No personas found in ${personas.dir}`);
+  console.error('   Add at least one persona .json/.yaml file (see personas/evo.json)');
+  process.exit(1);
+}
 
 // --- Middleware ---
 app.use(cors({
@@ -180,87 +139,130 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
+// --- Tokens ---
+if (process.env.JWT_SECRET) {
+  app.use('/api/token', createTokenRouter({
+    ttl: TOKEN_TTL,
+    refreshWindowMs: TOKEN_REFRESH_WINDOW_MS,
+    maxSessionMs: TOKEN_MAX_SESSION_MS,
+    allowAnonymous: process.env.ALLOW_ANONYMOUS_TOKENS === 'true'
+  }));
+}
+
+// --- Usage & cost accounting ---
+const usageTracker = new UsageTracker({
+  dataDir: DATA_DIR,
+  prices: loadPriceTable(process.env.PRICING_FILE || path.join(__dirname, 'pricing.json')),
+  provider: PROVIDER,
+  model: PROVIDER === 'chained' ? (providerOptions.llmModel || 'gpt-4o') : providerOptions.model
+});
+app.use('/api/usage', createUsageRouter(usageTracker));
+
+// --- Conversation history ---
+const conversationStore = process.env.PERSIST_CONVERSATIONS === 'false'
+  ? null
+  : new ConversationStore({ dataDir: DATA_DIR });
+if (conversationStore) {
+  app.use('/api/sessions', createHistoryRouter(conversationStore));
+  console.log(`Conversation history stored in ${conversationStore.dir}`);
+}
+
 // --- WebSocket server ---
-const wss = new WebSocketServer({ port: WS_PORT });
-console.log(`WebSocket server running on port ${WS_PORT}`);
+const wss = new WebSocketServer({
+  port: WS_PORT,
+  // Browsers that pass the token as a "bearer.<jwt>" subprotocol also offer
+  // "avatar"; the server must pick one of the offered protocols
+  handleProtocols: (protocols) => (protocols.has('avatar') ? 'avatar' : false)
+});
+console.log(`WebSocket server running on port ${WS_PORT}${WS_AUTH ? ' (JWT required)' : ''}`);
+
+// Live relay sessions by sessionId (they outlive their socket for SESSION_GRACE_MS)
+const sessions = new Map();
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   const connId = crypto.randomUUID().slice(0, 8);
-  console.log(`[WS:${connId}] Client connected`);
-  let geminiSession = null;
-  let sessionActive = false;
-  let sessionId = null;
-  let audioChunkCount = 0;
-  let micChunkCount = 0;
 
-  ws.on('close', () => {
-    console.log(`[WS:${connId}] Client disconnected (session: ${sessionId || 'none'})`);
-    sessionActive = false;
-    if (geminiSession) {
-      try { geminiSession.close(); } catch (e) { /* ignore */ }
-      geminiSession = null;
+  let userId = null;
+  if (WS_AUTH) {
+    try {
+      ({ userId } = AuthMiddleware.verifyWebSocket(req));
+    } catch (error) {
+      console.log(`[WS:${connId}] Rejected connection: ${error.code}`);
+      sendToClient(ws, { type: 'error', code: error.code, message: error.message });
+      ws.close(error.closeCode, error.code);
+      return;
     }
+  }
+
+  const ip = clientIp(req);
+  const quotaKey = quotaKeyFor(userId, ip);
+  console.log(`[WS:${connId}] Client connected (${quotaKey})`);
+  let session = null;
+  let micQuotaNoticeAt = 0;
+  let binaryAudio = false;       // negotiated in start_session / resume_session
+  let nextMicSeq = null;
+
+  ws.on('close', () => {
+    console.log(`[WS:${connId}] Client disconnected (session: ${session?.sessionId || 'none'})`);
+    session?.detach(ws);
   });
 
   ws.on('error', (error) => {
     console.error(`[WS:${connId}] Error:`, error.message);
-    sessionActive = false;
   });
 
-  ws.on('message', async (message) => {
+  ws.on('message', async (message, isBinary) => {
     try {
+      if (isBinary) {
+        await handleAudioFrame(message);
+        return;
+      }
       const data = JSON.parse(message);
 
       switch (data.type) {
         case 'start_session':
-          await startGeminiSession(ws, data);
+          await startSession(ws, data);
+          break;
+
+        case 'resume_session':
+          resumeSession(ws, data);
           break;
 
         case 'audio_chunk':
-          if (geminiSession && sessionActive) {
-            micChunkCount++;
-            if (micChunkCount % 50 === 1) {
-              console.log(`[MIC:${sessionId}] Forwarding chunk #${micChunkCount} (${data.data.length} base64 chars)`);
-            }
-            await geminiSession.sendRealtimeInput({
-              audio: {
-                data: data.data,
-                mimeType: 'audio/pcm;rate=16000'
-              }
-            });
-          }
+          await handleMicAudio(data.data);
+          break;
+
+        case 'audio_stream_end':
+          if (session?.isActive) await session.endAudio();
           break;
 
         case 'text_message':
-          if (geminiSession && sessionActive) {
-            console.log(`[TEXT:${sessionId}] User: "${data.text}"`);
-            await geminiSession.sendClientContent({
-              turns: [{ role: 'user', parts: [{ text: data.text }] }],
-              turnComplete: true
-            });
+          if (session?.isActive) {
+            const exceeded = quotas.checkTextMessage(quotaKey);
+            if (exceeded) {
+              console.log(`[QUOTA] ${quotaKey}: text_rate exceeded`);
+              sendToClient(ws, exceeded);
+              break;
+            }
+            await session.sendText(data.text);
           }
           break;
 
         case 'tool_response':
-          if (geminiSession && sessionActive) {
-            console.log(`[TOOL:${sessionId}] Response for ${data.name}: ${data.result}`);
-            await geminiSession.sendToolResponse({
-              functionResponses: [{
-                id: data.id,
-                name: data.name,
-                response: { result: data.result || 'ok' }
-              }]
-            });
+          if (session?.isActive) {
+            // Responses to calls the relay did not send are dropped
+            await session.sendToolResponse({ id: data.id, result: data.result ?? 'ok' });
           }
           break;
 
+        case 'avatar_state':
+          session?.updateAvatarState(data.state);
+          break;
+
         case 'stop_session':
-          console.log(`[SESSION:${sessionId}] Stop requested by client`);
-          sessionActive = false;
-          if (geminiSession) {
-            try { geminiSession.close(); } catch (e) { /* ignore */ }
-            geminiSession = null;
-          }
+          console.log(`[SESSION:${session?.sessionId}] Stop requested by client`);
+          session?.close('stopped by client');
+          session = null;
           sendToClient(ws, { type: 'session_ended' });
           break;
 
@@ -273,172 +275,183 @@ wss.on('connection', (ws) => {
     }
   });
 
-  async function startGeminiSession(ws, opts) {
-    if (geminiSession) {
-      console.log(`[SESSION:${sessionId}] Closing previous session`);
-      try { geminiSession.close(); } catch (e) { /* ignore */ }
+  async function handleMicAudio(base64Pcm) {
+    if (!session?.isActive) return;
+    const exceeded = quotas.checkMicChunk(quotaKey);
+    if (exceeded) {
+      // Drop the chunk; tell the client at most once per second
+      if (Date.now() - micQuotaNoticeAt > 1000) {
+        micQuotaNoticeAt = Date.now();
+        sendToClient(ws, exceeded);
+      }
+      return;
+    }
+    await session.sendAudio(base64Pcm);
+  }
+
+  async function handleAudioFrame(message) {
+    const frame = decodeAudioFrame(message);
+    if (!frame || frame.type !== AUDIO_FRAME.MIC) {
+      console.log(`[WS:${connId}] Ignoring malformed binary frame (${message.length} bytes)`);
+      return;
+    }
+    if (nextMicSeq !== null && frame.seq !== nextMicSeq) {
+      console.log(`[WS:${connId}] Mic frame gap: expected #${nextMicSeq}, got #${frame.seq}`);
+    }
+    nextMicSeq = (frame.seq + 1) >>> 0;
+    await handleMicAudio(Buffer.from(frame.pcm.buffer, frame.pcm.byteOffset, frame.pcm.byteLength).toString('base64'));
+  }
+
+  async function startSession(ws, opts) {
+    if (session) {
+      console.log(`[SESSION:${session.sessionId}] Closing previous session`);
+      session.close('replaced by new session');
     }
 
-    sessionId = crypto.randomUUID().slice(0, 12);
-    audioChunkCount = 0;
-    micChunkCount = 0;
+    const persona = opts?.persona ? personas.get(opts.persona) : personas.getDefault();
+    if (!persona) {
+      console.log(`[WS:${connId}] Unknown persona "${opts.persona}"`);
+      sendToClient(ws, { type: 'error', message: `Unknown persona "${opts.persona}"` });
+      return;
+    }
+
+    const language = opts?.language || persona.language;
+    if (!getLanguage(language)) {
+      console.log(`[WS:${connId}] Unknown language "${language}"`);
+      sendToClient(ws, { type: 'error', message: `Unknown language "${language}"` });
+      return;
+    }
+
+    // A detached session of this client gives up its slot rather than block the new one
+    const staleId = quotas.findSessionToReplace(quotaKey, id => sessions.get(id)?.isDetached);
+    if (staleId) sessions.get(staleId).close('replaced by a new session');
+
+    const exceeded = quotas.checkSessionStart(quotaKey, ip);
+    if (exceeded) {
+      console.log(`[QUOTA] ${quotaKey}: ${exceeded.quota} exceeded`);
+      sendToClient(ws, exceeded);
+      return;
+    }
+
+    binaryAudio = opts?.binaryAudio === true;
+    nextMicSeq = null;
+    const sessionId = crypto.randomUUID().slice(0, 12);
+    const voice = opts?.voice || persona.voice;
+    // set_mood offers the moods this browser registered
+    const moods = resolveMoods(opts?.moods);
+    const tools = buildSessionTools(persona.tools, moods);
+    console.log(`[SESSION:${sessionId}] Persona: ${persona.id}, language: ${language}, ${moods.length} moods`);
+    session = new RelaySession({
+      sessionId,
+      userId,
+      persona: persona.id,
+      language,
+      provider: createProvider(PROVIDER, providerOptions),
+      usageTracker,
+      graceMs: SESSION_GRACE_MS,
+      onClose: (s) => {
+        sessions.delete(s.sessionId);
+        quotas.sessionEnded(quotaKey, s.sessionId, ip);
+      },
+      log: conversationStore?.openSession(sessionId, { provider: PROVIDER, persona: persona.id, voice, language, userId }) || null,
+      validator: new ToolCallValidator(tools),
+      serverTools: { get: getServerTool },
+      maxToolsPerTurn: MAX_TOOLS_PER_TURN,
+      stateContextTurns: AVATAR_STATE_CONTEXT_TURNS
+    });
+    sessions.set(sessionId, session);
+    quotas.sessionStarted(quotaKey, sessionId, ip);
+    session.attach(ws, { binaryAudio });
 
     try {
-      console.log(`[SESSION:${sessionId}] Starting Gemini Live session...`);
-      console.log(`[SESSION:${sessionId}] Model: ${GEMINI_MODEL}`);
-
-      const config = {
-        responseModalities: [Modality.AUDIO],
-        systemInstruction: {
-          parts: [{ text: SYSTEM_INSTRUCTION }]
-        },
-        tools: avatarTools,
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: {
-              voiceName: opts?.voice || 'Aoede'
-            }
-          }
-        },
-        // Enable transcription so we get text for the conversation window
-        outputAudioTranscription: {},
-        inputAudioTranscription: {}
-      };
-
-      console.log(`[SESSION:${sessionId}] Config:`, JSON.stringify({
-        responseModalities: config.responseModalities,
-        voice: config.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName,
-        tools: config.tools[0].functionDeclarations.map(f => f.name),
-        outputAudioTranscription: 'enabled',
-        inputAudioTranscription: 'enabled'
-      }, null, 2));
-
-      geminiSession = await ai.live.connect({
-        model: GEMINI_MODEL,
-        config,
-        callbacks: {
-          onopen: () => {
-            console.log(`[SESSION:${sessionId}] Gemini WebSocket opened`);
-            sessionActive = true;
-            sendToClient(ws, { type: 'session_started', sessionId });
-          },
-          onmessage: (message) => {
-            handleGeminiMessage(ws, message);
-          },
-          onerror: (e) => {
-            console.error(`[SESSION:${sessionId}] Gemini error:`, e.message || e);
-            sendToClient(ws, { type: 'error', message: e.message || 'Gemini session error', sessionId });
-          },
-          onclose: (e) => {
-            console.log(`[SESSION:${sessionId}] Gemini closed. Reason:`, e?.reason || 'none', 'Code:', e?.code || 'none');
-            sessionActive = false;
-            geminiSession = null;
-            sendToClient(ws, { type: 'session_ended', reason: e?.reason, sessionId });
-          }
-        }
+      await session.start({
+        voice,
+        language,
+        systemInstruction: [
+          buildSystemInstruction(persona.systemPrompt, persona.tools, moods, { maxToolsPerTurn: MAX_TOOLS_PER_TURN }),
+          buildServerToolGuidance(persona.tools),
+          buildLanguageInstruction(language)
+        ].filter(Boolean).join('\n\n'),
+        tools
       });
-
     } catch (error) {
       console.error(`[SESSION:${sessionId}] Failed to start:`, error);
-      sendToClient(ws, { type: 'error', message: 'Failed to start Gemini session: ' + error.message, sessionId });
+      session.close('failed to start');
+      session = null;
+      sendToClient(ws, { type: 'error', message: `Failed to start ${PROVIDER} session: ` + error.message, sessionId });
     }
   }
 
-  function handleGeminiMessage(ws, message) {
-    try {
-      // --- Setup complete ---
-      if (message.setupComplete) {
-        console.log(`[GEMINI:${sessionId}] Setup complete`);
-        sendToClient(ws, { type: 'setup_complete', sessionId });
-        return;
-      }
+  function resumeSession(ws, { sessionId, lastSeq, binaryAudio: wantsBinary }) {
+    const existing = sessions.get(sessionId);
+    // A session can only be resumed by the user that started it
+    if (!existing || existing.userId !== userId) {
+      console.log(`[WS:${connId}] Resume failed, no live session ${sessionId}`);
+      sendToClient(ws, { type: 'resume_failed', sessionId, reason: 'Session not found or expired' });
+      return;
+    }
 
-      // --- Tool calls ---
-      if (message.toolCall) {
-        const toolCall = message.toolCall;
-        if (toolCall.functionCalls) {
-          for (const fc of toolCall.functionCalls) {
-            console.log(`[TOOL:${sessionId}] Call: ${fc.name}(${JSON.stringify(fc.args)})`);
-            sendToClient(ws, {
-              type: 'tool_call',
-              id: fc.id,
-              name: fc.name,
-              args: fc.args
-            });
-          }
-        }
-        return;
-      }
+    if (session && session !== existing) session.close('replaced by resumed session');
+    session = existing;
+    binaryAudio = wantsBinary === true;
+    nextMicSeq = null;
+    session.attach(ws, { binaryAudio });
+    console.log(`[SESSION:${sessionId}] Resumed on connection ${connId}`);
+    sendToClient(ws, {
+      type: 'session_resumed', sessionId, persona: session.persona, language: session.language,
+      lastSeq: session.seq, binaryAudio, avatarStateReports: session.stateContextTurns > 0
+    });
+    const replayed = session.replaySince(lastSeq || 0);
+    if (replayed) console.log(`[SESSION:${sessionId}] Replayed ${replayed} missed events`);
+  }
+});
 
-      // --- Server content ---
-      if (message.serverContent) {
-        const sc = message.serverContent;
-
-        // Interruption
-        if (sc.interrupted) {
-          console.log(`[GEMINI:${sessionId}] Interrupted by user speech`);
-          sendToClient(ws, { type: 'interrupted' });
-          return;
-        }
-
-        // Output audio transcription (what the AI said, as text)
-        if (sc.outputTranscription && sc.outputTranscription.text) {
-          const text = sc.outputTranscription.text;
-          console.log(`[TRANSCRIPT-OUT:${sessionId}] "${text}"`);
-          sendToClient(ws, { type: 'output_transcription', text });
-        }
-
-        // Input audio transcription (what the user said, as text)
-        if (sc.inputTranscription && sc.inputTranscription.text) {
-          const text = sc.inputTranscription.text;
-          console.log(`[TRANSCRIPT-IN:${sessionId}] "${text}"`);
-          sendToClient(ws, { type: 'input_transcription', text });
-        }
-
-        // Model turn parts (audio and/or text)
-        if (sc.modelTurn && sc.modelTurn.parts) {
-          for (const part of sc.modelTurn.parts) {
-            if (part.inlineData && part.inlineData.data) {
-              audioChunkCount++;
-              const dataLen = part.inlineData.data.length;
-              // PCM bytes = base64 length * 3/4; duration = bytes / (2 * 24000)
-              const estimatedBytes = Math.floor(dataLen * 3 / 4);
-              const estimatedMs = Math.round(estimatedBytes / 2 / 24000 * 1000);
-              if (audioChunkCount <= 3 || audioChunkCount % 20 === 0) {
-                console.log(`[AUDIO:${sessionId}] Chunk #${audioChunkCount}: ${dataLen} b64 chars (~${estimatedMs}ms of audio)`);
-              }
-              sendToClient(ws, {
-                type: 'audio_chunk',
-                data: part.inlineData.data,
-                mimeType: part.inlineData.mimeType
-              });
-            }
-            if (part.text) {
-              console.log(`[TEXT:${sessionId}] Model: "${part.text}"`);
-              sendToClient(ws, { type: 'text', text: part.text });
-            }
-          }
-        }
-
-        // Turn complete
-        if (sc.turnComplete) {
-          console.log(`[GEMINI:${sessionId}] Turn complete (sent ${audioChunkCount} audio chunks)`);
-          sendToClient(ws, { type: 'turn_complete' });
-          audioChunkCount = 0;
-        }
-      }
+/**
+ * Avatar tools (run in the browser) plus server-executed tools, as one
+ * Gemini-style tool list.
+ * @param {string[]|null} allowed - Persona tool names (null = all)
+ * @param {Array} moods - Session moods for the set_mood enum
+ */
+function buildSessionTools(allowed, moods) {
+  const functionDeclarations = [
+    ...(getAvatarTools(allowed, moods)[0]?.functionDeclarations || []),
+    ...getServerDeclarations(allowed)
+  ];
+  return functionDeclarations.length ? [{ functionDeclarations }] : [];
+}
 
-      // --- Usage metadata ---
-      if (message.usageMetadata) {
-        console.log(`[USAGE:${sessionId}] Tokens: ${message.usageMetadata.totalTokenCount || 'unknown'}`);
-      }
+/**
+ * Model instruction for a non-English session. Gemini picks its speech
+ * language from the conversation, so the prompt has to ask for it.
+ * @param {string} code - Key of LANGUAGES
+ */
+function buildLanguageInstruction(code) {
+  const { englishName } = getLanguage(code);
+  if (englishName === 'English') return '';
+  return `LANGUAGE: Always speak and write in ${englishName}, even if the user writes in another language. ` +
+    'Tool names and arguments stay in English.';
+}
 
-    } catch (error) {
-      console.error(`[GEMINI:${sessionId}] Error handling message:`, error.message);
-      console.error(`[GEMINI:${sessionId}] Message keys:`, Object.keys(message));
-    }
+// End sessions that run past the daily minutes quota; drop stale per-client counters
+setInterval(() => {
+  for (const { key, sessionId, quota } of quotas.findOverQuotaSessions()) {
+    const session = sessions.get(sessionId);
+    if (!session) continue;
+    console.log(`[QUOTA] ${key}: daily_minutes exceeded, ending session ${sessionId}`);
+    session.send(quota);
+    session.send({ type: 'session_ended', reason: 'daily quota exceeded', sessionId });
+    session.close('daily quota exceeded');
   }
-});
+  quotas.prune();
+  usageTracker.prune();
+}, 30 * 1000).unref();
+
+function clientIp(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
 
 function sendToClient(ws, data) {
   if (ws.readyState === ws.OPEN) {
@@ -446,14 +459,23 @@ function sendToClient(ws, data) {
   }
 }
 
+// --- Personas ---
+app.get('/api/personas', (req, res) => {
+  res.json({ default: personas.defaultId, personas: personas.list() });
+});
+
 // --- Health check ---
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     services: {
+      provider: PROVIDER,
       gemini: !!GEMINI_API_KEY,
-      websocket: wss.clients.size
+      wsAuth: WS_AUTH,
+      websocket: wss.clients.size,
+      sessions: sessions.size,
+      quotas: quotas.getStats()
     }
   });
 });
@@ -462,7 +484,7 @@ app.get('/api/health', (req, res) => {
 app.listen(PORT, () => {
   console.log(`HTTP server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Gemini model: ${GEMINI_MODEL}`);
+  console.log(`Conversation provider: ${PROVIDER}${PROVIDER === 'gemini' ? ` (${GEMINI_MODEL})` : ''}`);
 });
 
 // --- Graceful shutdown ---
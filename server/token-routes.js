@@ -0,0 +1,68 @@
+import express from 'express';
+import crypto from 'crypto';
+import { AuthMiddleware, ANONYMOUS_USER_PREFIX } from './auth.js';
+import { apiLimiter } from './rate-limiter.js';
+
+/**
+ * Short-lived JWTs for the WebSocket relay. Mounted at /api/token.
+ *
+ *   POST /api/token           Mint a token. Requires an `x-api-key` from
+ *                             VALID_API_KEYS (body: { userId }); with
+ *                             ALLOW_ANONYMOUS_TOKENS=true a request without a
+ *                             key gets an anonymous token instead.
+ *   POST /api/token/refresh   Exchange a current or recently expired token
+ *                             (body: { token } or Authorization: Bearer) for a new one,
+ *                             until maxSessionMs after the first token was issued
+ *
+ * @param {Object} opts
+ * @param {string} opts.ttl - Token lifetime (jsonwebtoken `expiresIn`, e.g. '15m')
+ * @param {number} opts.refreshWindowMs - How long after expiry a token may still be refreshed
+ * @param {number} opts.maxSessionMs - How long a chain of refreshed tokens may last in total
+ * @param {boolean} opts.allowAnonymous
+ */
+export function createTokenRouter({ ttl, refreshWindowMs, maxSessionMs, allowAnonymous }) {
+  const router = express.Router();
+
+  router.use(apiLimiter);
+
+  router.post('/', (req, res, next) => {
+    if (!req.headers['x-api-key'] && allowAnonymous) {
+      req.userId = `${ANONYMOUS_USER_PREFIX}${crypto.randomUUID().slice(0, 8)}`;
+      return next();
+    }
+    AuthMiddleware.validateApiKey(req, res, () => {
+      const userId = req.body?.userId;
+      if (!userId || typeof userId !== 'string') {
+        return res.status(400).json({ error: 'userId is required', code: 'NO_USER_ID' });
+      }
+      req.userId = userId;
+      next();
+    });
+  }, (req, res) => {
+    try {
+      const token = AuthMiddleware.generateToken(req.userId, ttl);
+      console.log(`[AUTH] Issued token for ${req.userId}`);
+      res.json({ token, userId: req.userId, expiresIn: ttl });
+    } catch (error) {
+      console.error('[AUTH] Token generation failed:', error.message);
+      res.status(500).json({ error: 'Server configuration error', code: 'SERVER_CONFIG_ERROR' });
+    }
+  });
+
+  router.post('/refresh', (req, res) => {
+    const authHeader = req.headers.authorization || '';
+    const oldToken = req.body?.token || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+    if (!oldToken) {
+      return res.status(401).json({ error: 'No token provided', code: 'NO_TOKEN' });
+    }
+
+    try {
+      const token = AuthMiddleware.refreshToken(oldToken, ttl, refreshWindowMs, maxSessionMs);
+      res.json({ token, expiresIn: ttl });
+    } catch (error) {
+      res.status(403).json({ error: error.message, code: 'INVALID_TOKEN' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,112 @@
+/**
+ * ToolCallValidator - Checks model tool calls against the function
+ * declarations offered to the session before they are relayed to the
+ * browser. Recoverable problems are coerced (enum case, numeric strings,
+ * negative optional numbers); anything else becomes a structured error that
+ * is answered to the model directly:
+ *
+ *   { status: 'error', error: { code, message } }
+ *
+ * Error codes: UNKNOWN_TOOL, MISSING_ARGUMENT, INVALID_ARGUMENT, TOO_MANY_TOOLS
+ */
+export class ToolCallValidator {
+  /**
+   * @param {Array} tools - Gemini-style tool list ([{ functionDeclarations }])
+   */
+  constructor(tools = []) {
+    this.declarations = new Map();
+    for (const tool of tools) {
+      for (const fd of tool.functionDeclarations || []) {
+        this.declarations.set(fd.name, fd);
+      }
+    }
+  }
+
+  /**
+   * Validate one call.
+   * @param {string} name
+   * @param {Object} args
+   * @returns {{ ok: true, args: Object, warnings: string[] } | { ok: false, error: { code: string, message: string } }}
+   */
+  validate(name, args) {
+    const declaration = this.declarations.get(name);
+    if (!declaration) {
+      return fail('UNKNOWN_TOOL', `Unknown tool "${name}". Available tools: ${[...this.declarations.keys()].join(', ')}`);
+    }
+
+    const schema = declaration.parameters || { properties: {} };
+    const input = args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+    const required = schema.required || [];
+    const warnings = [];
+    const clean = {};
+
+    for (const [key, prop] of Object.entries(schema.properties || {})) {
+      const isRequired = required.includes(key);
+      if (input[key] === undefined || input[key] === null || input[key] === '') {
+        if (isRequired) return fail('MISSING_ARGUMENT', `${name}: missing required argument "${key}"`);
+        continue;
+      }
+
+      const result = coerce(prop, input[key]);
+      if (result.error) {
+        if (isRequired || prop.enum) return fail('INVALID_ARGUMENT', `${name}: ${key} ${result.error}`);
+        // Optional value we cannot use: drop it so the client falls back to its default
+        warnings.push(`dropped ${key} (${result.error})`);
+        continue;
+      }
+      if (result.value !== input[key]) warnings.push(`coerced ${key} ${JSON.stringify(input[key])} → ${JSON.stringify(result.value)}`);
+      clean[key] = result.value;
+    }
+
+    const extra = Object.keys(input).filter(k => !(k in (schema.properties || {})));
+    if (extra.length) warnings.push(`ignored unknown arguments ${extra.join(', ')}`);
+
+    return { ok: true, args: clean, warnings };
+  }
+}
+
+export function toolError(code, message) {
+  return { status: 'error', error: { code, message } };
+}
+
+function fail(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+/**
+ * Coerce a single value to its schema type.
+ * @returns {{ value: any } | { error: string }}
+ */
+function coerce(prop, value) {
+  switch ((prop.type || '').toUpperCase()) {
+    case 'STRING': {
+      const str = String(value).trim();
+      if (!prop.enum) return { value: str };
+      if (prop.enum.includes(str)) return { value: str };
+      // Tolerate "Happy", "thumbs up", "head-nod-yes" and the like
+      const normalized = str.toLowerCase().replace(/[\s-]+/g, '_');
+      const match = prop.enum.find(e => e.toLowerCase() === normalized);
+      if (match) return { value: match };
+      return { error: `must be one of: ${prop.enum.join(', ')} (got "${str}")` };
+    }
+
+    case 'NUMBER':
+    case 'INTEGER': {
+      let num = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(num)) return { error: `must be a number (got ${JSON.stringify(value)})` };
+      if (prop.type.toUpperCase() === 'INTEGER') num = Math.round(num);
+      if (num <= 0) return { error: `must be positive (got ${num})` };
+      if (prop.minimum !== undefined) num = Math.max(num, prop.minimum);
+      if (prop.maximum !== undefined) num = Math.min(num, prop.maximum);
+      return { value: num };
+    }
+
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: `must be true or false (got ${JSON.stringify(value)})` };
+
+    default:
+      return { value };
+  }
+}
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Directory holding the JSON files the lookup tools search
+export const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '../../knowledge');
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'is', 'are', 'do', 'does', 'i', 'you', 'we', 'my', 'your',
+  'of', 'to', 'in', 'on', 'for', 'and', 'or', 'what', 'how', 'can', 'it', 'with', 'about']);
+
+// Reloaded when the file changes, so edits do not need a restart
+const cache = new Map();
+
+/**
+ * Read a JSON array from the knowledge directory.
+ * @param {string} file - File name inside KNOWLEDGE_DIR
+ */
+export function readKnowledgeFile(file) {
+  const full = path.join(KNOWLEDGE_DIR, file);
+  const mtime = fs.statSync(full).mtimeMs;
+  const cached = cache.get(full);
+  if (cached && cached.mtime === mtime) return cached.entries;
+
+  const entries = JSON.parse(fs.readFileSync(full, 'utf8'));
+  if (!Array.isArray(entries)) throw new Error(`${file} must contain a JSON array`);
+  cache.set(full, { mtime, entries });
+  return entries;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+/**
+ * Rank entries by keyword overlap with the query.
+ * @param {Object[]} entries
+ * @param {string} query
+ * @param {Function} textOf - entry → searchable text
+ * @param {number} limit
+ */
+export function rankEntries(entries, query, textOf, limit = 3) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  return entries
+    .map(entry => {
+      const words = new Set(tokenize(textOf(entry)));
+      const score = terms.filter(t => words.has(t)).length / terms.length;
+      return { entry, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
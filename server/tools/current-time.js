@@ -0,0 +1,29 @@
+export const declaration = {
+  name: 'get_current_time',
+  description: 'Get the current date and time, optionally in a specific IANA time zone.',
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      timezone: {
+        type: 'STRING',
+        description: 'IANA time zone such as "Europe/London" or "America/New_York" (default: server time zone)'
+      }
+    }
+  }
+};
+
+export const prompt = 'Get the current date and time. Use it whenever the user asks about the time, date or day of the week.';
+
+export async function handler({ timezone } = {}) {
+  const now = new Date();
+  const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  let formatted;
+  try {
+    formatted = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+  } catch (error) {
+    return { status: 'error', error: { code: 'INVALID_ARGUMENT', message: `Unknown time zone "${timezone}"` } };
+  }
+
+  return { status: 'ok', timezone: timeZone, iso: now.toISOString(), formatted };
+}
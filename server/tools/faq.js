@@ -0,0 +1,39 @@
+import { readKnowledgeFile, rankEntries } from './_search.js';
+
+// knowledge/faq.json: [{ "question": "...", "answer": "...", "tags": ["..."] }]
+const FAQ_FILE = 'faq.json';
+
+export const declaration = {
+  name: 'lookup_faq',
+  description: 'Search the frequently asked questions for an answer to the user\'s question.',
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      question: {
+        type: 'STRING',
+        description: 'The user\'s question, in a few words'
+      }
+    },
+    required: ['question']
+  }
+};
+
+export const prompt = 'Search the company FAQ. Use it before answering questions about Compsmart products, pricing, accounts or support.';
+
+export async function handler({ question }) {
+  const matches = rankEntries(readKnowledgeFile(FAQ_FILE), question,
+    e => `${e.question} ${(e.tags || []).join(' ')}`);
+
+  if (matches.length === 0) {
+    return { status: 'ok', found: false, message: 'No FAQ entry matches this question.' };
+  }
+  return {
+    status: 'ok',
+    found: true,
+    results: matches.map(({ entry, score }) => ({
+      question: entry.question,
+      answer: entry.answer,
+      score: Math.round(score * 100) / 100
+    }))
+  };
+}
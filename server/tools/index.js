@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Server-executed tools. Unlike the avatar tools (run in the browser), these
+ * are executed by the relay itself and answered to the model directly.
+ *
+ * A tool is a module in the tools directory exporting:
+ *
+ *   export const declaration = { name, description, parameters };  // Gemini function declaration
+ *   export async function handler(args, context) { ... }            // returns a JSON-able result
+ *   export const prompt = '...';                                    // optional system-prompt guidance
+ *
+ * `context` is { sessionId, persona }. Files starting with `_` are helpers
+ * and are not loaded as tools.
+ */
+
+// name → { declaration, handler, prompt, file }
+const tools = new Map();
+
+/**
+ * Register a server tool programmatically.
+ * @param {Object} tool - { declaration, handler, prompt? }
+ */
+export function registerTool(tool) {
+  const name = tool?.declaration?.name;
+  if (!name || typeof tool.handler !== 'function') {
+    throw new Error('A server tool needs a declaration with a name and a handler function');
+  }
+  if (tools.has(name)) throw new Error(`Server tool "${name}" is already registered`);
+  tools.set(name, tool);
+}
+
+/**
+ * Import and register every tool module in a directory.
+ * @param {string} dir
+ * @returns {Promise<string[]>} Names of the tools loaded from the directory
+ */
+export async function loadTools(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const loaded = [];
+  const files = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js') && f !== 'index.js' && !f.startsWith('_'))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, file)).href);
+      registerTool({ declaration: mod.declaration, handler: mod.handler, prompt: mod.prompt, file });
+      loaded.push(mod.declaration.name);
+    } catch (error) {
+      console.warn(`[TOOLS] Skipping ${file}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+export function getServerTool(name) {
+  return tools.get(name) || null;
+}
+
+export function getServerToolNames() {
+  return [...tools.keys()];
+}
+
+/**
+ * Function declarations for the allowed server tools.
+ * @param {string[]} [allowed] - Tool names a persona may use (null/undefined = all)
+ */
+export function getServerDeclarations(allowed) {
+  return [...tools.values()]
+    .filter(t => !allowed || allowed.includes(t.declaration.name))
+    .map(t => t.declaration);
+}
+
+/**
+ * System-prompt section describing the allowed server tools ('' if none).
+ * @param {string[]} [allowed]
+ */
+export function buildServerToolGuidance(allowed) {
+  const lines = [...tools.values()]
+    .filter(t => !allowed || allowed.includes(t.declaration.name))
+    .map(t => `- ${t.declaration.name}: ${t.prompt || t.declaration.description}`);
+  if (lines.length === 0) return '';
+  return `You can also look things up with these tools. Their results come back to you, not to the user — answer in your own words:\n${lines.join('\n')}`;
+}
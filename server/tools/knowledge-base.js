@@ -0,0 +1,40 @@
+import { readKnowledgeFile, rankEntries } from './_search.js';
+
+// knowledge/kb.json: [{ "id": "...", "title": "...", "content": "...", "tags": ["..."] }]
+const KB_FILE = 'kb.json';
+
+export const declaration = {
+  name: 'search_knowledge_base',
+  description: 'Search the local knowledge base articles by keywords and return the best matching articles.',
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      query: {
+        type: 'STRING',
+        description: 'Keywords to search for'
+      },
+      limit: {
+        type: 'INTEGER',
+        description: 'Maximum number of articles to return (default 2)',
+        maximum: 5
+      }
+    },
+    required: ['query']
+  }
+};
+
+export const prompt = 'Search the knowledge base articles. Use it for detailed how-to or product questions the FAQ does not cover.';
+
+export async function handler({ query, limit = 2 }) {
+  const matches = rankEntries(readKnowledgeFile(KB_FILE), query,
+    e => `${e.title} ${e.content} ${(e.tags || []).join(' ')}`, limit);
+
+  if (matches.length === 0) {
+    return { status: 'ok', found: false, message: 'No knowledge base article matches this query.' };
+  }
+  return {
+    status: 'ok',
+    found: true,
+    articles: matches.map(({ entry }) => ({ id: entry.id, title: entry.title, content: entry.content }))
+  };
+}
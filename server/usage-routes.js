@@ -0,0 +1,40 @@
+import express from 'express';
+import { AuthMiddleware } from './auth.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Token usage and cost report. Mounted at /api/usage; requires an
+ * `x-api-key` listed in VALID_API_KEYS.
+ *
+ *   GET /api/usage?from=2026-10-01&to=2026-10-31&groupBy=day,persona
+ *
+ * `from` defaults to the first day of the current month and `to` to today
+ * (UTC). `groupBy` accepts day, persona, user, provider and model.
+ *
+ * @param {UsageTracker} tracker
+ */
+export function createUsageRouter(tracker) {
+  const router = express.Router();
+
+  router.use(AuthMiddleware.validateApiKey);
+
+  router.get('/', async (req, res) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const from = req.query.from || `${today.slice(0, 7)}-01`;
+    const to = req.query.to || today;
+    if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to)) {
+      return res.status(400).json({ error: 'from/to must be YYYY-MM-DD', code: 'INVALID_DATE' });
+    }
+    const groupBy = (req.query.groupBy || 'day,persona').split(',').map(k => k.trim()).filter(Boolean);
+
+    try {
+      res.json(await tracker.report({ from, to, groupBy }));
+    } catch (error) {
+      console.error('[USAGE] Report failed:', error.message);
+      res.status(500).json({ error: 'Failed to build usage report', code: 'USAGE_REPORT_FAILED' });
+    }
+  });
+
+  return router;
+}
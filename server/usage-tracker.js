@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const TOKEN_FIELDS = ['promptTokens', 'responseTokens', 'promptAudioTokens', 'responseAudioTokens', 'totalTokens'];
+const GROUP_KEYS = ['day', 'persona', 'user', 'provider', 'model'];
+
+/**
+ * Load the price table (USD per 1M tokens, see server/pricing.json).
+ */
+export function loadPriceTable(file) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!table.models || typeof table.models !== 'object') {
+    throw new Error(`${file}: missing "models"`);
+  }
+  return table;
+}
+
+/**
+ * Flatten provider usage metadata (Gemini `usageMetadata`, or the chained
+ * provider's subset) into token counts split by modality.
+ */
+export function normalizeUsage(meta = {}) {
+  const byModality = (details, modality) => (details || [])
+    .filter(d => (d.modality || '').toUpperCase() === modality)
+    .reduce((sum, d) => sum + (d.tokenCount || 0), 0);
+
+  const promptTokens = meta.promptTokenCount || 0;
+  const responseTokens = meta.responseTokenCount || meta.candidatesTokenCount || 0;
+  return {
+    promptTokens,
+    responseTokens,
+    promptAudioTokens: byModality(meta.promptTokensDetails, 'AUDIO'),
+    responseAudioTokens: byModality(meta.responseTokensDetails || meta.candidatesTokensDetails, 'AUDIO'),
+    totalTokens: meta.totalTokenCount || promptTokens + responseTokens
+  };
+}
+
+/**
+ * UsageTracker - Accumulates token usage and estimated cost per session
+ * and per user (per UTC day), and appends every usage event to a monthly
+ * ledger `<dataDir>/usage/<YYYY-MM>.jsonl` for reporting:
+ *
+ *   { ts, sessionId, userId, persona, provider, model,
+ *     promptTokens, responseTokens, promptAudioTokens, responseAudioTokens,
+ *     totalTokens, costUsd }
+ */
+export class UsageTracker {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.dataDir - Root data directory
+   * @param {Object} opts.prices - Price table from loadPriceTable()
+   * @param {string} opts.provider - Conversation provider name
+   * @param {string} opts.model - Model the provider bills for
+   */
+  constructor({ dataDir, prices, provider, model }) {
+    this.dir = path.join(dataDir, 'usage');
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.prices = prices;
+    this.provider = provider;
+    this.model = model;
+    this.modelPrice = this._priceFor(model);
+
+    this.sessions = new Map();   // sessionId → totals
+    this.users = new Map();      // userKey → { day, totals }
+    this.stream = null;
+    this.streamMonth = null;
+  }
+
+  /**
+   * Record one usage event.
+   * @param {Object} who - { sessionId, userId, persona }
+   * @param {Object} usageMetadata - Provider usage metadata
+   * @returns {{ turn: Object, session: Object, user: Object }} Totals for the usage_update message
+   */
+  record({ sessionId, userId, persona }, usageMetadata) {
+    const turn = normalizeUsage(usageMetadata);
+    turn.costUsd = this.estimateCost(turn);
+
+    const session = this.sessions.get(sessionId) || emptyTotals();
+    addTotals(session, turn);
+    this.sessions.set(sessionId, session);
+
+    // Without a user id the session is the only client we know
+    const userKey = userId || sessionUserKey(sessionId);
+    const day = new Date().toISOString().slice(0, 10);
+    let user = this.users.get(userKey);
+    if (!user || user.day !== day) {
+      user = { day, totals: emptyTotals() };
+      this.users.set(userKey, user);
+    }
+    addTotals(user.totals, turn);
+
+    this._append({
+      ts: new Date().toISOString(),
+      sessionId,
+      userId: userId || null,
+      persona: persona || null,
+      provider: this.provider,
+      model: this.model,
+      ...turn
+    });
+
+    return { turn, session: { ...session }, user: { day, ...user.totals } };
+  }
+
+  endSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.users.delete(sessionUserKey(sessionId));
+  }
+
+  /**
+   * Forget per-user totals from earlier UTC days; the ledger keeps them.
+   */
+  prune() {
+    const day = new Date().toISOString().slice(0, 10);
+    for (const [userKey, user] of this.users) {
+      if (user.day !== day) this.users.delete(userKey);
+    }
+  }
+
+  /**
+   * Estimated cost in USD for normalized token counts.
+   */
+  estimateCost(tokens) {
+    const price = this.modelPrice;
+    if (!price) return 0;
+    const rate = (side, modality) => price[side]?.[modality] ?? price[side]?.text ?? 0;
+
+    const promptText = tokens.promptTokens - tokens.promptAudioTokens;
+    const responseText = tokens.responseTokens - tokens.responseAudioTokens;
+    const cost = (
+      promptText * rate('input', 'text') +
+      tokens.promptAudioTokens * rate('input', 'audio') +
+      responseText * rate('output', 'text') +
+      tokens.responseAudioTokens * rate('output', 'audio')
+    ) / 1e6;
+    return roundCost(cost);
+  }
+
+  /**
+   * Aggregate the ledger.
+   * @param {Object} opts
+   * @param {string} opts.from - First day (YYYY-MM-DD), inclusive
+   * @param {string} opts.to - Last day (YYYY-MM-DD), inclusive
+   * @param {string[]} opts.groupBy - Any of day, persona, user, provider, model
+   */
+  async report({ from, to, groupBy = ['day', 'persona'] }) {
+    const keys = groupBy.filter(k => GROUP_KEYS.includes(k));
+    const groups = new Map();
+    const totals = { ...emptyTotals(), sessions: new Set() };
+
+    for (const file of this._ledgerFiles(from, to)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try { entry = JSON.parse(line); } catch (e) { continue; }
+
+        const day = entry.ts.slice(0, 10);
+        if (day < from || day > to) continue;
+
+        const fields = { day, persona: entry.persona, user: entry.userId, provider: entry.provider, model: entry.model };
+        const id = keys.map(k => fields[k]).join('\u0000');
+        let group = groups.get(id);
+        if (!group) {
+          group = { key: Object.fromEntries(keys.map(k => [k, fields[k] ?? null])), ...emptyTotals(), sessions: new Set() };
+          groups.set(id, group);
+        }
+        addTotals(group, entry);
+        addTotals(totals, entry);
+        group.sessions.add(entry.sessionId);
+        totals.sessions.add(entry.sessionId);
+      }
+    }
+
+    const finish = ({ sessions, key, ...rest }) => ({ ...key, sessions: sessions.size, ...rest, costUsd: roundCost(rest.costUsd) });
+    return {
+      from,
+      to,
+      groupBy: keys,
+      currency: this.prices.currency || 'USD',
+      totals: finish({ ...totals, key: {} }),
+      groups: [...groups.values()]
+        .map(finish)
+        .sort((a, b) => keys.map(k => String(a[k] ?? '').localeCompare(String(b[k] ?? ''))).find(c => c !== 0) || 0)
+    };
+  }
+
+  close() {
+    this.stream?.end();
+    this.stream = null;
+  }
+
+  // ----------------------------------------------------------------
+  // Internal helpers
+  // ----------------------------------------------------------------
+
+  /**
+   * Exact model name first, then the longest price key the model starts
+   * with (e.g. a dated preview of a priced model), then "default".
+   */
+  _priceFor(model) {
+    const models = this.prices.models;
+    if (models[model]) return models[model];
+    const prefix = Object.keys(models)
+      .filter(k => k !== 'default' && model?.startsWith(k))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return models[prefix];
+    console.warn(`[USAGE] No price for model "${model}", using the default price`);
+    return models.default || null;
+  }
+
+  _append(entry) {
+    const month = entry.ts.slice(0, 7);
+    if (this.streamMonth !== month) {
+      this.stream?.end();
+      this.stream = fs.createWriteStream(path.join(this.dir, `${month}.jsonl`), { flags: 'a' });
+      this.stream.on('error', (error) => console.error('[USAGE] Ledger write failed:', error.message));
+      this.streamMonth = month;
+    }
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  _ledgerFiles(from, to) {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => /^\d{4}-\d{2}\.jsonl$/.test(f))
+      .filter(f => {
+        const month = f.slice(0, 7);
+        return month >= from.slice(0, 7) && month <= to.slice(0, 7);
+      })
+      .sort()
+      .map(f => path.join(this.dir, f));
+  }
+}
+
+function sessionUserKey(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function emptyTotals() {
+  return { promptTokens: 0, responseTokens: 0, promptAudioTokens: 0, responseAudioTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, add) {
+  for (const field of TOKEN_FIELDS) target[field] += add[field] || 0;
+  target.costUsd = roundCost(target.costUsd + (add.costUsd || 0));
+}
+
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
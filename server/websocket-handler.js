@@ -1,4 +1,5 @@
 // Websocket handler is now integrated directly into server.js
 // This file is kept as a placeholder for backwards compatibility.
-// All Gemini Live API relay logic lives in server/server.js.
+// The relay lives in server/server.js; backend-specific code lives in
+// server/providers/.
 export default {};
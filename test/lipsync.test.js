@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LipsyncEs, GRAPHEME_RULES as RULES_ES } from '../public/modules/lipsync-es.mjs';
+import { LipsyncIt, GRAPHEME_RULES as RULES_IT } from '../public/modules/lipsync-it.mjs';
+
+const es = new LipsyncEs();
+const it = new LipsyncIt();
+const visemes = (lipsync, word) => lipsync.wordsToVisemes(word).visemes.join(' ');
+
+for (const [lang, rules] of [['es', RULES_ES], ['it', RULES_IT]]) {
+  test(`${lang}: every rule is filed under the letter it starts with`, () => {
+    for (const [letter, list] of Object.entries(rules)) {
+      for (const rule of list) {
+        assert.match(rule, /^[^[]*\[[^\]]+\][^=]*=/, rule);
+        assert.equal(rule[rule.indexOf('[') + 1], letter, rule);
+      }
+    }
+  });
+}
+
+test('es: digraphs, soft C/G and the silent H', () => {
+  assert.equal(visemes(es, 'chico'), 'CH I kk O');
+  assert.equal(visemes(es, 'cena'), 'SS E nn aa');
+  assert.equal(visemes(es, 'guitarra'), 'kk I DD aa RR aa');
+  assert.equal(visemes(es, 'llave'), 'I aa PP E');
+  assert.equal(visemes(es, 'hola'), 'O nn aa');
+});
+
+test('es: numbers', () => {
+  assert.equal(es.preProcessText('15'), 'quince');
+  assert.equal(es.preProcessText('100'), 'cien');
+  assert.equal(es.preProcessText('21'), 'veintiuno');
+  assert.equal(es.preProcessText('21000'), 'veintiún mil');
+  assert.equal(es.preProcessText('1.000.000'), 'un millón');
+  assert.equal(es.preProcessText('2,5'), 'dos coma cinco');
+  assert.equal(es.preProcessText('007'), 'cero cero siete');
+});
+
+test('es: "uno" shortens before a noun but not before other words', () => {
+  assert.equal(es.preProcessText('21 años'), 'veintiún años');
+  assert.equal(es.preProcessText('31 días'), 'treinta y un días');
+  assert.equal(es.preProcessText('1 y 2'), 'uno y dos');
+  assert.equal(es.preProcessText('1 de mayo'), 'uno de mayo');
+});
+
+test('it: hard and soft C/G, GN, GLI', () => {
+  assert.equal(visemes(it, 'ciao'), 'CH aa O');
+  assert.equal(visemes(it, 'chiesa'), 'kk I E SS aa');
+  assert.equal(visemes(it, 'scena'), 'SS E nn aa');
+  assert.equal(visemes(it, 'figlio'), 'FF I nn I O');
+  assert.equal(visemes(it, 'gnocchi'), 'nn I O kk I');
+});
+
+test('it: double consonants are held longer, not repeated', () => {
+  const single = it.wordsToVisemes('mama');
+  const double = it.wordsToVisemes('mamma');
+  assert.deepEqual(double.visemes, single.visemes);
+  assert.ok(double.durations[2] > single.durations[2]);
+});
+
+test('it: numbers and ordinals', () => {
+  assert.equal(it.preProcessText('21'), 'ventuno');
+  assert.equal(it.preProcessText('23'), 'ventitré');
+  assert.equal(it.preProcessText('2000'), 'duemila');
+  assert.equal(it.preProcessText('3°'), 'terzo');
+  assert.equal(it.preProcessText('23°'), 'ventitreesimo');
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createProvider } from '../server/providers/index.js';
+import { RelaySession } from '../server/relay-session.js';
+import { ToolCallValidator } from '../server/tool-validator.js';
+import { getAvatarTools, AVATAR_TOOL_NAMES } from '../server/avatar-tools.js';
+
+const SCENARIO = {
+  name: 'test',
+  turns: [
+    {
+      match: 'dance',
+      steps: [
+        { say: 'Watch this!' },
+        { toolCall: { name: 'play_gesture', args: { gesture: 'thumbup' } } },
+        { say: 'Done.' }
+      ]
+    },
+    { steps: [{ say: 'You said {{input}}' }] }
+  ]
+};
+
+// Stands in for the browser's WebSocket: collects what the relay sends
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.OPEN = 1;
+    this.readyState = 1;
+    this.messages = [];
+  }
+
+  send(data) {
+    const message = JSON.parse(data);
+    this.messages.push(message);
+    this.emit('message', message);
+  }
+
+  next(type) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 5000);
+      const onMessage = (message) => {
+        if (message.type !== type) return;
+        clearTimeout(timer);
+        this.off('message', onMessage);
+        resolve(message);
+      };
+      this.on('message', onMessage);
+    });
+  }
+}
+
+async function startSession() {
+  const tools = getAvatarTools(AVATAR_TOOL_NAMES);
+  const session = new RelaySession({
+    sessionId: 'test-session',
+    provider: createProvider('mock', { scenario: SCENARIO, chunkIntervalMs: 0 }),
+    graceMs: 5000,
+    validator: new ToolCallValidator(tools)
+  });
+  const ws = new FakeSocket();
+  session.attach(ws);
+  const started = ws.next('setup_complete');
+  await session.start({ systemInstruction: 'test', tools });
+  await started;
+  return { session, ws };
+}
+
+test('text turn is transcribed and completes', async () => {
+  const { session, ws } = await startSession();
+  try {
+    const done = ws.next('turn_complete');
+    await session.sendText('hello there');
+    await done;
+
+    const text = ws.messages.filter(m => m.type === 'output_transcription').map(m => m.text).join('');
+    assert.equal(text, 'You said hello there');
+    assert.ok(ws.messages.some(m => m.type === 'audio_chunk'));
+  } finally {
+    session.close('test done');
+  }
+});
+
+test('tool call is relayed and the turn continues after the response', async () => {
+  const { session, ws } = await startSession();
+  try {
+    const call = ws.next('tool_call');
+    await session.sendText('can you dance');
+    const { id, name, args } = await call;
+    assert.equal(name, 'play_gesture');
+    assert.equal(args.gesture, 'thumbup');
+
+    assert.equal(await session.sendToolResponse({ id: 'made-up', result: 'ok' }), false);
+    const done = ws.next('turn_complete');
+    assert.equal(await session.sendToolResponse({ id, result: { status: 'ok' } }), true);
+    assert.equal(await session.sendToolResponse({ id, result: { status: 'ok' } }), false);
+    await done;
+    const text = ws.messages.filter(m => m.type === 'output_transcription').map(m => m.text).join('');
+    assert.equal(text, 'Watch this!Done.');
+  } finally {
+    session.close('test done');
+  }
+});
+
+test('resumed session replays the events missed while detached', async () => {
+  const { session, ws } = await startSession();
+  try {
+    const call = ws.next('tool_call');
+    await session.sendText('dance please');
+    const { id, name, seq } = await call;
+
+    session.detach(ws);
+    assert.equal(session.isClosed, false);
+    await session.sendToolResponse({ id, result: { status: 'ok' } });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const resumed = new FakeSocket();
+    session.attach(resumed);
+    assert.ok(session.replaySince(seq) > 0);
+    assert.ok(resumed.messages.every(m => m.seq > seq));
+    assert.ok(resumed.messages.some(m => m.type === 'turn_complete'));
+    assert.ok(!resumed.messages.some(m => m.type === 'audio_chunk'));
+  } finally {
+    session.close('test done');
+  }
+});
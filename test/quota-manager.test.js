@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { QuotaManager, quotaKeyFor } from '../server/quota-manager.js';
+import { createTokenRouter } from '../server/token-routes.js';
+
+const LIMITS = { maxConcurrentSessions: 2, maxSessionMinutesPerDay: 0, maxMicChunksPerSecond: 0, maxTextMessagesPerMinute: 0 };
+
+test('checkSessionStart refuses sessions beyond the concurrent limit', () => {
+  const quotas = new QuotaManager(LIMITS);
+  assert.equal(quotas.checkSessionStart('alice'), null);
+  quotas.sessionStarted('alice', 's1');
+  quotas.sessionStarted('alice', 's2');
+  assert.equal(quotas.checkSessionStart('alice').quota, 'concurrent_sessions');
+  assert.equal(quotas.checkSessionStart('bob'), null);
+
+  quotas.sessionEnded('alice', 's1');
+  assert.equal(quotas.checkSessionStart('alice'), null);
+});
+
+test('checkSessionStart refuses sessions once the daily minutes are used', () => {
+  const quotas = new QuotaManager({ ...LIMITS, maxSessionMinutesPerDay: 1 });
+  quotas.sessionStarted('alice', 's1');
+  quotas.usage.get('alice').usedMsToday = 60 * 1000;
+  assert.equal(quotas.checkSessionStart('alice').quota, 'daily_minutes');
+  assert.deepEqual(quotas.findOverQuotaSessions().map(s => s.sessionId), ['s1']);
+});
+
+test('sessions from one IP are capped across users', () => {
+  const quotas = new QuotaManager({ ...LIMITS, maxSessionsPerIp: 2 });
+  quotas.sessionStarted('alice', 's1', '10.0.0.1');
+  quotas.sessionStarted('bob', 's2', '10.0.0.1');
+  assert.equal(quotas.checkSessionStart('carol', '10.0.0.1').quota, 'ip_sessions');
+  assert.equal(quotas.checkSessionStart('carol', '10.0.0.2'), null);
+
+  quotas.sessionEnded('bob', 's2', '10.0.0.1');
+  assert.equal(quotas.checkSessionStart('carol', '10.0.0.1'), null);
+});
+
+test('findSessionToReplace picks the oldest session that may end, only at the limit', () => {
+  const quotas = new QuotaManager(LIMITS);
+  const detached = new Set(['s1', 's2']);
+  quotas.sessionStarted('alice', 's1');
+  assert.equal(quotas.findSessionToReplace('alice', id => detached.has(id)), null);
+
+  quotas.sessionStarted('alice', 's2');
+  assert.equal(quotas.findSessionToReplace('alice', id => detached.has(id)), 's1');
+  assert.equal(quotas.findSessionToReplace('alice', () => false), null);
+  assert.equal(quotas.findSessionToReplace('bob', () => true), null);
+});
+
+test('prune forgets idle clients and keeps those with sessions or usage today', () => {
+  const quotas = new QuotaManager(LIMITS);
+  quotas.checkSessionStart('idle');
+  quotas.sessionStarted('live', 's1');
+  quotas.sessionStarted('finished', 's2');
+  quotas.sessionEnded('finished', 's2');
+  quotas.usage.get('finished').usedMsToday = 1000;
+
+  quotas.prune();
+  assert.deepEqual([...quotas.usage.keys()].sort(), ['finished', 'live']);
+});
+
+test('anonymous tokens from one IP share one quota', async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const app = express();
+  app.use(express.json());
+  app.use('/api/token', createTokenRouter({ ttl: '15m', refreshWindowMs: 0, maxSessionMs: 60000, allowAnonymous: true }));
+  const server = app.listen(0);
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/api/token`;
+    const userIds = [];
+    for (let i = 0; i < 2; i++) {
+      const res = await fetch(url, { method: 'POST' });
+      userIds.push(jwt.decode((await res.json()).token).userId);
+    }
+    assert.notEqual(userIds[0], userIds[1]);
+
+    const keys = userIds.map(userId => quotaKeyFor(userId, '10.0.0.1'));
+    assert.equal(keys[0], keys[1]);
+    assert.equal(quotaKeyFor('alice', '10.0.0.1'), 'alice');
+
+    const quotas = new QuotaManager({ ...LIMITS, maxConcurrentSessions: 1 });
+    quotas.sessionStarted(keys[0], 's1', '10.0.0.1');
+    assert.equal(quotas.checkSessionStart(keys[1], '10.0.0.1').quota, 'concurrent_sessions');
+  } finally {
+    server.close();
+  }
+});
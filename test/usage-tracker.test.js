@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { UsageTracker } from '../server/usage-tracker.js';
+
+const PRICES = { models: { 'test-model': { input: { text: 1 }, output: { text: 1 } } } };
+const USAGE = { promptTokenCount: 10, responseTokenCount: 5, totalTokenCount: 15 };
+
+function withTracker(fn) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  const tracker = new UsageTracker({ dataDir, prices: PRICES, provider: 'test', model: 'test-model' });
+  try {
+    return fn(tracker);
+  } finally {
+    tracker.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+test('sessions without a user id do not share user totals', () => {
+  withTracker((tracker) => {
+    tracker.record({ sessionId: 'a' }, USAGE);
+    const second = tracker.record({ sessionId: 'b' }, USAGE);
+    assert.equal(second.user.totalTokens, 15);
+
+    tracker.endSession('a');
+    tracker.endSession('b');
+    assert.equal(tracker.users.size, 0);
+  });
+});
+
+test('user totals add up across sessions of one user', () => {
+  withTracker((tracker) => {
+    tracker.record({ sessionId: 'a', userId: 'alice' }, USAGE);
+    const second = tracker.record({ sessionId: 'b', userId: 'alice' }, USAGE);
+    assert.equal(second.session.totalTokens, 15);
+    assert.equal(second.user.totalTokens, 30);
+  });
+});
+
+test('prune drops user totals from earlier days', () => {
+  withTracker((tracker) => {
+    tracker.record({ sessionId: 'a', userId: 'alice' }, USAGE);
+    tracker.users.set('bob', { day: '2000-01-01', totals: {} });
+    tracker.prune();
+    assert.deepEqual([...tracker.users.keys()], ['alice']);
+  });
+});